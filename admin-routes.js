@@ -0,0 +1,110 @@
+// admin-routes.js - Admin dashboard page and staff-only system information
+const express = require('express');
+const path = require('path');
+const { authenticateToken } = require('./lib/auth');
+const { requirePermission } = require('./lib/permissions');
+const { listNotifications, retryNotification } = require('./lib/notifications');
+const outbox = require('./lib/patient-outbox');
+const { queryAuditLog, verifyAuditLog } = require('./lib/audit');
+const { sendError } = require('./lib/http-error');
+const router = express.Router();
+
+// Serve admin dashboard - the page itself holds no patient data and shows a
+// login screen; everything it displays comes from the permission-checked APIs
+router.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin-dashboard.html'));
+});
+
+// System configuration shown on the dashboard (admins only)
+router.get('/api/admin/system', authenticateToken, requirePermission('admin:system'), (req, res) => {
+    res.json({
+        server: 'Running',
+        environment: process.env.NODE_ENV || 'Production',
+        patientStore: process.env.PATIENT_STORE || 'default',
+        staffStore: process.env.STAFF_STORE || 'json',
+        airtable: {
+            baseId: !!process.env.AIRTABLE_BASE_ID,
+            tableId: !!process.env.AIRTABLE_TABLE_ID,
+            token: !!process.env.AIRTABLE_TOKEN
+        }
+    });
+});
+
+// Notification queue: /api/admin/notifications?status=failed
+router.get('/api/admin/notifications', authenticateToken, requirePermission('admin:system'), async (req, res) => {
+    try {
+        const notifications = await listNotifications({ status: req.query.status });
+        res.json({ notifications, count: notifications.length });
+    } catch (error) {
+        console.error('Notification list error:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Give a failed notification a fresh set of attempts
+router.post('/api/admin/notifications/:id/retry', authenticateToken, requirePermission('admin:system'), async (req, res) => {
+    try {
+        const notification = await retryNotification(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ error: 'No failed notification with this id' });
+        }
+        res.json({ message: 'Notification queued again', notification });
+    } catch (error) {
+        console.error('Notification retry error:', error);
+        res.status(500).json({ error: 'Failed to retry notification' });
+    }
+});
+
+// Registrations waiting for the patient store: /api/admin/outbox?status=pending
+router.get('/api/admin/outbox', authenticateToken, requirePermission('admin:system'), async (req, res) => {
+    try {
+        const entries = await outbox.list({ status: req.query.status });
+        res.json({
+            entries: entries.map(({ patient: { password, ...patient }, ...entry }) => ({ ...entry, patient })),
+            count: entries.length,
+            summary: await outbox.summary()
+        });
+    } catch (error) {
+        console.error('Outbox list error:', error);
+        res.status(500).json({ error: 'Failed to fetch outbox' });
+    }
+});
+
+// Try to save a waiting or failed registration now
+router.post('/api/admin/outbox/:id/retry', authenticateToken, requirePermission('admin:system'), async (req, res) => {
+    try {
+        if (!(await outbox.retry(req.params.id))) {
+            return res.status(404).json({ error: 'No waiting or failed registration with this id' });
+        }
+        await outbox.processOutbox();
+        const entry = (await outbox.list()).find(e => e.id === req.params.id);
+        const { password, ...patient } = entry.patient;
+        res.json({
+            message: entry.status === 'delivered' ? `Registration saved as patient ${entry.patient_id}` : `Still failing: ${entry.last_error}`,
+            entry: { ...entry, patient }
+        });
+    } catch (error) {
+        console.error('Outbox retry error:', error);
+        res.status(500).json({ error: 'Failed to retry registration' });
+    }
+});
+
+// Patient audit log, newest first: /api/admin/audit?patient_id=&actor=&action=&from=&to=&page=&limit=
+router.get('/api/admin/audit', authenticateToken, requirePermission('admin:audit'), async (req, res) => {
+    try {
+        res.json(await queryAuditLog(req.query));
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch audit log');
+    }
+});
+
+// Check the hash chain of the whole log; valid: false names the first broken entry
+router.get('/api/admin/audit/verify', authenticateToken, requirePermission('admin:audit'), async (req, res) => {
+    try {
+        res.json(await verifyAuditLog());
+    } catch (error) {
+        sendError(res, error, 'Failed to verify audit log');
+    }
+});
+
+module.exports = router;
@@ -1,72 +1,51 @@
 // Vercel serverless function for patient registration
-import axios from 'axios';
+import { createPatientStore } from '../lib/patient-store/index.js';
+import { matchQueries, findDuplicates } from '../lib/duplicate-match.js';
+import { validatePatient, newPatientRecord, validationErrorBody } from '../lib/patient-schema.js';
+import { checkConsent } from '../lib/privacy.js';
 
-// Airtable configuration from environment variables
+// Airtable configuration, only ever from the environment (Vercel project settings)
 const AIRTABLE_CONFIG = {
-    baseId: process.env.AIRTABLE_BASE_ID || 'appRPKop4plyqGgFN',
-    tableId: process.env.AIRTABLE_TABLE_ID || 'tblEaDfeIhIRj0jPy',
-    token: process.env.AIRTABLE_TOKEN || 'pat2NG8pd82dzLi1X.d6a23a340b8e5b868baaefd2db06a312d1017cad5afef064d1391c7f06be189a'
+    baseId: process.env.AIRTABLE_BASE_ID,
+    tableId: process.env.AIRTABLE_TABLE_ID,
+    token: process.env.AIRTABLE_TOKEN
 };
+const STORE_TYPE = process.env.PATIENT_STORE || 'airtable';
+
+// Settings the Airtable store cannot work without; registrations are refused
+// while any is missing
+const MISSING_CONFIG = STORE_TYPE === 'airtable'
+    ? ['AIRTABLE_BASE_ID', 'AIRTABLE_TABLE_ID', 'AIRTABLE_TOKEN'].filter(name => !process.env[name])
+    : [];
+if (MISSING_CONFIG.length > 0) {
+    console.error(`Patient registration is not configured: set ${MISSING_CONFIG.join(', ')}`);
+}
+
+// Patient repository (Airtable unless PATIENT_STORE picks another backend)
+const patientStore = createPatientStore({
+    type: STORE_TYPE,
+    ...AIRTABLE_CONFIG
+});
 
-// Function to add patient to Airtable
+// Function to add patient to the patient store; the store scores the
+// intake data and assigns the group
 async function addToAirtable(patientData) {
     try {
-        const airtableData = {
-            fields: {
-                'Name': patientData.name || '',
-                'Phone': patientData.phone || '',
-                'Email': patientData.email || '',
-                'Group': 'C',
-                'Score': 0,
-                'Registration_Status': 'Pending',
-                'Payment_Status': 'Unpaid',
-                'Message_Count': 0
-            }
-        };
-
-        const response = await axios.post(
-            `https://api.airtable.com/v0/${AIRTABLE_CONFIG.baseId}/${AIRTABLE_CONFIG.tableId}`,
-            airtableData,
-            {
-                headers: {
-                    'Authorization': `Bearer ${AIRTABLE_CONFIG.token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const patient = await patientStore.create(newPatientRecord(patientData, 'Website Registration'));
 
-        return { success: true, id: response.data.id };
+        return { success: true, id: patient.id, group: patient.group, score: patient.score };
     } catch (error) {
         console.error('Error adding patient to Airtable:', error);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, code: error.code };
     }
 }
 
-// Check for duplicate patients
-async function checkDuplicate(phone, email) {
+// Check for duplicate patients: same normalized email or phone and a similar name.
+// Family members sharing one phone number are not duplicates.
+async function checkDuplicate(patient) {
     try {
-        let filterFormula = '';
-        if (phone && email) {
-            filterFormula = `OR({Phone} = '${phone}', {Email} = '${email}')`;
-        } else if (phone) {
-            filterFormula = `{Phone} = '${phone}'`;
-        } else if (email) {
-            filterFormula = `{Email} = '${email}'`;
-        }
-
-        const response = await axios.get(
-            `https://api.airtable.com/v0/${AIRTABLE_CONFIG.baseId}/${AIRTABLE_CONFIG.tableId}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${AIRTABLE_CONFIG.token}`
-                },
-                params: {
-                    filterByFormula: filterFormula
-                }
-            }
-        );
-
-        return response.data.records.length > 0;
+        const results = await Promise.all(matchQueries(patient).map(query => patientStore.search(query)));
+        return findDuplicates(patient, results.flat()).length > 0;
     } catch (error) {
         console.error('Error checking duplicates:', error);
         return false;
@@ -87,32 +66,39 @@ export default async function handler(req, res) {
 
     // Health check endpoint
     if (req.method === 'GET') {
-        return res.status(200).json({
-            status: 'running',
+        return res.status(MISSING_CONFIG.length > 0 ? 500 : 200).json({
+            status: MISSING_CONFIG.length > 0 ? 'misconfigured' : 'running',
             timestamp: new Date().toISOString(),
             airtableConfig: {
-                baseId: AIRTABLE_CONFIG.baseId,
-                tableId: AIRTABLE_CONFIG.tableId,
-                tokenExists: !!AIRTABLE_CONFIG.token
+                baseId: AIRTABLE_CONFIG.baseId || null,
+                tableId: AIRTABLE_CONFIG.tableId || null,
+                tokenExists: !!AIRTABLE_CONFIG.token,
+                missing: MISSING_CONFIG
             }
         });
     }
 
     // Registration endpoint
     if (req.method === 'POST') {
+        if (MISSING_CONFIG.length > 0) {
+            return res.status(500).json({
+                success: false,
+                message: 'Registration is not configured',
+                error: `Missing environment variables: ${MISSING_CONFIG.join(', ')}`
+            });
+        }
         try {
-            const { name, phone, email, age, gender, address } = req.body;
-
-            // Validate required fields
-            if (!name || !phone) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Name and phone are required fields'
-                });
+            // Name and phone plus optional email and intake data (lib/patient-schema.js),
+            // and the consent shown on the form (GET /api/consent), kept on the record
+            let patient;
+            try {
+                patient = { ...validatePatient(req.body), ...checkConsent(req.body) };
+            } catch (error) {
+                return res.status(error.status || 400).json(validationErrorBody(error));
             }
 
             // Check for duplicates
-            const isDuplicate = await checkDuplicate(phone, email);
+            const isDuplicate = await checkDuplicate(patient);
             if (isDuplicate) {
                 return res.status(409).json({
                     success: false,
@@ -121,18 +107,20 @@ export default async function handler(req, res) {
             }
 
             // Add to Airtable
-            const result = await addToAirtable({
-                name, phone, email, age, gender, address
-            });
+            const result = await addToAirtable(patient);
 
             if (result.success) {
                 return res.status(200).json({
                     success: true,
                     message: 'Patient registered successfully',
-                    airtableId: result.id
+                    airtableId: result.id,
+                    group: result.group,
+                    score: result.score
                 });
             } else {
-                return res.status(500).json({
+                // Airtable busy or down (lib/airtable-client.js): worth trying again shortly
+                const unavailable = ['AIRTABLE_RATE_LIMITED', 'AIRTABLE_UNAVAILABLE', 'AIRTABLE_NETWORK'].includes(result.code);
+                return res.status(unavailable ? 503 : 500).json({
                     success: false,
                     message: 'Failed to register patient',
                     error: result.error
@@ -0,0 +1,142 @@
+// appointment-routes.js - Book, confirm, cancel, reschedule and complete appointments
+const express = require('express');
+const { authenticateToken } = require('./lib/auth');
+const { hasPermission, isPatientSelf, requirePermission } = require('./lib/permissions');
+const { getAppointmentStore } = require('./lib/appointment-store');
+const { sendError } = require('./lib/http-error');
+const {
+    bookAppointment,
+    confirmAppointment,
+    cancelAppointment,
+    rescheduleAppointment,
+    completeAppointment
+} = require('./lib/appointments');
+const router = express.Router();
+
+// Staff with the permission, or the patient the appointment belongs to
+function canAct(user, permission, patientId) {
+    return hasPermission(user.role, permission) || isPatientSelf(user, patientId);
+}
+
+// Load the appointment and check the caller may act on it
+async function loadAppointment(req, res, permission) {
+    const appointment = await getAppointmentStore().get(req.params.id);
+    if (!appointment) {
+        res.status(404).json({ error: 'Appointment not found' });
+        return null;
+    }
+    if (!canAct(req.user, permission, appointment.patient_id)) {
+        res.status(403).json({ error: 'Insufficient permissions' });
+        return null;
+    }
+    return appointment;
+}
+
+// Book an appointment
+router.post('/api/appointments', authenticateToken, async (req, res) => {
+    try {
+        if (!canAct(req.user, 'appointments:book', req.body.patient_id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const appointment = await bookAppointment(req.body, req.user);
+        res.status(201).json({ message: 'Appointment booked', appointment });
+    } catch (error) {
+        sendError(res, error, 'Failed to book appointment');
+    }
+});
+
+// Get one appointment
+router.get('/api/appointments/:id', authenticateToken, async (req, res) => {
+    try {
+        const appointment = await loadAppointment(req, res, 'appointments:view');
+        if (appointment) {
+            res.json({ appointment });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch appointment');
+    }
+});
+
+// Status history of one appointment
+router.get('/api/appointments/:id/history', authenticateToken, async (req, res) => {
+    try {
+        const appointment = await loadAppointment(req, res, 'appointments:view');
+        if (appointment) {
+            const history = await getAppointmentStore().history(appointment.id);
+            res.json({ history, count: history.length });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch appointment history');
+    }
+});
+
+// Confirm (staff only)
+router.post('/api/appointments/:id/confirm', authenticateToken, requirePermission('appointments:manage'), async (req, res) => {
+    try {
+        const appointment = await confirmAppointment(req.params.id, req.user);
+        res.json({ message: 'Appointment confirmed', appointment });
+    } catch (error) {
+        sendError(res, error, 'Failed to confirm appointment');
+    }
+});
+
+// Cancel (staff or the patient)
+router.post('/api/appointments/:id/cancel', authenticateToken, async (req, res) => {
+    try {
+        if (await loadAppointment(req, res, 'appointments:manage')) {
+            const appointment = await cancelAppointment(req.params.id, req.user, req.body.reason);
+            res.json({ message: 'Appointment cancelled', appointment });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel appointment');
+    }
+});
+
+// Reschedule (staff or the patient)
+router.post('/api/appointments/:id/reschedule', authenticateToken, async (req, res) => {
+    try {
+        if (await loadAppointment(req, res, 'appointments:manage')) {
+            const appointment = await rescheduleAppointment(req.params.id, req.user, req.body);
+            res.json({ message: 'Appointment rescheduled', appointment });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to reschedule appointment');
+    }
+});
+
+// Complete (doctors and admins)
+router.post('/api/appointments/:id/complete', authenticateToken, requirePermission('appointments:complete'), async (req, res) => {
+    try {
+        const appointment = await completeAppointment(req.params.id, req.user, req.body.notes);
+        res.json({ message: 'Appointment completed', appointment });
+    } catch (error) {
+        sendError(res, error, 'Failed to complete appointment');
+    }
+});
+
+// Appointments of one patient
+router.get('/api/patients/:id/appointments', authenticateToken, async (req, res) => {
+    try {
+        if (!canAct(req.user, 'appointments:view', req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const { status, from, to } = req.query;
+        const appointments = await getAppointmentStore().list({ patient_id: req.params.id, status, from, to });
+        res.json({ appointments, count: appointments.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch appointments');
+    }
+});
+
+// Appointments of one doctor
+router.get('/api/doctors/:id/appointments', authenticateToken, requirePermission('appointments:view'), async (req, res) => {
+    try {
+        const { status, from, to } = req.query;
+        const appointments = await getAppointmentStore().list({ doctor_id: req.params.id, status, from, to });
+        res.json({ appointments, count: appointments.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch appointments');
+    }
+});
+
+module.exports = router;
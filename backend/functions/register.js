@@ -1,5 +1,10 @@
 // netlify/functions/register.js
-const fetch = require('node-fetch');
+const { createPatientStore } = require('../../lib/patient-store');
+const { validatePatient, newPatientRecord, validationErrorBody } = require('../../lib/patient-schema');
+const { checkConsent } = require('../../lib/privacy');
+
+// Airtable settings come from the Netlify site environment only
+const AIRTABLE_SETTINGS = ['AIRTABLE_BASE_ID', 'AIRTABLE_TABLE_ID', 'AIRTABLE_TOKEN'];
 
 exports.handler = async (event, context) => {
   // Enable CORS
@@ -32,61 +37,43 @@ exports.handler = async (event, context) => {
     // Parse the request body
     const data = JSON.parse(event.body);
     
-    // Validate required fields
-    const { name, email, phone, group } = data;
-    if (!name || !email || !phone || !group) {
+    // Same patient shape and consent (GET /api/consent) as every other
+    // registration (lib/patient-schema.js, lib/privacy.js); group and score
+    // are worked out by the server
+    let value;
+    try {
+      value = { ...validatePatient(data), ...checkConsent(data) };
+    } catch (error) {
       return {
-        statusCode: 400,
+        statusCode: error.status || 400,
         headers,
-        body: JSON.stringify({ 
-          error: 'Missing required fields',
-          required: ['name', 'email', 'phone', 'group']
-        })
+        body: JSON.stringify(validationErrorBody(error))
       };
     }
 
-    // Airtable configuration
-    const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID || 'appxZlqnBp1am0S1O';
-    const AIRTABLE_TABLE_ID = process.env.AIRTABLE_TABLE_ID || 'tblgR3eSEG8qmJNsT';
-    const AIRTABLE_TOKEN = process.env.AIRTABLE_TOKEN || 'pat14mKr4y7Z0XEyN.d193281c0a2733ccf3d94e9ebb6e94601c2ca27b32b1a682951e8d8d358a04b1';
-
-    // Prepare Airtable record
-    const airtableData = {
-      records: [{
-        fields: {
-          Name: name,
-          Email: email,
-          Phone: phone,
-          Group: group,
-          Score: data.score || 0,
-          Registration_Status: 'Pending',
-          Payment_Status: 'Pending',
-          Message_Count: 0,
-          Registration_Date: new Date().toISOString().split('T')[0],
-          Source: 'Website Registration'
-        }
-      }]
-    };
-
-    // Send to Airtable
-    const airtableUrl = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${AIRTABLE_TABLE_ID}`;
-    
-    const airtableResponse = await fetch(airtableUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${AIRTABLE_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(airtableData)
-    });
-
-    if (!airtableResponse.ok) {
-      const errorText = await airtableResponse.text();
-      console.error('Airtable error:', errorText);
-      throw new Error(`Airtable API error: ${airtableResponse.status}`);
+    // Patient repository (Airtable unless PATIENT_STORE picks another backend)
+    const type = process.env.PATIENT_STORE || 'airtable';
+    const missing = type === 'airtable' ? AIRTABLE_SETTINGS.filter(name => !process.env[name]) : [];
+    if (missing.length > 0) {
+      console.error(`Patient registration is not configured: set ${missing.join(', ')}`);
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({
+          success: false,
+          error: 'Registration is not configured',
+          message: `Missing environment variables: ${missing.join(', ')}`
+        })
+      };
     }
+    const patientStore = createPatientStore({
+      type,
+      baseId: process.env.AIRTABLE_BASE_ID,
+      tableId: process.env.AIRTABLE_TABLE_ID,
+      token: process.env.AIRTABLE_TOKEN
+    });
 
-    const airtableResult = await airtableResponse.json();
+    const patient = await patientStore.create(newPatientRecord(value, 'Website Registration'));
     
     // Success response
     return {
@@ -95,12 +82,13 @@ exports.handler = async (event, context) => {
       body: JSON.stringify({
         success: true,
         message: 'Registration successful',
-        recordId: airtableResult.records[0].id,
+        recordId: patient.id,
         data: {
-          name,
-          email,
-          group,
-          registrationDate: airtableResult.records[0].fields.Registration_Date
+          name: patient.name,
+          email: patient.email,
+          group: patient.group,
+          score: patient.score,
+          registrationDate: patient.registrationDate
         }
       })
     };
@@ -108,8 +96,10 @@ exports.handler = async (event, context) => {
   } catch (error) {
     console.error('Registration error:', error);
     
+    // Airtable busy or down (lib/airtable-client.js): worth trying again shortly
+    const unavailable = ['AIRTABLE_RATE_LIMITED', 'AIRTABLE_UNAVAILABLE', 'AIRTABLE_NETWORK'].includes(error.code);
     return {
-      statusCode: 500,
+      statusCode: unavailable ? 503 : 500,
       headers,
       body: JSON.stringify({
         success: false,
@@ -0,0 +1,163 @@
+// doctor-routes.js - Doctors, their working hours and leave, clinic holidays and free slots
+const express = require('express');
+const { authenticateToken } = require('./lib/auth');
+const { hasPermission, requirePermission } = require('./lib/permissions');
+const { getStaffStore } = require('./lib/staff-store');
+const { getAvailabilityStore } = require('./lib/availability-store');
+const { isDateString, validateSchedule, getFreeSlots } = require('./lib/availability');
+const { findDoctor } = require('./lib/appointments');
+const { sendError } = require('./lib/http-error');
+const router = express.Router();
+
+// Doctors edit their own hours and leave; admins and receptionists edit anyone's
+function canManage(user, doctorId) {
+    return hasPermission(user.role, 'availability:manage') ||
+        (user.role === 'doctor' && String(user.userId) === String(doctorId));
+}
+
+// Load the doctor named in the URL, answering 404 when there is none
+async function loadDoctor(req, res) {
+    const doctor = await findDoctor(req.params.id);
+    if (!doctor) {
+        res.status(404).json({ error: 'Doctor not found' });
+    }
+    return doctor;
+}
+
+// Get doctors, with their weekly working hours
+router.get('/api/doctors', authenticateToken, async (req, res) => {
+    try {
+        const doctors = await getStaffStore().list({ role: 'doctor' });
+        const availabilityStore = getAvailabilityStore();
+        const result = await Promise.all(doctors.map(async doctor => ({
+            id: doctor.id,
+            first_name: doctor.first_name,
+            last_name: doctor.last_name,
+            email: doctor.email,
+            availability: await availabilityStore.getSchedule(doctor.id)
+        })));
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch doctors' });
+    }
+});
+
+// Working hours, breaks and leave of one doctor
+router.get('/api/doctors/:id/availability', authenticateToken, async (req, res) => {
+    try {
+        const doctor = await loadDoctor(req, res);
+        if (doctor) {
+            const availabilityStore = getAvailabilityStore();
+            res.json({
+                schedule: await availabilityStore.getSchedule(doctor.id),
+                leave: await availabilityStore.listLeave(doctor.id)
+            });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch availability');
+    }
+});
+
+// Replace the weekly working hours and breaks
+router.put('/api/doctors/:id/availability', authenticateToken, async (req, res) => {
+    try {
+        if (!canManage(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const doctor = await loadDoctor(req, res);
+        if (doctor) {
+            const schedule = await getAvailabilityStore().setSchedule(doctor.id, validateSchedule(req.body));
+            res.json({ message: 'Availability updated', schedule });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to update availability');
+    }
+});
+
+// Add one-off leave (inclusive date range)
+router.post('/api/doctors/:id/leave', authenticateToken, async (req, res) => {
+    try {
+        if (!canManage(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const { start_date, end_date = start_date, reason } = req.body;
+        if (!isDateString(start_date) || !isDateString(end_date) || end_date < start_date) {
+            return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD with end_date on or after start_date' });
+        }
+        const doctor = await loadDoctor(req, res);
+        if (doctor) {
+            const leave = await getAvailabilityStore().addLeave(doctor.id, { start_date, end_date, reason: reason || null });
+            res.status(201).json({ message: 'Leave added', leave });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to add leave');
+    }
+});
+
+// Remove leave
+router.delete('/api/doctors/:id/leave/:leaveId', authenticateToken, async (req, res) => {
+    try {
+        if (!canManage(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const removed = await getAvailabilityStore().removeLeave(req.params.id, req.params.leaveId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Leave not found' });
+        }
+        res.json({ message: 'Leave removed' });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove leave');
+    }
+});
+
+// Free slots of one doctor on one day: /api/doctors/:id/slots?date=YYYY-MM-DD[&duration=30]
+router.get('/api/doctors/:id/slots', authenticateToken, async (req, res) => {
+    try {
+        if (!req.query.date) {
+            return res.status(400).json({ error: 'date query parameter required (YYYY-MM-DD)' });
+        }
+        const doctor = await loadDoctor(req, res);
+        if (doctor) {
+            res.json(await getFreeSlots(doctor.id, req.query.date, { duration: req.query.duration }));
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch slots');
+    }
+});
+
+// Clinic holidays
+router.get('/api/clinic/holidays', authenticateToken, async (req, res) => {
+    try {
+        const holidays = await getAvailabilityStore().listHolidays();
+        res.json({ holidays, count: holidays.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch holidays');
+    }
+});
+
+router.post('/api/clinic/holidays', authenticateToken, requirePermission('holidays:manage'), async (req, res) => {
+    try {
+        const { date, name } = req.body;
+        if (!isDateString(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+        const holiday = await getAvailabilityStore().addHoliday({ date, name: name || null });
+        res.status(201).json({ message: 'Holiday added', holiday });
+    } catch (error) {
+        sendError(res, error, 'Failed to add holiday');
+    }
+});
+
+router.delete('/api/clinic/holidays/:id', authenticateToken, requirePermission('holidays:manage'), async (req, res) => {
+    try {
+        const removed = await getAvailabilityStore().removeHoliday(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ error: 'Holiday not found' });
+        }
+        res.json({ message: 'Holiday removed' });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove holiday');
+    }
+});
+
+module.exports = router;
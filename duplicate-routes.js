@@ -0,0 +1,75 @@
+// duplicate-routes.js - Review queue of possible duplicate patients (admins only)
+const express = require('express');
+const { authenticateToken } = require('./lib/auth');
+const { requirePermission } = require('./lib/permissions');
+const { CANDIDATE_STATUSES, getDuplicateStore } = require('./lib/duplicate-store');
+const { scanForDuplicates, listCandidates, dismissCandidate, mergeCandidate } = require('./lib/duplicates');
+const { sendError } = require('./lib/http-error');
+const { auditRequest, diffRecords } = require('./lib/audit');
+const router = express.Router();
+
+// Queue of possible duplicates: /api/duplicates?status=pending (default)
+router.get('/api/duplicates', authenticateToken, requirePermission('patients:merge'), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (status !== 'all' && !CANDIDATE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be all or one of: ${CANDIDATE_STATUSES.join(', ')}` });
+        }
+        const candidates = await listCandidates({
+            status: status === 'all' ? null : status,
+            patient_id: req.query.patient_id
+        });
+        res.json({ candidates, count: candidates.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch duplicate candidates');
+    }
+});
+
+// Check all existing patients and queue pairs not seen before
+router.post('/api/duplicates/scan', authenticateToken, requirePermission('patients:merge'), async (req, res) => {
+    try {
+        const result = await scanForDuplicates();
+        res.json({ message: `${result.added} new possible duplicate(s) queued`, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to scan for duplicates');
+    }
+});
+
+// Merge log: /api/duplicates/merges[?patient_id=]
+router.get('/api/duplicates/merges', authenticateToken, requirePermission('patients:merge'), async (req, res) => {
+    try {
+        const merges = await getDuplicateStore().listMerges({ patient_id: req.query.patient_id });
+        res.json({ merges, count: merges.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch merges');
+    }
+});
+
+// Not the same person; the pair will not be raised again
+router.post('/api/duplicates/:id/dismiss', authenticateToken, requirePermission('patients:merge'), async (req, res) => {
+    try {
+        const candidate = await dismissCandidate(req.params.id, req.user);
+        res.json({ message: 'Marked as not a duplicate', candidate });
+    } catch (error) {
+        sendError(res, error, 'Failed to dismiss candidate');
+    }
+});
+
+// Merge the pair: { keep: patientId, fields: { phone: otherPatientId, ... } }
+router.post('/api/duplicates/:id/merge', authenticateToken, requirePermission('patients:merge'), async (req, res) => {
+    try {
+        const result = await mergeCandidate(req.params.id, req.body, req.user);
+        const { merge } = result;
+        await auditRequest(req, 'patient.merge', {
+            patientIds: [merge.primary_id, merge.merged_id],
+            changes: diffRecords(merge.primary_before, merge.result),
+            // The folded-in record as a diff to nothing, so its values are redacted like any other
+            details: { candidate_id: merge.candidate_id, merged_id: merge.merged_id, merged_record: diffRecords(merge.merged_record, {}) }
+        });
+        res.json({ message: 'Patients merged', ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to merge patients');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// import-routes.js - Bulk patient import from CSV and Excel files (see lib/patient-import.js)
+const express = require('express');
+const { authenticateToken } = require('./lib/auth');
+const { requirePermission } = require('./lib/permissions');
+const { sendError } = require('./lib/http-error');
+const { auditRequest, auditContext } = require('./lib/audit');
+const {
+    MAX_FILE_BYTES,
+    createImport,
+    previewImport,
+    commitImport,
+    getImportSummary,
+    discardImport
+} = require('./lib/patient-import');
+const router = express.Router();
+
+// The file is the request body, as sent by fetch(url, { body: file }):
+// POST /api/imports?filename=camp-list.xlsx
+router.post('/api/imports', authenticateToken, requirePermission('patients:import'),
+    express.raw({ type: () => true, limit: MAX_FILE_BYTES }), async (req, res) => {
+        try {
+            const body = Buffer.isBuffer(req.body) ? req.body : null;
+            const result = await createImport(body, req.query.filename, auditContext(req));
+            res.status(201).json({ import: result });
+        } catch (error) {
+            sendError(res, error, 'Failed to read the import file');
+        }
+    });
+
+router.get('/api/imports/:id', authenticateToken, requirePermission('patients:import'), (req, res) => {
+    try {
+        res.json({ import: getImportSummary(req.params.id) });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch import');
+    }
+});
+
+// Dry run: { mapping: { field: column header }, source } -> a report for every row
+router.post('/api/imports/:id/preview', authenticateToken, requirePermission('patients:import'), async (req, res) => {
+    try {
+        const report = await previewImport(req.params.id, req.body);
+        // The report names existing patients the rows look like
+        const shown = report.rows.flatMap(row => (row.duplicates || []).filter(match => match.patientId).map(match => match.patientId));
+        await auditRequest(req, 'patient.import-preview', {
+            patientIds: [...new Set(shown)],
+            details: { import_id: report.import.id, file: report.import.fileName, summary: report.summary }
+        });
+        res.json(report);
+    } catch (error) {
+        sendError(res, error, 'Failed to preview import');
+    }
+});
+
+// { includeDuplicates } - saves the rows the preview passed, in batches
+router.post('/api/imports/:id/commit', authenticateToken, requirePermission('patients:import'), async (req, res) => {
+    try {
+        const result = await commitImport(req.params.id, { includeDuplicates: req.body.includeDuplicates === true }, auditContext(req));
+        res.json({ message: `${result.created} patient(s) imported`, ...result });
+    } catch (error) {
+        sendError(res, error, 'Failed to commit import');
+    }
+});
+
+router.delete('/api/imports/:id', authenticateToken, requirePermission('patients:import'), (req, res) => {
+    try {
+        discardImport(req.params.id);
+        res.json({ message: 'Import discarded' });
+    } catch (error) {
+        sendError(res, error, 'Failed to discard import');
+    }
+});
+
+// express.raw() refuses files over the limit before the route runs
+router.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Files can be at most ${MAX_FILE_BYTES / 1024 / 1024} MB`, code: 'FILE_TOO_LARGE' });
+    }
+    next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+// lib/airtable-client.js - The one place that talks to the Airtable REST API
+//
+// createAirtableClient({ baseId, tableId, token, apiUrl }) gives the records of
+// one table:
+//   list(params)           -> every record, following `offset` page by page
+//   get(id)                -> record or null
+//   create(fields)         -> record
+//   createMany([fields])   -> records, sent 10 at a time (Airtable's limit)
+//   update(id, fields)     -> record or null (PATCH, other fields are kept)
+//   updateMany([{ id, fields }]) -> records, 10 at a time
+//   remove(id)             -> true when a record was deleted
+// A 429 (more than 5 requests a second per base) is retried after Retry-After
+// or 1, 2, 4... seconds, at most AIRTABLE_MAX_RETRIES (default 5) times.
+//
+// Failures are AirtableErrors (error.name === 'AirtableError') with
+//   code        AIRTABLE_AUTH | AIRTABLE_NOT_FOUND | AIRTABLE_INVALID |
+//               AIRTABLE_RATE_LIMITED | AIRTABLE_UNAVAILABLE | AIRTABLE_NETWORK
+//   statusCode  Airtable's HTTP status (null when there was no answer)
+//   type        Airtable's own error type, e.g. INVALID_FILTER_BY_FORMULA
+// They deliberately have no `status`, so sendError() answers 500 and does not
+// hand Airtable's 401 or 404 to our own clients.
+//
+// filterByFormula must never be built by pasting user input into a string; use
+// the `formula` helpers, which quote values and field names:
+//   formula.or(formula.eq('Email', email), formula.eq('Phone', phone))
+const axios = require('axios');
+
+const BATCH_SIZE = 10;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+// Airtable formula strings are single-quoted with backslash escapes
+function quote(value) {
+    return `'${String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')}'`;
+}
+
+// A literal: numbers and booleans as themselves, everything else quoted
+function literal(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE()' : 'FALSE()';
+    }
+    return quote(value === undefined || value === null ? '' : value);
+}
+
+const formula = {
+    quote,
+    literal,
+    field: name => `{${String(name).replace(/\\/g, '\\\\').replace(/}/g, '\\}')}}`,
+    eq: (field, value) => `${formula.field(field)} = ${literal(value)}`,
+    and: (...conditions) => `AND(${conditions.join(', ')})`,
+    or: (...conditions) => `OR(${conditions.join(', ')})`,
+    not: condition => `NOT(${condition})`,
+    lower: expression => `LOWER(${expression})`,
+    // Case-insensitive "contains" over a field
+    contains: (field, term) => `SEARCH(${quote(String(term).toLowerCase())}, LOWER(${formula.field(field)}))`,
+    modifiedAfter: time => `IS_AFTER(LAST_MODIFIED_TIME(), ${quote(time)})`
+};
+
+const ERROR_CODES = {
+    401: 'AIRTABLE_AUTH',
+    403: 'AIRTABLE_AUTH',
+    404: 'AIRTABLE_NOT_FOUND',
+    422: 'AIRTABLE_INVALID',
+    429: 'AIRTABLE_RATE_LIMITED'
+};
+
+function airtableError(error) {
+    const response = error.response;
+    const statusCode = response ? response.status : null;
+    const details = response && response.data && response.data.error;
+    const type = details ? (typeof details === 'string' ? details : details.type) : null;
+    const code = response
+        ? ERROR_CODES[statusCode] || (statusCode >= 500 ? 'AIRTABLE_UNAVAILABLE' : 'AIRTABLE_INVALID')
+        : 'AIRTABLE_NETWORK';
+    const message = response
+        ? `Airtable ${statusCode}${type ? ` ${type}` : ''}: ${(details && details.message) || response.statusText || 'request failed'}`
+        : `Airtable unreachable: ${error.code || error.message}`;
+
+    const typed = new Error(message);
+    typed.name = 'AirtableError';
+    typed.code = code;
+    typed.statusCode = statusCode;
+    typed.type = type;
+    typed.cause = error;
+    return typed;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createAirtableClient(options = {}) {
+    const baseId = options.baseId || process.env.AIRTABLE_BASE_ID;
+    const tableId = options.tableId || process.env.AIRTABLE_TABLE_ID;
+    const token = options.token || process.env.AIRTABLE_TOKEN;
+    // AIRTABLE_API_URL points at scripts/airtable-stand-in.js during development
+    const apiUrl = options.apiUrl || process.env.AIRTABLE_API_URL || 'https://api.airtable.com/v0';
+    const maxRetries = options.maxRetries ?? (Number(process.env.AIRTABLE_MAX_RETRIES) || 5);
+    const tableUrl = `${apiUrl}/${baseId}/${encodeURIComponent(tableId)}`;
+    const headers = {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+    };
+
+    // One API call; waits out 429s and turns every failure into an AirtableError
+    async function request(method, path, { params, data } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await axios({ method, url: tableUrl + path, headers, params, data });
+                return response.data;
+            } catch (error) {
+                if (error.response && error.response.status === 429 && attempt < maxRetries) {
+                    const retryAfter = Number(error.response.headers && error.response.headers['retry-after']);
+                    await sleep(retryAfter > 0 ? retryAfter * 1000 : Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS));
+                    continue;
+                }
+                throw airtableError(error);
+            }
+        }
+    }
+
+    function recordPath(id) {
+        return `/${encodeURIComponent(id)}`;
+    }
+
+    // null instead of an error when the record does not exist
+    async function orNull(call) {
+        try {
+            return await call();
+        } catch (error) {
+            if (error.code === 'AIRTABLE_NOT_FOUND') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function list(params = {}) {
+        const records = [];
+        let offset;
+        do {
+            const page = await request('get', '', { params: { ...params, offset } });
+            records.push(...page.records);
+            offset = page.offset;
+        } while (offset);
+        return records;
+    }
+
+    async function inBatches(items, send) {
+        const results = [];
+        for (let i = 0; i < items.length; i += BATCH_SIZE) {
+            results.push(...await send(items.slice(i, i + BATCH_SIZE)));
+        }
+        return results;
+    }
+
+    return {
+        list,
+        get: id => orNull(() => request('get', recordPath(id))),
+        create: fields => request('post', '', { data: { fields } }),
+        createMany: fieldsList => inBatches(fieldsList, async batch =>
+            (await request('post', '', { data: { records: batch.map(fields => ({ fields })) } })).records),
+        update: (id, fields) => orNull(() => request('patch', recordPath(id), { data: { fields } })),
+        updateMany: updates => inBatches(updates, async batch =>
+            (await request('patch', '', { data: { records: batch.map(({ id, fields }) => ({ id, fields })) } })).records),
+        remove: async id => (await orNull(() => request('delete', recordPath(id)))) !== null
+    };
+}
+
+module.exports = { createAirtableClient, formula, BATCH_SIZE };
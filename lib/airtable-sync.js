@@ -0,0 +1,335 @@
+// lib/airtable-sync.js - Two-way sync between data/patients.json and the Airtable patient table
+//
+// Each run:
+//   1. pulls the Airtable records changed since the last sync point (all of
+//      them, page by page, on the first run or with { full: true })
+//   2. compares every local patient with the values both sides had after the
+//      last sync (the "base", kept per record in data/airtable-sync.json)
+//   3. applies the merged values to whichever side is behind, in batches: 10
+//      records to an Airtable request and one write of data/patients.json
+//
+// Conflict policy, per field:
+//   - changed on one side only      -> that side's value wins
+//   - changed on both, same value   -> nothing to do
+//   - first sync of a matched pair  -> a value on one side only is copied over
+//   - changed on both, different    -> the side modified last wins (local
+//     updatedAt against the Airtable Last_Modified column); Airtable wins
+//     when either time is unknown or they are equal. Every conflict is listed
+//     in the report.
+// Records are linked by the airtableId saved on the local patient; a record
+// seen on one side only is matched by email before a new one is created.
+// Deletions are not synced: a patient deleted on one side stays on the other,
+// and its link is kept so the sync does not bring it back.
+//
+// With { dryRun: true } nothing is written and the report lists what would
+// happen. The sync point only moves forward after a run without errors, so
+// failed records are tried again next time.
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+const { createPatientStore } = require('./patient-store');
+const { FIELD_MAP } = require('./patient-store/airtable-store');
+const { BATCH_SIZE } = require('./airtable-client');
+
+// Fields copied between the two sides (the Airtable columns we know). Password
+// hashes stay with the store the patient registered in.
+const SYNC_FIELDS = Object.keys(FIELD_MAP).filter(field => field !== 'password');
+
+// Re-read a little before the last sync point to cover clock differences;
+// records that did not really change are skipped by the base comparison
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+function stateFile() {
+    return process.env.AIRTABLE_SYNC_FILE || path.join(dataDir, 'airtable-sync.json');
+}
+
+function readState() {
+    return readJsonFile(stateFile(), { lastSyncAt: null, lastRunAt: null, links: {} });
+}
+
+function normalize(value) {
+    return value === undefined || value === null || value === '' ? null : value;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+function syncedFields(record) {
+    const fields = {};
+    SYNC_FIELDS.forEach(field => {
+        fields[field] = normalize(record[field]);
+    });
+    return fields;
+}
+
+// Synced fields that have a value
+function presentFields(record) {
+    const fields = syncedFields(record);
+    Object.keys(fields).filter(field => fields[field] === null).forEach(field => delete fields[field]);
+    return fields;
+}
+
+function normalizedEmail(record) {
+    return record.email ? String(record.email).trim().toLowerCase() : null;
+}
+
+// Three-way merge of one linked pair; returns the merged values, the fields
+// each side has to take over and the conflicts that were settled
+function mergeRecord(local, remote, base) {
+    const merged = {};
+    const toLocal = {};
+    const toRemote = {};
+    const conflicts = [];
+    const localTime = Date.parse(local.updatedAt) || null;
+    const remoteTime = Date.parse(remote.modifiedAt) || null;
+
+    SYNC_FIELDS.forEach(field => {
+        const localValue = normalize(local[field]);
+        const remoteValue = normalize(remote[field]);
+        let value;
+        if (sameValue(localValue, remoteValue)) {
+            value = localValue;
+        } else if (base && sameValue(localValue, base[field])) {
+            value = remoteValue;
+        } else if (base && sameValue(remoteValue, base[field])) {
+            value = localValue;
+        } else if (!base && (localValue === null || remoteValue === null)) {
+            value = localValue === null ? remoteValue : localValue;
+        } else {
+            const localWins = localTime && remoteTime && localTime > remoteTime;
+            value = localWins ? localValue : remoteValue;
+            conflicts.push({ field, local: localValue, remote: remoteValue, winner: localWins ? 'local' : 'airtable' });
+        }
+        merged[field] = value;
+        if (!sameValue(value, localValue)) {
+            toLocal[field] = value;
+        }
+        if (!sameValue(value, remoteValue)) {
+            toRemote[field] = value;
+        }
+    });
+    return { merged, toLocal, toRemote, conflicts };
+}
+
+// Run one sync; options: { dryRun, full, local, remote } where local/remote
+// replace the default stores (JSON file and Airtable, without rescoring)
+async function syncPatients(options = {}) {
+    const local = options.local || createPatientStore({ type: 'json', scoring: false });
+    const remote = options.remote || createPatientStore({ type: 'airtable', scoring: false });
+    const dryRun = !!options.dryRun;
+    const state = readState();
+    const links = { ...state.links };
+    const startedAt = new Date();
+    const since = options.full || !state.lastSyncAt
+        ? null
+        : new Date(Date.parse(state.lastSyncAt) - SYNC_OVERLAP_MS).toISOString();
+
+    const report = {
+        dryRun,
+        since,
+        startedAt: startedAt.toISOString(),
+        pulled: 0,
+        actions: [],
+        conflicts: [],
+        errors: [],
+        summary: {}
+    };
+
+    const remoteRecords = since ? await remote.changedSince(since) : await remote.list();
+    report.pulled = remoteRecords.length;
+
+    const localPatients = await local.list();
+    const linkedAirtableIds = new Set(Object.values(links).map(link => link.airtableId));
+    const localByAirtableId = new Map();
+    localPatients.forEach(patient => {
+        const airtableId = patient.airtableId || (links[patient.id] && links[patient.id].airtableId);
+        if (airtableId) {
+            localByAirtableId.set(airtableId, patient);
+        }
+    });
+    const unlinkedByEmail = new Map();
+    localPatients
+        .filter(patient => !localByAirtableId.has(patient.airtableId || (links[patient.id] && links[patient.id].airtableId)))
+        .forEach(patient => {
+            const email = normalizedEmail(patient);
+            if (email && !unlinkedByEmail.has(email)) {
+                unlinkedByEmail.set(email, patient);
+            }
+        });
+    const remoteEmails = new Set();
+
+    // Writes are queued while records are compared and sent afterwards in
+    // batches: BATCH_SIZE records to an Airtable request, one write of the
+    // local file per kind. A failed batch is reported for each of its actions
+    // and keeps its pairs from being linked, so they are tried again next run.
+    const queues = { localCreates: [], remoteCreates: [], remoteUpdates: [], localUpdates: [] };
+    const pairs = [];
+
+    function queue(name, action, payload, { pair, saved } = {}) {
+        report.actions.push(action);
+        queues[name].push({ action, payload, pair, saved });
+    }
+
+    async function flush(name, size, write) {
+        const items = queues[name];
+        queues[name] = [];
+        if (dryRun) {
+            return;
+        }
+        for (let start = 0; start < items.length; start += size) {
+            const batch = items.slice(start, start + size);
+            let results;
+            try {
+                results = await write(batch.map(item => item.payload));
+            } catch (error) {
+                batch.forEach(item => {
+                    report.errors.push({ ...item.action, error: error.message });
+                    if (item.pair) {
+                        item.pair.ok = false;
+                    }
+                });
+                continue;
+            }
+            batch.forEach((item, index) => item.saved && item.saved(results[index]));
+        }
+    }
+
+    function syncPair(patient, record, linkedBefore) {
+        const link = links[patient.id];
+        const base = link && link.airtableId === record.id ? link.base : null;
+        const { merged, toLocal, toRemote, conflicts } = mergeRecord(patient, record, base);
+        conflicts.forEach(conflict => report.conflicts.push({ localId: patient.id, airtableId: record.id, ...conflict }));
+
+        const pair = { localId: patient.id, link: { airtableId: record.id, base: merged }, ok: true };
+        pairs.push(pair);
+        if (!linkedBefore || patient.airtableId !== record.id || Object.keys(toLocal).length > 0) {
+            const type = linkedBefore ? 'pull-update' : 'link';
+            queue('localUpdates', { type, localId: patient.id, airtableId: record.id, fields: Object.keys(toLocal) },
+                { id: patient.id, changes: { ...toLocal, airtableId: record.id } }, { pair });
+        }
+        if (Object.keys(toRemote).length > 0) {
+            queue('remoteUpdates', { type: 'push-update', localId: patient.id, airtableId: record.id, fields: Object.keys(toRemote) },
+                { id: record.id, changes: toRemote }, { pair });
+        }
+    }
+
+    const handled = new Set();
+
+    // 1. Airtable records that changed since the last sync
+    for (const record of remoteRecords) {
+        let patient = localByAirtableId.get(record.id);
+        const linkedBefore = !!patient;
+        if (!patient) {
+            const email = normalizedEmail(record);
+            patient = email ? unlinkedByEmail.get(email) : null;
+            if (patient) {
+                unlinkedByEmail.delete(email);
+            }
+        }
+        if (normalizedEmail(record)) {
+            remoteEmails.add(normalizedEmail(record));
+        }
+        if (patient) {
+            handled.add(String(patient.id));
+            syncPair(patient, record, linkedBefore);
+            continue;
+        }
+        if (linkedAirtableIds.has(record.id)) {
+            report.actions.push({ type: 'skip', airtableId: record.id, reason: 'deleted locally' });
+            continue;
+        }
+        // Nothing goes back to Airtable for a record pulled in: the base is the
+        // local copy, so fields the local store fills in (registrationDate) do
+        // not count as local changes on the next run either
+        const fields = presentFields(record);
+        queue('localCreates', { type: 'pull-create', airtableId: record.id, fields: Object.keys(fields) },
+            { ...fields, airtableId: record.id },
+            { saved: created => { links[created.id] = { airtableId: record.id, base: syncedFields(created) }; } });
+    }
+
+    // 2. Local patients that changed since they were last synced, or never were
+    for (const patient of localPatients) {
+        if (handled.has(String(patient.id))) {
+            continue;
+        }
+        const link = links[patient.id];
+        const airtableId = patient.airtableId || (link && link.airtableId);
+        if (airtableId) {
+            if (link && link.airtableId === airtableId && SYNC_FIELDS.every(field => sameValue(patient[field], link.base[field]))) {
+                continue;
+            }
+            // A full pull had every record, so one missing from it was deleted
+            let record = null;
+            if (since) {
+                try {
+                    record = await remote.get(airtableId);
+                } catch (error) {
+                    report.errors.push({ type: 'fetch', localId: patient.id, airtableId, error: error.message });
+                    continue;
+                }
+            }
+            if (!record) {
+                report.actions.push({ type: 'skip', localId: patient.id, airtableId, reason: 'deleted in Airtable' });
+                continue;
+            }
+            syncPair(patient, record, true);
+            continue;
+        }
+        // Not linked: on a full pull a record with the same email was already
+        // matched above; otherwise look for one before creating a duplicate
+        const email = normalizedEmail(patient);
+        let existing = [];
+        if (email && !remoteEmails.has(email) && since) {
+            try {
+                existing = await remote.search({ email: patient.email });
+            } catch (error) {
+                report.errors.push({ type: 'fetch', localId: patient.id, error: error.message });
+                continue;
+            }
+        }
+        if (existing.length > 0) {
+            syncPair(patient, existing[0], false);
+            continue;
+        }
+        const fields = presentFields(patient);
+        queue('remoteCreates', { type: 'push-create', localId: patient.id, fields: Object.keys(fields) }, fields, {
+            saved: created => queue('localUpdates', { type: 'link', localId: patient.id, airtableId: created.id, fields: [] },
+                { id: patient.id, changes: { airtableId: created.id } },
+                { saved: linked => { if (linked) { links[patient.id] = { airtableId: created.id, base: syncedFields(created) }; } } })
+        });
+    }
+
+    // 3. The writes; local links to records created in Airtable go last
+    await flush('localCreates', Infinity, patients => local.createMany(patients));
+    await flush('remoteCreates', BATCH_SIZE, fieldsList => remote.createMany(fieldsList));
+    await flush('remoteUpdates', BATCH_SIZE, updates => remote.updateMany(updates));
+    await flush('localUpdates', Infinity, updates => local.updateMany(updates));
+    if (!dryRun) {
+        pairs.filter(pair => pair.ok).forEach(pair => {
+            links[pair.localId] = pair.link;
+        });
+    }
+
+    report.actions.forEach(action => {
+        report.summary[action.type] = (report.summary[action.type] || 0) + 1;
+    });
+    report.summary.conflicts = report.conflicts.length;
+    report.summary.errors = report.errors.length;
+
+    if (!dryRun) {
+        writeJsonFile(stateFile(), {
+            lastSyncAt: report.errors.length === 0 ? startedAt.toISOString() : state.lastSyncAt,
+            lastRunAt: startedAt.toISOString(),
+            links
+        });
+    }
+    return report;
+}
+
+// When the last sync ran and how many patients are linked
+function syncStatus() {
+    const state = readState();
+    return { lastSyncAt: state.lastSyncAt, lastRunAt: state.lastRunAt, linked: Object.keys(state.links).length };
+}
+
+module.exports = { SYNC_FIELDS, mergeRecord, syncPatients, syncStatus };
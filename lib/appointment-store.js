@@ -0,0 +1,289 @@
+// lib/appointment-store.js - Appointments and their status history, JSON file or MySQL
+//
+// APPOINTMENT_STORE picks the backend (json | sql). Both adapters follow the
+// appointments table from lib/database.js and expose:
+//   create(appointment, historyEntry)      -> saved appointment
+//   get(id)                                -> appointment or null
+//   list({ patient_id, doctor_id, status, from, to })
+//   transition(id, change, historyEntry)   -> updated appointment, where change is
+//                                             { fromStatuses, status, fields }
+//   history(id)                            -> status changes, oldest first
+//   reassignPatient(fromId, toId, historyEntry) -> moves every appointment of one
+//                                             patient to another (after a merge)
+// historyEntry is { action, changed_by, details }; the store adds from/to status.
+// create() and transition() check for overlapping bookings and write the
+// history entry in the same step, so two requests cannot book one slot.
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+const { httpError } = require('./http-error');
+
+// Bookings in these statuses hold their time slot
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+const DEFAULT_DURATION = 30;
+const MAX_DURATION = 240;
+
+function endOf(appointment) {
+    return new Date(new Date(appointment.appointment_date).getTime() + appointment.duration_minutes * 60 * 1000);
+}
+
+function overlaps(a, b) {
+    return new Date(a.appointment_date) < endOf(b) && new Date(b.appointment_date) < endOf(a);
+}
+
+function createJsonAppointmentStore(options = {}) {
+    const appointmentsFile = options.file || process.env.APPOINTMENTS_FILE || path.join(dataDir, 'appointments.json');
+
+    function readData() {
+        return readJsonFile(appointmentsFile, { nextId: 1, appointments: [], history: [] });
+    }
+
+    function findConflict(data, candidate) {
+        return data.appointments.find(existing =>
+            existing.id !== candidate.id &&
+            ACTIVE_STATUSES.includes(existing.status) &&
+            (String(existing.doctor_id) === String(candidate.doctor_id) ||
+                String(existing.patient_id) === String(candidate.patient_id)) &&
+            overlaps(existing, candidate)
+        );
+    }
+
+    function addHistory(data, appointmentId, entry) {
+        data.history.push({
+            id: data.history.length + 1,
+            appointment_id: appointmentId,
+            ...entry,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    async function create(appointment, historyEntry) {
+        const data = readData();
+        const conflict = findConflict(data, appointment);
+        if (conflict) {
+            throw httpError('This time overlaps another booking', 409, 'APPOINTMENT_CONFLICT');
+        }
+        const saved = {
+            id: data.nextId++,
+            ...appointment,
+            notes: appointment.notes || null,
+            created_at: new Date().toISOString()
+        };
+        data.appointments.push(saved);
+        addHistory(data, saved.id, { ...historyEntry, from_status: null, to_status: saved.status });
+        writeJsonFile(appointmentsFile, data);
+        return saved;
+    }
+
+    async function get(id) {
+        return readData().appointments.find(a => String(a.id) === String(id)) || null;
+    }
+
+    async function list(filter = {}) {
+        return readData().appointments
+            .filter(a => !filter.patient_id || String(a.patient_id) === String(filter.patient_id))
+            .filter(a => !filter.doctor_id || String(a.doctor_id) === String(filter.doctor_id))
+            .filter(a => !filter.status || a.status === filter.status)
+            .filter(a => !filter.from || new Date(a.appointment_date) >= new Date(filter.from))
+            .filter(a => !filter.to || new Date(a.appointment_date) < new Date(filter.to))
+            .sort((a, b) => new Date(a.appointment_date) - new Date(b.appointment_date));
+    }
+
+    async function transition(id, change, historyEntry) {
+        const data = readData();
+        const appointment = data.appointments.find(a => String(a.id) === String(id));
+        if (!appointment) {
+            throw httpError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+        }
+        if (!change.fromStatuses.includes(appointment.status)) {
+            throw httpError(`Cannot ${historyEntry.action} an appointment that is ${appointment.status}`, 409, 'INVALID_TRANSITION');
+        }
+        const updated = { ...appointment, ...change.fields, status: change.status };
+        if (ACTIVE_STATUSES.includes(updated.status) && findConflict(data, updated)) {
+            throw httpError('This time overlaps another booking', 409, 'APPOINTMENT_CONFLICT');
+        }
+        addHistory(data, appointment.id, { ...historyEntry, from_status: appointment.status, to_status: updated.status });
+        Object.assign(appointment, updated);
+        writeJsonFile(appointmentsFile, data);
+        return appointment;
+    }
+
+    async function history(id) {
+        return readData().history.filter(h => String(h.appointment_id) === String(id));
+    }
+
+    async function reassignPatient(fromId, toId, historyEntry) {
+        const data = readData();
+        const moved = data.appointments.filter(a => String(a.patient_id) === String(fromId));
+        moved.forEach(appointment => {
+            appointment.patient_id = toId;
+            addHistory(data, appointment.id, { ...historyEntry, from_status: appointment.status, to_status: appointment.status });
+        });
+        if (moved.length > 0) {
+            writeJsonFile(appointmentsFile, data);
+        }
+        return moved.map(a => a.id);
+    }
+
+    return { type: 'json', create, get, list, transition, history, reassignPatient };
+}
+
+function createSqlAppointmentStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+
+    function fromRow(row) {
+        return { ...row, appointment_date: new Date(row.appointment_date).toISOString() };
+    }
+
+    // Lock the doctor and patient rows so overlapping bookings are checked one at a time
+    async function lockAndCheck(connection, candidate) {
+        await connection.execute(
+            'SELECT id FROM users WHERE id IN (?, ?) FOR UPDATE',
+            [candidate.doctor_id, candidate.patient_id]
+        );
+        const start = new Date(candidate.appointment_date);
+        const [conflicts] = await connection.execute(
+            `SELECT id FROM appointments
+             WHERE (doctor_id = ? OR patient_id = ?) AND id <> ? AND status IN ('scheduled', 'confirmed')
+               AND appointment_date < ? AND DATE_ADD(appointment_date, INTERVAL duration_minutes MINUTE) > ?
+             LIMIT 1`,
+            [candidate.doctor_id, candidate.patient_id, candidate.id || 0, endOf(candidate), start]
+        );
+        if (conflicts.length > 0) {
+            throw httpError('This time overlaps another booking', 409, 'APPOINTMENT_CONFLICT');
+        }
+    }
+
+    async function addHistory(connection, appointmentId, entry) {
+        await connection.execute(
+            'INSERT INTO appointment_status_history (appointment_id, action, from_status, to_status, changed_by, details) VALUES (?, ?, ?, ?, ?, ?)',
+            [appointmentId, entry.action, entry.from_status || null, entry.to_status, entry.changed_by || null, entry.details ? JSON.stringify(entry.details) : null]
+        );
+    }
+
+    async function inTransaction(work) {
+        const connection = await pool().getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await work(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async function get(id) {
+        const [rows] = await pool().execute('SELECT * FROM appointments WHERE id = ?', [id]);
+        return rows.length ? fromRow(rows[0]) : null;
+    }
+
+    async function create(appointment, historyEntry) {
+        const id = await inTransaction(async connection => {
+            await lockAndCheck(connection, appointment);
+            const [result] = await connection.execute(
+                'INSERT INTO appointments (patient_id, doctor_id, appointment_date, duration_minutes, status, notes) VALUES (?, ?, ?, ?, ?, ?)',
+                [appointment.patient_id, appointment.doctor_id, new Date(appointment.appointment_date), appointment.duration_minutes, appointment.status, appointment.notes || null]
+            );
+            await addHistory(connection, result.insertId, { ...historyEntry, from_status: null, to_status: appointment.status });
+            return result.insertId;
+        });
+        return get(id);
+    }
+
+    async function list(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.patient_id) { conditions.push('patient_id = ?'); params.push(filter.patient_id); }
+        if (filter.doctor_id) { conditions.push('doctor_id = ?'); params.push(filter.doctor_id); }
+        if (filter.status) { conditions.push('status = ?'); params.push(filter.status); }
+        if (filter.from) { conditions.push('appointment_date >= ?'); params.push(new Date(filter.from)); }
+        if (filter.to) { conditions.push('appointment_date < ?'); params.push(new Date(filter.to)); }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [rows] = await pool().execute(`SELECT * FROM appointments ${where} ORDER BY appointment_date`, params);
+        return rows.map(fromRow);
+    }
+
+    async function transition(id, change, historyEntry) {
+        await inTransaction(async connection => {
+            const [rows] = await connection.execute('SELECT * FROM appointments WHERE id = ? FOR UPDATE', [id]);
+            if (rows.length === 0) {
+                throw httpError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+            }
+            const appointment = fromRow(rows[0]);
+            if (!change.fromStatuses.includes(appointment.status)) {
+                throw httpError(`Cannot ${historyEntry.action} an appointment that is ${appointment.status}`, 409, 'INVALID_TRANSITION');
+            }
+            const updated = { ...appointment, ...change.fields, status: change.status };
+            if (ACTIVE_STATUSES.includes(updated.status)) {
+                await lockAndCheck(connection, updated);
+            }
+            await connection.execute(
+                'UPDATE appointments SET appointment_date = ?, duration_minutes = ?, status = ?, notes = ? WHERE id = ?',
+                [new Date(updated.appointment_date), updated.duration_minutes, updated.status, updated.notes || null, id]
+            );
+            await addHistory(connection, id, { ...historyEntry, from_status: appointment.status, to_status: updated.status });
+        });
+        return get(id);
+    }
+
+    async function history(id) {
+        const [rows] = await pool().execute(
+            'SELECT * FROM appointment_status_history WHERE appointment_id = ? ORDER BY id',
+            [id]
+        );
+        return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+    }
+
+    async function reassignPatient(fromId, toId, historyEntry) {
+        return inTransaction(async connection => {
+            const [rows] = await connection.execute('SELECT id, status FROM appointments WHERE patient_id = ? FOR UPDATE', [fromId]);
+            await connection.execute('UPDATE appointments SET patient_id = ? WHERE patient_id = ?', [toId, fromId]);
+            for (const row of rows) {
+                await addHistory(connection, row.id, { ...historyEntry, from_status: row.status, to_status: row.status });
+            }
+            return rows.map(row => row.id);
+        });
+    }
+
+    return { type: 'sql', create, get, list, transition, history, reassignPatient };
+}
+
+const adapters = {
+    json: createJsonAppointmentStore,
+    sql: createSqlAppointmentStore
+};
+
+function createAppointmentStore(options = {}) {
+    const type = options.type || (process.env.APPOINTMENT_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown appointment store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let appointmentStore;
+
+function getAppointmentStore() {
+    if (!appointmentStore) {
+        appointmentStore = createAppointmentStore();
+    }
+    return appointmentStore;
+}
+
+function configureAppointmentStore(options = {}) {
+    appointmentStore = createAppointmentStore(options);
+    return appointmentStore;
+}
+
+module.exports = {
+    ACTIVE_STATUSES,
+    DEFAULT_DURATION,
+    MAX_DURATION,
+    createAppointmentStore,
+    getAppointmentStore,
+    configureAppointmentStore
+};
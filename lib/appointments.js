@@ -0,0 +1,130 @@
+// lib/appointments.js - Booking rules and status changes for appointments
+//
+// Status flow (the ENUM of the appointments table):
+//   scheduled -> confirmed -> completed
+//   scheduled | confirmed -> cancelled
+//   scheduled | confirmed -> rescheduled back to scheduled (needs confirming again)
+const { DEFAULT_DURATION, MAX_DURATION, getAppointmentStore } = require('./appointment-store');
+const { assertBookable } = require('./availability');
+const { httpError } = require('./http-error');
+const { getPatientStore } = require('./patient-store');
+const { getStaffStore } = require('./staff-store');
+const { notify } = require('./notifications');
+
+// Who made a change, e.g. "receptionist:12" or "patient:PAT123"
+function actorLabel(user) {
+    if (!user) {
+        return null;
+    }
+    return `${user.role}:${user.patientId || user.userId}`;
+}
+
+function parseStart(value) {
+    const start = new Date(value);
+    if (!value || isNaN(start.getTime())) {
+        throw httpError('appointment_date must be a valid date and time', 400, 'VALIDATION_ERROR');
+    }
+    if (start <= new Date()) {
+        throw httpError('appointment_date must be in the future', 400, 'VALIDATION_ERROR');
+    }
+    return start.toISOString();
+}
+
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_DURATION;
+    }
+    const duration = Number(value);
+    if (!Number.isInteger(duration) || duration < 5 || duration > MAX_DURATION) {
+        throw httpError(`duration_minutes must be a whole number between 5 and ${MAX_DURATION}`, 400, 'VALIDATION_ERROR');
+    }
+    return duration;
+}
+
+async function findDoctor(doctorId) {
+    const doctor = await getStaffStore().get(doctorId);
+    return doctor && doctor.role === 'doctor' ? doctor : null;
+}
+
+async function bookAppointment(input, actor) {
+    const { patient_id, doctor_id, notes } = input;
+    if (!patient_id || !doctor_id) {
+        throw httpError('patient_id and doctor_id are required', 400, 'VALIDATION_ERROR');
+    }
+    const appointment_date = parseStart(input.appointment_date);
+    const duration_minutes = parseDuration(input.duration_minutes);
+
+    const patient = await getPatientStore().get(patient_id);
+    if (!patient) {
+        throw httpError('Patient not found', 404, 'PATIENT_NOT_FOUND');
+    }
+    const doctor = await findDoctor(doctor_id);
+    if (!doctor) {
+        throw httpError('Doctor not found', 404, 'DOCTOR_NOT_FOUND');
+    }
+    await assertBookable(doctor_id, appointment_date, duration_minutes);
+
+    const appointment = await getAppointmentStore().create(
+        { patient_id, doctor_id, appointment_date, duration_minutes, status: 'scheduled', notes },
+        { action: 'book', changed_by: actorLabel(actor), details: null }
+    );
+    notify('appointment.booked', { patient, doctor, appointment })
+        .catch(error => console.error('Notification failed:', error.message));
+    return appointment;
+}
+
+function confirmAppointment(id, actor) {
+    return getAppointmentStore().transition(
+        id,
+        { fromStatuses: ['scheduled'], status: 'confirmed' },
+        { action: 'confirm', changed_by: actorLabel(actor), details: null }
+    );
+}
+
+function cancelAppointment(id, actor, reason) {
+    return getAppointmentStore().transition(
+        id,
+        { fromStatuses: ['scheduled', 'confirmed'], status: 'cancelled' },
+        { action: 'cancel', changed_by: actorLabel(actor), details: reason ? { reason } : null }
+    );
+}
+
+async function rescheduleAppointment(id, actor, input) {
+    const existing = await getAppointmentStore().get(id);
+    if (!existing) {
+        throw httpError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+    }
+    const appointment_date = parseStart(input.appointment_date);
+    const duration_minutes = input.duration_minutes === undefined
+        ? existing.duration_minutes
+        : parseDuration(input.duration_minutes);
+    await assertBookable(existing.doctor_id, appointment_date, duration_minutes);
+
+    return getAppointmentStore().transition(
+        id,
+        { fromStatuses: ['scheduled', 'confirmed'], status: 'scheduled', fields: { appointment_date, duration_minutes } },
+        {
+            action: 'reschedule',
+            changed_by: actorLabel(actor),
+            details: { previous_date: existing.appointment_date, appointment_date, reason: input.reason || null }
+        }
+    );
+}
+
+function completeAppointment(id, actor, notes) {
+    return getAppointmentStore().transition(
+        id,
+        { fromStatuses: ['scheduled', 'confirmed'], status: 'completed', fields: notes ? { notes } : {} },
+        { action: 'complete', changed_by: actorLabel(actor), details: null }
+    );
+}
+
+module.exports = {
+    actorLabel,
+    findDoctor,
+    bookAppointment,
+    confirmAppointment,
+    cancelAppointment,
+    rescheduleAppointment,
+    completeAppointment
+};
@@ -0,0 +1,152 @@
+// lib/audit-store.js - Append-only storage for the patient audit log, JSON lines or MySQL
+//
+// AUDIT_STORE picks the backend (json | sql). Entries are only ever added;
+// there is no way to change or remove one. Adapters expose:
+//   append(build)  -> saved entry. build(lastEntry) makes the next entry from
+//                     the one before it (null for the first) and runs while
+//                     the log is locked, so the hash chain of lib/audit.js
+//                     cannot fork when two requests write at once
+//   list(filter)   -> entries oldest first; filter { patient_id, actor, action, from, to }
+//                     where actor is an email or id and from/to are ISO times
+// The JSON adapter writes one entry per line to data/audit-log.jsonl.
+const fs = require('fs');
+const path = require('path');
+const { dataDir, appendJsonLine, withFileLock } = require('./json-file');
+
+function matchesFilter(entry, filter) {
+    return (!filter.patient_id || entry.patient_ids.includes(String(filter.patient_id))) &&
+        (!filter.actor || [entry.actor.email, entry.actor.id].includes(String(filter.actor))) &&
+        (!filter.action || entry.action === filter.action) &&
+        (!filter.from || entry.at >= filter.from) &&
+        (!filter.to || entry.at <= filter.to);
+}
+
+function createJsonAuditStore(options = {}) {
+    const logFile = options.file || process.env.AUDIT_LOG_FILE || path.join(dataDir, 'audit-log.jsonl');
+    // Last entry and the file size it was read at; another process appending changes the size
+    let cached = null;
+
+    function readEntries() {
+        if (!fs.existsSync(logFile)) {
+            return [];
+        }
+        return fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                const corrupt = new Error(`Audit log line ${index + 1} cannot be read: ${error.message}`);
+                corrupt.code = 'AUDIT_LOG_CORRUPT';
+                throw corrupt;
+            }
+        });
+    }
+
+    function lastEntry() {
+        const size = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+        if (!cached || cached.size !== size) {
+            const entries = readEntries();
+            cached = { size, last: entries[entries.length - 1] || null };
+        }
+        return cached.last;
+    }
+
+    async function append(build) {
+        return withFileLock(logFile, () => {
+            const entry = build(lastEntry());
+            appendJsonLine(logFile, entry);
+            cached = { size: fs.statSync(logFile).size, last: entry };
+            return entry;
+        });
+    }
+
+    async function list(filter = {}) {
+        return readEntries().filter(entry => matchesFilter(entry, filter));
+    }
+
+    return { type: 'json', append, list };
+}
+
+function createSqlAuditStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+    const JSON_COLUMNS = ['actor', 'patient_ids', 'changes', 'details'];
+
+    function fromRow(row) {
+        const entry = { ...row, id: Number(row.id) };
+        JSON_COLUMNS.forEach(column => {
+            if (typeof entry[column] === 'string') {
+                entry[column] = JSON.parse(entry[column]);
+            }
+        });
+        return entry;
+    }
+
+    async function append(build) {
+        const connection = await pool().getConnection();
+        try {
+            await connection.beginTransaction();
+            // Locks the newest row, so writers take turns extending the chain
+            const [rows] = await connection.execute('SELECT * FROM audit_log ORDER BY id DESC LIMIT 1 FOR UPDATE');
+            const entry = build(rows.length ? fromRow(rows[0]) : null);
+            await connection.execute(
+                'INSERT INTO audit_log (id, at, actor, action, patient_ids, ip, changes, details, prev_hash, hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [entry.id, entry.at, JSON.stringify(entry.actor), entry.action, JSON.stringify(entry.patient_ids), entry.ip,
+                    JSON.stringify(entry.changes), JSON.stringify(entry.details), entry.prev_hash, entry.hash]
+            );
+            await connection.commit();
+            return entry;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    async function list(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.patient_id) { conditions.push('JSON_CONTAINS(patient_ids, ?)'); params.push(JSON.stringify(String(filter.patient_id))); }
+        if (filter.actor) {
+            conditions.push("(JSON_UNQUOTE(JSON_EXTRACT(actor, '$.email')) = ? OR JSON_UNQUOTE(JSON_EXTRACT(actor, '$.id')) = ?)");
+            params.push(String(filter.actor), String(filter.actor));
+        }
+        if (filter.action) { conditions.push('action = ?'); params.push(filter.action); }
+        if (filter.from) { conditions.push('at >= ?'); params.push(filter.from); }
+        if (filter.to) { conditions.push('at <= ?'); params.push(filter.to); }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [rows] = await pool().execute(`SELECT * FROM audit_log ${where} ORDER BY id`, params);
+        return rows.map(fromRow);
+    }
+
+    return { type: 'sql', append, list };
+}
+
+const adapters = {
+    json: createJsonAuditStore,
+    sql: createSqlAuditStore
+};
+
+function createAuditStore(options = {}) {
+    const type = options.type || (process.env.AUDIT_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown audit store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let auditStore;
+
+function getAuditStore() {
+    if (!auditStore) {
+        auditStore = createAuditStore();
+    }
+    return auditStore;
+}
+
+function configureAuditStore(options = {}) {
+    auditStore = createAuditStore(options);
+    return auditStore;
+}
+
+module.exports = { createAuditStore, getAuditStore, configureAuditStore };
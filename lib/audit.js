@@ -0,0 +1,221 @@
+// lib/audit.js - Who looked at or changed which patient, and when
+//
+// Every patient route adds an entry to the audit log (lib/audit-store.js):
+//   { id, at, actor: { type, id, email, role }, action, patient_ids, ip,
+//     changes: { field: { from, to } }, details, prev_hash, hash }
+// actor.type is staff, patient, public (registration forms) or system.
+// Actions are named patient.<verb>: list, search, view, create, update,
+// delete, merge, export, score, rescore, notes, note-add, note-delete, message,
+// consents, erase-requested, erase, erase-rejected (lib/privacy.js),
+// import-preview and import (lib/patient-import.js), and restore when
+// lib/backups.js swaps a snapshot in.
+// Reads record the patients that were shown; writes record a field-level diff.
+// Values that identify a patient or describe their health - the fields
+// lib/patient-crypto.js encrypts - never reach the log, nor do passwords or
+// note texts: the diff names the field and shows '[redacted]' for its values.
+// Search terms (redactQuery) and message texts are kept out the same way.
+//
+// The log is tamper-evident: each entry's hash is a SHA-256 over the entry
+// itself (keys sorted, hash left out), and that includes the hash of the entry
+// before it. Editing, removing or reordering an entry breaks the chain from
+// that point on, and verifyAuditLog() reports where.
+const crypto = require('crypto');
+const { getAuditStore } = require('./audit-store');
+const { ENCRYPTED_FIELDS } = require('./patient-crypto');
+const { httpError } = require('./http-error');
+
+const GENESIS_HASH = '0'.repeat(64);
+const REDACTED_FIELDS = ['password', 'note', ...ENCRYPTED_FIELDS];
+// Query parameters that only filter or sort a list (lib/patient-query.js)
+const PLAIN_QUERY_PARAMS = ['page', 'limit', 'sort', 'order', 'status', 'group', 'paymentStatus', 'source',
+    'from', 'to', 'format', 'fields'];
+const SYSTEM_ACTOR = { type: 'system', id: null, email: null, role: null };
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// JSON with object keys sorted at every level, so a hash does not depend on
+// the order a store (MySQL JSON columns) hands the keys back in
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashEntry(entry) {
+    const { hash, ...rest } = entry;
+    return crypto.createHash('sha256').update(canonicalJson(rest)).digest('hex');
+}
+
+function redacted(value) {
+    return value === undefined || value === null ? null : '[redacted]';
+}
+
+// Fields that differ between two versions of a record; {} stands for "none"
+// (a create diffs from {}, a delete to {})
+function diffRecords(before = {}, after = {}) {
+    const changes = {};
+    new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(field => {
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (canonicalJson(from) === canonicalJson(to)) {
+            return;
+        }
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { from: redacted(from), to: redacted(to) }
+            : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    });
+    return changes;
+}
+
+// Query parameters for an entry's details: every value that is not a plain
+// filter (a search term is a name, phone or email; a cursor holds a sort
+// value) becomes '[redacted]'
+function redactQuery(query = {}) {
+    return Object.fromEntries(Object.entries(query).map(([key, value]) =>
+        [key, PLAIN_QUERY_PARAMS.includes(key) ? value : redacted(value)]));
+}
+
+// Who made a request and from where; req.user is the token payload (lib/auth.js)
+function auditContext(req) {
+    const user = req.user;
+    const actor = !user
+        ? { type: 'public', id: null, email: null, role: null }
+        : {
+            type: user.role === 'patient' ? 'patient' : 'staff',
+            id: String(user.role === 'patient' ? user.patientId : user.userId),
+            email: user.email || null,
+            role: user.role
+        };
+    return { actor, ip: req.ip || null };
+}
+
+// Append one entry. context comes from auditContext(req); without one the
+// entry is the system's own (scripts, background jobs).
+async function recordAudit(context, { action, patientIds = [], changes = {}, details = {} }) {
+    const { actor, ip } = context || { actor: SYSTEM_ACTOR, ip: null };
+    return getAuditStore().append(last => {
+        const entry = {
+            id: last ? last.id + 1 : 1,
+            at: new Date().toISOString(),
+            actor,
+            action,
+            patient_ids: patientIds.filter(id => id !== undefined && id !== null).map(String),
+            ip,
+            changes,
+            details,
+            prev_hash: last ? last.hash : GENESIS_HASH
+        };
+        return { ...entry, hash: hashEntry(entry) };
+    });
+}
+
+// recordAudit() for work that has already happened: a failed write is logged
+// and does not fail the request
+async function logAudit(context, entry) {
+    try {
+        return await recordAudit(context, entry);
+    } catch (error) {
+        console.error(`Audit log write failed (${entry.action}):`, error.message);
+        return null;
+    }
+}
+
+function auditRequest(req, action, entry = {}) {
+    return logAudit(auditContext(req), { action, ...entry });
+}
+
+// Walk the whole chain; { valid, entries, lastHash, brokenAt: { id, reason } | null }
+async function verifyAuditLog() {
+    let entries;
+    try {
+        entries = await getAuditStore().list();
+    } catch (error) {
+        if (error.code === 'AUDIT_LOG_CORRUPT') {
+            return { valid: false, entries: null, lastHash: null, brokenAt: { id: null, reason: error.message } };
+        }
+        throw error;
+    }
+    let previous = null;
+    for (const entry of entries) {
+        const expectedId = previous ? previous.id + 1 : 1;
+        let reason = null;
+        if (entry.id !== expectedId) {
+            reason = `expected entry ${expectedId} here - entries are missing or out of order`;
+        } else if (entry.prev_hash !== (previous ? previous.hash : GENESIS_HASH)) {
+            reason = 'prev_hash does not match the entry before it';
+        } else if (entry.hash !== hashEntry(entry)) {
+            reason = 'the entry was changed after it was written';
+        }
+        if (reason) {
+            return { valid: false, entries: entries.length, lastHash: null, brokenAt: { id: entry.id, reason } };
+        }
+        previous = entry;
+    }
+    return { valid: true, entries: entries.length, lastHash: previous ? previous.hash : GENESIS_HASH, brokenAt: null };
+}
+
+// A date without a time in `to` covers that whole day
+function parseTime(value, name, endOfDay) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00:00.000Z` : value);
+    if (Number.isNaN(time)) {
+        throw httpError(`${name} must be a date (YYYY-MM-DD) or an ISO date and time`, 400, 'INVALID_QUERY');
+    }
+    return new Date(dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time).toISOString();
+}
+
+function pageNumber(value, name, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw httpError(`${name} must be a whole number of at least 1`, 400, 'INVALID_QUERY');
+    }
+    return number;
+}
+
+// GET /api/admin/audit: patient_id, actor, action, from, to, page, limit; newest first
+async function queryAuditLog(params = {}) {
+    const limit = pageNumber(params.limit, 'limit', DEFAULT_LIMIT);
+    if (limit > MAX_LIMIT) {
+        throw httpError(`limit must be at most ${MAX_LIMIT}`, 400, 'INVALID_QUERY');
+    }
+    const page = pageNumber(params.page, 'page', 1);
+    const entries = (await getAuditStore().list({
+        patient_id: params.patient_id || null,
+        actor: params.actor || null,
+        action: params.action || null,
+        from: parseTime(params.from, 'from', false),
+        to: parseTime(params.to, 'to', true)
+    })).reverse();
+    return {
+        entries: entries.slice((page - 1) * limit, page * limit),
+        total: entries.length,
+        page,
+        pages: Math.ceil(entries.length / limit),
+        limit
+    };
+}
+
+module.exports = {
+    GENESIS_HASH,
+    diffRecords,
+    redactQuery,
+    hashEntry,
+    auditContext,
+    recordAudit,
+    logAudit,
+    auditRequest,
+    verifyAuditLog,
+    queryAuditLog
+};
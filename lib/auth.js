@@ -0,0 +1,67 @@
+// lib/auth.js - Passwords, JWT access tokens and the authenticateToken middleware
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('./session-store');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const BCRYPT_ROUNDS = 12;
+
+// There is no default: anyone who knew it could sign themselves an admin token.
+// The servers call this at startup so a missing secret stops them there.
+function jwtSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not set - put a long random value in .env (e.g. from `openssl rand -hex 32`)');
+    }
+    return process.env.JWT_SECRET;
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// bcrypt hashes look like $2a$12$...; anything else is a legacy plaintext password
+function isPasswordHash(value) {
+    return /^\$2[aby]\$\d{2}\$/.test(String(value || ''));
+}
+
+function verifyPassword(password, hash) {
+    if (!isPasswordHash(hash)) {
+        return Promise.resolve(false);
+    }
+    return bcrypt.compare(String(password), hash);
+}
+
+function signAccessToken(payload, expiresIn = ACCESS_TOKEN_TTL) {
+    return jwt.sign(payload, jwtSecret(), { expiresIn });
+}
+
+// Authentication middleware
+const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+    }
+
+    jwt.verify(token, jwtSecret(), (err, user) => {
+        // Every token is issued for a login session; one without is not ours
+        if (err || !user.sid) return res.status(403).json({ error: 'Invalid token' });
+        // and stops working once that session is logged out
+        if (!isSessionActive(user.sid)) {
+            return res.status(401).json({ error: 'Session has ended' });
+        }
+        req.user = user;
+        next();
+    });
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    jwtSecret,
+    hashPassword,
+    isPasswordHash,
+    verifyPassword,
+    signAccessToken,
+    authenticateToken
+};
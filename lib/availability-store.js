@@ -0,0 +1,180 @@
+// lib/availability-store.js - Doctor working hours, one-off leave and clinic holidays
+//
+// AVAILABILITY_STORE picks the backend (json | sql). Adapters expose:
+//   getSchedule(doctorId) / setSchedule(doctorId, schedule)
+//   listLeave(doctorId) / addLeave(doctorId, leave) / removeLeave(doctorId, leaveId)
+//   listHolidays() / addHoliday(holiday) / removeHoliday(holidayId)
+// A schedule looks like:
+//   {
+//     slot_minutes: 30,
+//     hours: { monday: [{ start: '09:00', end: '13:00' }, { start: '14:00', end: '18:00' }], ... },
+//     breaks: [{ days: ['monday', 'friday'], start: '11:00', end: '11:15' }]   // no days = every day
+//   }
+const crypto = require('crypto');
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+
+function createJsonAvailabilityStore(options = {}) {
+    const availabilityFile = options.file || process.env.AVAILABILITY_FILE || path.join(dataDir, 'availability.json');
+
+    function readData() {
+        return readJsonFile(availabilityFile, { schedules: {}, leave: [], holidays: [] });
+    }
+
+    async function getSchedule(doctorId) {
+        return readData().schedules[doctorId] || null;
+    }
+
+    async function setSchedule(doctorId, schedule) {
+        const data = readData();
+        data.schedules[doctorId] = schedule;
+        writeJsonFile(availabilityFile, data);
+        return schedule;
+    }
+
+    async function listLeave(doctorId) {
+        return readData().leave.filter(l => String(l.doctor_id) === String(doctorId));
+    }
+
+    async function addLeave(doctorId, leave) {
+        const data = readData();
+        const saved = { id: crypto.randomUUID(), doctor_id: doctorId, ...leave };
+        data.leave.push(saved);
+        writeJsonFile(availabilityFile, data);
+        return saved;
+    }
+
+    async function removeLeave(doctorId, leaveId) {
+        const data = readData();
+        const remaining = data.leave.filter(l => !(l.id === leaveId && String(l.doctor_id) === String(doctorId)));
+        if (remaining.length === data.leave.length) {
+            return false;
+        }
+        data.leave = remaining;
+        writeJsonFile(availabilityFile, data);
+        return true;
+    }
+
+    async function listHolidays() {
+        return readData().holidays.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async function addHoliday(holiday) {
+        const data = readData();
+        const saved = { id: crypto.randomUUID(), ...holiday };
+        data.holidays.push(saved);
+        writeJsonFile(availabilityFile, data);
+        return saved;
+    }
+
+    async function removeHoliday(holidayId) {
+        const data = readData();
+        const remaining = data.holidays.filter(h => h.id !== holidayId);
+        if (remaining.length === data.holidays.length) {
+            return false;
+        }
+        data.holidays = remaining;
+        writeJsonFile(availabilityFile, data);
+        return true;
+    }
+
+    return { type: 'json', getSchedule, setSchedule, listLeave, addLeave, removeLeave, listHolidays, addHoliday, removeHoliday };
+}
+
+function createSqlAvailabilityStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+
+    // DATE columns come back as Date objects; the API uses YYYY-MM-DD strings
+    function toDateString(value) {
+        if (!(value instanceof Date)) {
+            return value;
+        }
+        const month = String(value.getMonth() + 1).padStart(2, '0');
+        const day = String(value.getDate()).padStart(2, '0');
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+
+    async function getSchedule(doctorId) {
+        const [rows] = await pool().execute('SELECT schedule FROM doctor_availability WHERE doctor_id = ?', [doctorId]);
+        if (rows.length === 0) {
+            return null;
+        }
+        return typeof rows[0].schedule === 'string' ? JSON.parse(rows[0].schedule) : rows[0].schedule;
+    }
+
+    async function setSchedule(doctorId, schedule) {
+        await pool().execute(
+            'INSERT INTO doctor_availability (doctor_id, schedule) VALUES (?, ?) ON DUPLICATE KEY UPDATE schedule = VALUES(schedule)',
+            [doctorId, JSON.stringify(schedule)]
+        );
+        return schedule;
+    }
+
+    async function listLeave(doctorId) {
+        const [rows] = await pool().execute('SELECT * FROM doctor_leave WHERE doctor_id = ? ORDER BY start_date', [doctorId]);
+        return rows.map(row => ({ ...row, id: String(row.id), start_date: toDateString(row.start_date), end_date: toDateString(row.end_date) }));
+    }
+
+    async function addLeave(doctorId, leave) {
+        const [result] = await pool().execute(
+            'INSERT INTO doctor_leave (doctor_id, start_date, end_date, reason) VALUES (?, ?, ?, ?)',
+            [doctorId, leave.start_date, leave.end_date, leave.reason || null]
+        );
+        return { id: String(result.insertId), doctor_id: doctorId, ...leave };
+    }
+
+    async function removeLeave(doctorId, leaveId) {
+        const [result] = await pool().execute('DELETE FROM doctor_leave WHERE id = ? AND doctor_id = ?', [leaveId, doctorId]);
+        return result.affectedRows > 0;
+    }
+
+    async function listHolidays() {
+        const [rows] = await pool().execute('SELECT * FROM clinic_holidays ORDER BY holiday_date');
+        return rows.map(row => ({ id: String(row.id), date: toDateString(row.holiday_date), name: row.name }));
+    }
+
+    async function addHoliday(holiday) {
+        const [result] = await pool().execute(
+            'INSERT INTO clinic_holidays (holiday_date, name) VALUES (?, ?)',
+            [holiday.date, holiday.name || null]
+        );
+        return { id: String(result.insertId), ...holiday };
+    }
+
+    async function removeHoliday(holidayId) {
+        const [result] = await pool().execute('DELETE FROM clinic_holidays WHERE id = ?', [holidayId]);
+        return result.affectedRows > 0;
+    }
+
+    return { type: 'sql', getSchedule, setSchedule, listLeave, addLeave, removeLeave, listHolidays, addHoliday, removeHoliday };
+}
+
+const adapters = {
+    json: createJsonAvailabilityStore,
+    sql: createSqlAvailabilityStore
+};
+
+function createAvailabilityStore(options = {}) {
+    const type = options.type || (process.env.AVAILABILITY_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown availability store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let availabilityStore;
+
+function getAvailabilityStore() {
+    if (!availabilityStore) {
+        availabilityStore = createAvailabilityStore();
+    }
+    return availabilityStore;
+}
+
+function configureAvailabilityStore(options = {}) {
+    availabilityStore = createAvailabilityStore(options);
+    return availabilityStore;
+}
+
+module.exports = { createAvailabilityStore, getAvailabilityStore, configureAvailabilityStore };
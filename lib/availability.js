@@ -0,0 +1,204 @@
+// lib/availability.js - Turn working hours, breaks, leave and holidays into bookable slots
+//
+// Working hours are clinic local time; CLINIC_UTC_OFFSET (default +05:30, IST)
+// converts them to the UTC instants that appointments are stored in.
+const { ACTIVE_STATUSES, DEFAULT_DURATION, MAX_DURATION, getAppointmentStore } = require('./appointment-store');
+const { getAvailabilityStore } = require('./availability-store');
+const { httpError } = require('./http-error');
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE = 60 * 1000;
+
+function clinicOffsetMinutes() {
+    const match = /^([+-])(\d{2}):(\d{2})$/.exec(process.env.CLINIC_UTC_OFFSET || '+05:30');
+    if (!match) {
+        throw new Error('CLINIC_UTC_OFFSET must look like +05:30');
+    }
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+// 'HH:MM' -> minutes after midnight
+function toMinutes(time) {
+    const match = /^(\d{2}):(\d{2})$/.exec(String(time));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        return null;
+    }
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes <= 24 * 60 ? minutes : null;
+}
+
+function formatTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function isDateString(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(date)) && !isNaN(new Date(`${date}T00:00:00Z`).getTime());
+}
+
+// Clinic-local minutes on a date -> UTC Date
+function clinicTime(date, minutes) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 0, minutes) - clinicOffsetMinutes() * MINUTE);
+}
+
+// UTC instant -> clinic-local { date, minutes }
+function toClinicLocal(instant) {
+    const local = new Date(new Date(instant).getTime() + clinicOffsetMinutes() * MINUTE);
+    return {
+        date: local.toISOString().slice(0, 10),
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+    };
+}
+
+function weekdayOf(date) {
+    return DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Remove [cutStart, cutEnd) from a list of [start, end) intervals
+function subtract(intervals, cutStart, cutEnd) {
+    const result = [];
+    intervals.forEach(([start, end]) => {
+        if (cutEnd <= start || cutStart >= end) {
+            result.push([start, end]);
+            return;
+        }
+        if (cutStart > start) result.push([start, cutStart]);
+        if (cutEnd < end) result.push([cutEnd, end]);
+    });
+    return result;
+}
+
+// Working intervals for a date in clinic-local minutes, with breaks taken out
+function workingIntervals(schedule, date) {
+    const day = weekdayOf(date);
+    let intervals = (schedule.hours[day] || []).map(range => [toMinutes(range.start), toMinutes(range.end)]);
+    (schedule.breaks || [])
+        .filter(b => !b.days || b.days.length === 0 || b.days.includes(day))
+        .forEach(b => { intervals = subtract(intervals, toMinutes(b.start), toMinutes(b.end)); });
+    return intervals.sort((a, b) => a[0] - b[0]);
+}
+
+// Check and normalize a schedule sent by staff
+function validateSchedule(input) {
+    const errors = [];
+    const checkRange = (range, label) => {
+        const start = toMinutes(range && range.start);
+        const end = toMinutes(range && range.end);
+        if (start === null || end === null || start >= end) {
+            errors.push(`${label} needs start and end as HH:MM with start before end`);
+        }
+    };
+
+    const slotMinutes = input.slot_minutes === undefined ? DEFAULT_DURATION : Number(input.slot_minutes);
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 5 || slotMinutes > MAX_DURATION) {
+        errors.push(`slot_minutes must be a whole number between 5 and ${MAX_DURATION}`);
+    }
+
+    const hours = {};
+    Object.keys(input.hours || {}).forEach(day => {
+        if (!DAYS.includes(day)) {
+            errors.push(`Unknown day "${day}" in hours`);
+            return;
+        }
+        hours[day] = (input.hours[day] || []).map(range => ({ start: range.start, end: range.end }));
+        hours[day].forEach((range, index) => checkRange(range, `hours.${day}[${index}]`));
+    });
+
+    const breaks = (input.breaks || []).map((b, index) => {
+        checkRange(b, `breaks[${index}]`);
+        (b.days || []).filter(day => !DAYS.includes(day)).forEach(day => errors.push(`Unknown day "${day}" in breaks[${index}]`));
+        return { days: b.days || [], start: b.start, end: b.end };
+    });
+
+    if (errors.length > 0) {
+        throw Object.assign(httpError('Invalid schedule', 400, 'VALIDATION_ERROR'), { details: errors });
+    }
+    return { slot_minutes: slotMinutes, hours, breaks };
+}
+
+// Why a doctor cannot see patients on a date, or null when they can
+async function closedReason(doctorId, date) {
+    const store = getAvailabilityStore();
+    const holiday = (await store.listHolidays()).find(h => h.date === date);
+    if (holiday) {
+        return `Clinic holiday${holiday.name ? `: ${holiday.name}` : ''}`;
+    }
+    const leave = (await store.listLeave(doctorId)).find(l => l.start_date <= date && date <= l.end_date);
+    if (leave) {
+        return 'Doctor on leave';
+    }
+    return null;
+}
+
+// Free slots for one doctor on one clinic-local date (YYYY-MM-DD)
+async function getFreeSlots(doctorId, date, options = {}) {
+    if (!isDateString(date)) {
+        throw httpError('date must be YYYY-MM-DD', 400, 'VALIDATION_ERROR');
+    }
+    const result = { doctor_id: doctorId, date, slots: [] };
+
+    const schedule = await getAvailabilityStore().getSchedule(doctorId);
+    if (!schedule) {
+        return { ...result, reason: 'No working hours set' };
+    }
+    const reason = await closedReason(doctorId, date);
+    if (reason) {
+        return { ...result, reason };
+    }
+
+    const duration = options.duration ? Number(options.duration) : schedule.slot_minutes || DEFAULT_DURATION;
+    if (!Number.isInteger(duration) || duration < 5 || duration > MAX_DURATION) {
+        throw httpError(`duration must be a whole number between 5 and ${MAX_DURATION}`, 400, 'VALIDATION_ERROR');
+    }
+    const step = schedule.slot_minutes || duration;
+
+    // Bookings that start up to MAX_DURATION before midnight can still reach into this day
+    const bookings = (await getAppointmentStore().list({
+        doctor_id: doctorId,
+        from: new Date(clinicTime(date, 0).getTime() - MAX_DURATION * MINUTE).toISOString(),
+        to: clinicTime(date, 24 * 60).toISOString()
+    })).filter(a => ACTIVE_STATUSES.includes(a.status));
+
+    const now = new Date();
+    workingIntervals(schedule, date).forEach(([start, end]) => {
+        for (let minutes = start; minutes + duration <= end; minutes += step) {
+            const slotStart = clinicTime(date, minutes);
+            const slotEnd = new Date(slotStart.getTime() + duration * MINUTE);
+            const taken = bookings.some(a => {
+                const bookedStart = new Date(a.appointment_date);
+                const bookedEnd = new Date(bookedStart.getTime() + a.duration_minutes * MINUTE);
+                return bookedStart < slotEnd && slotStart < bookedEnd;
+            });
+            if (slotStart > now && !taken) {
+                result.slots.push({
+                    start: slotStart.toISOString(),
+                    end: slotEnd.toISOString(),
+                    time: formatTime(minutes)
+                });
+            }
+        }
+    });
+
+    return { ...result, duration_minutes: duration };
+}
+
+// Throw unless the time falls inside the doctor's working hours. Doctors without
+// a schedule are not restricted, so booking keeps working before hours are set up.
+async function assertBookable(doctorId, appointmentDate, duration) {
+    const schedule = await getAvailabilityStore().getSchedule(doctorId);
+    if (!schedule) {
+        return;
+    }
+    const { date, minutes } = toClinicLocal(appointmentDate);
+    const reason = await closedReason(doctorId, date);
+    if (reason) {
+        throw httpError(`Doctor is not available on ${date} (${reason})`, 409, 'DOCTOR_UNAVAILABLE');
+    }
+    const fits = workingIntervals(schedule, date).some(([start, end]) => minutes >= start && minutes + duration <= end);
+    if (!fits) {
+        throw httpError('This time is outside the doctor\'s working hours', 409, 'DOCTOR_UNAVAILABLE');
+    }
+}
+
+module.exports = { DAYS, isDateString, formatTime, toClinicLocal, validateSchedule, getFreeSlots, assertBookable };
@@ -0,0 +1,407 @@
+// lib/backups.js - Timestamped snapshots of the JSON stores, retention and restore
+//
+// A snapshot is a directory under data/backups/ (BACKUP_DIR) named after the
+// time it was taken, holding a copy of every store file that exists plus a
+// manifest.json with each file's size and SHA-256. Files are copied under the
+// same lock their store writes with, so no copy is caught half-way through a
+// change. Sessions are left out on purpose: restoring them would bring back
+// logins that had ended. MySQL deployments (server-WORKING.js) back up the
+// database itself; this covers the files under data/.
+//
+// server.js takes a snapshot when the newest one is older than
+// BACKUP_INTERVAL_HOURS (default 6, 0 turns it off) and then prunes: the newest
+// BACKUP_KEEP (default 30) snapshots are kept, except those older than
+// BACKUP_MAX_AGE_DAYS (default 90); the newest snapshot is never removed.
+//
+// restoreSnapshot() verifies a snapshot (checksums, every file readable,
+// patient records decryptable with PATIENT_DATA_KEYS) before anything is
+// touched, takes a "pre-restore" snapshot of the current files, then swaps the
+// snapshot in. With { at } it restores to a point in time: the newest snapshot
+// taken before then, plus the patient journal entries written between the two.
+// Once a snapshot holds the journal, the live journal is compacted down to the
+// entries after it, so those entries are read back from the copies in later
+// snapshots as well as from the live journal.
+// The audit log is backed up but only restored when asked for by name - the
+// restore itself is written to it.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile, withFileLock } = require('./json-file');
+const { storeFiles, applyEntries, compactJournal, markSnapshot, writeJournalFile } = require('./patient-store/json-store');
+const { decryptRecord, currentKeyId } = require('./patient-crypto');
+const { logAudit } = require('./audit');
+const { httpError } = require('./http-error');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CHECK_EVERY_MS = 15 * 60 * 1000;
+
+function jsonSource(name, envName, fileName, extra = {}) {
+    return { name, files: () => [{ role: 'data', path: process.env[envName] || path.join(dataDir, fileName) }], ...extra };
+}
+
+// Every store kept in a file; add new stores here. The first file of a source
+// is the one its store locks.
+const SOURCES = [
+    {
+        name: 'patients',
+        files: () => {
+            const { patientsFile, journalFile, checkpointFile } = storeFiles();
+            return [
+                { role: 'data', path: patientsFile },
+                { role: 'journal', path: journalFile },
+                { role: 'checkpoint', path: checkpointFile }
+            ];
+        }
+    },
+    jsonSource('staff', 'STAFF_FILE', 'staff.json'),
+    jsonSource('appointments', 'APPOINTMENTS_FILE', 'appointments.json'),
+    jsonSource('availability', 'AVAILABILITY_FILE', 'availability.json'),
+    jsonSource('payments', 'PAYMENTS_FILE', 'payments.json'),
+    jsonSource('notes', 'NOTES_FILE', 'patient-notes.json'),
+    jsonSource('duplicates', 'DUPLICATES_FILE', 'duplicates.json'),
+    jsonSource('privacy', 'PRIVACY_FILE', 'privacy.json'),
+    jsonSource('outbox', 'PATIENT_OUTBOX_FILE', 'patient-outbox.json'),
+    jsonSource('notifications', 'NOTIFICATIONS_FILE', 'notifications.json'),
+    jsonSource('airtable-sync', 'AIRTABLE_SYNC_FILE', 'airtable-sync.json'),
+    jsonSource('audit', 'AUDIT_LOG_FILE', 'audit-log.jsonl', { restoreByDefault: false })
+];
+
+function backupDir() {
+    return process.env.BACKUP_DIR || path.join(dataDir, 'backups');
+}
+
+function settings() {
+    const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+    return {
+        intervalHours: number(process.env.BACKUP_INTERVAL_HOURS, 6),
+        keep: number(process.env.BACKUP_KEEP, 30),
+        maxAgeDays: number(process.env.BACKUP_MAX_AGE_DAYS, 90)
+    };
+}
+
+function sha256File(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+// Name of a file inside a snapshot, e.g. patients.journal.jsonl
+function snapshotFileName(source, file) {
+    return `${source}.${file.role}${path.extname(file.path) || '.json'}`;
+}
+
+function readJournalLines(file) {
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+async function createSnapshot(options = {}) {
+    const createdAt = new Date();
+    const id = createdAt.toISOString().replace(/[:.]/g, '-');
+    const dir = path.join(backupDir(), id);
+    // Written under a temporary name, so a snapshot that exists is a complete one
+    const tempDir = `${dir}.tmp`;
+    fs.mkdirSync(tempDir, { recursive: true });
+
+    const files = [];
+    for (const source of SOURCES) {
+        const sourceFiles = source.files();
+        await withFileLock(sourceFiles[0].path, () => {
+            sourceFiles.filter(file => fs.existsSync(file.path)).forEach(file => {
+                const name = snapshotFileName(source.name, file);
+                fs.copyFileSync(file.path, path.join(tempDir, name));
+                files.push({
+                    source: source.name,
+                    role: file.role,
+                    name,
+                    path: file.path,
+                    bytes: fs.statSync(path.join(tempDir, name)).size,
+                    sha256: sha256File(path.join(tempDir, name))
+                });
+            });
+            if (source.name === 'patients') {
+                markSnapshot();
+            }
+        });
+    }
+
+    const patientsFile = files.find(file => file.source === 'patients' && file.role === 'data');
+    const checkpointFile = files.find(file => file.source === 'patients' && file.role === 'checkpoint');
+    const manifest = {
+        id,
+        createdAt: createdAt.toISOString(),
+        reason: options.reason || 'manual',
+        encryptionKey: currentKeyId(),
+        patients: patientsFile ? {
+            records: readJsonFile(path.join(tempDir, patientsFile.name), []).length,
+            // Last journal entry contained in patients.json
+            seq: checkpointFile ? readJsonFile(path.join(tempDir, checkpointFile.name), { seq: 0 }).seq || 0 : 0
+        } : null,
+        files
+    };
+    writeJsonFile(path.join(tempDir, 'manifest.json'), manifest);
+    fs.renameSync(tempDir, dir);
+    if (manifest.patients) {
+        await compactJournal(manifest.patients.seq);
+    }
+    return manifest;
+}
+
+// Newest first
+function listSnapshots() {
+    if (!fs.existsSync(backupDir())) {
+        return [];
+    }
+    return fs.readdirSync(backupDir())
+        .filter(name => !name.endsWith('.tmp') && fs.existsSync(path.join(backupDir(), name, 'manifest.json')))
+        .map(name => readJsonFile(path.join(backupDir(), name, 'manifest.json'), null))
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// id, or 'latest'
+function getSnapshot(id) {
+    const snapshots = listSnapshots();
+    const snapshot = id === 'latest' ? snapshots[0] : snapshots.find(candidate => candidate.id === id);
+    if (!snapshot) {
+        throw httpError(`Snapshot ${id} not found`, 404, 'SNAPSHOT_NOT_FOUND');
+    }
+    return snapshot;
+}
+
+// Problems that keep a patient data file from being restored
+function checkPatientFile(file, role) {
+    if (role === 'journal') {
+        let previous = 0;
+        readJournalLines(file).forEach(entry => {
+            if (!(entry.seq > previous)) {
+                throw new Error(`journal entry ${entry.seq} is out of order`);
+            }
+            previous = entry.seq;
+        });
+        return;
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (role === 'data') {
+        if (!Array.isArray(data)) {
+            throw new Error('does not contain a list of patients');
+        }
+        const ids = new Set();
+        data.forEach(record => {
+            if (!record || !record.id || ids.has(String(record.id))) {
+                throw new Error(`patient ${record && record.id} is missing an id or appears twice`);
+            }
+            ids.add(String(record.id));
+            decryptRecord(record);
+        });
+    }
+}
+
+// { id, valid, problems: [] } - checksums, sizes and whether each file can be read
+function verifySnapshot(id) {
+    const snapshot = getSnapshot(id);
+    const dir = path.join(backupDir(), snapshot.id);
+    const problems = [];
+    snapshot.files.forEach(file => {
+        const copy = path.join(dir, file.name);
+        if (!fs.existsSync(copy)) {
+            problems.push(`${file.name}: missing`);
+            return;
+        }
+        if (fs.statSync(copy).size !== file.bytes || sha256File(copy) !== file.sha256) {
+            problems.push(`${file.name}: checksum does not match - the file changed after the snapshot was taken`);
+            return;
+        }
+        try {
+            if (file.source === 'patients') {
+                checkPatientFile(copy, file.role);
+            } else if (file.name.endsWith('.jsonl')) {
+                readJournalLines(copy);
+            } else {
+                JSON.parse(fs.readFileSync(copy, 'utf8'));
+            }
+        } catch (error) {
+            problems.push(`${file.name}: ${error.message}`);
+        }
+    });
+    return { id: snapshot.id, valid: problems.length === 0, problems };
+}
+
+// Remove snapshots outside the retention policy; returns the ids removed
+function pruneSnapshots(options = {}) {
+    const { keep, maxAgeDays } = { ...settings(), ...options };
+    const now = Date.now();
+    const removed = listSnapshots()
+        .filter((snapshot, index) => index > 0 &&
+            (index >= keep || now - Date.parse(snapshot.createdAt) > maxAgeDays * DAY_MS))
+        .map(snapshot => snapshot.id);
+    removed.forEach(id => fs.rmSync(path.join(backupDir(), id), { recursive: true, force: true }));
+    // Left behind by a snapshot that was interrupted
+    if (fs.existsSync(backupDir())) {
+        fs.readdirSync(backupDir())
+            .filter(name => name.endsWith('.tmp') && now - fs.statSync(path.join(backupDir(), name)).mtimeMs > HOUR_MS)
+            .forEach(name => fs.rmSync(path.join(backupDir(), name), { recursive: true, force: true }));
+    }
+    return removed;
+}
+
+// Journal entries after seq, from the journal copies of the snapshots taken
+// after snapshot and from the live journal; the newest copy of an entry wins
+function journalAfter(snapshot, seq) {
+    const files = listSnapshots()
+        .filter(candidate => candidate.createdAt > snapshot.createdAt)
+        .reverse()
+        .map(later => {
+            const file = later.files.find(candidate => candidate.source === 'patients' && candidate.role === 'journal');
+            return file ? path.join(backupDir(), later.id, file.name) : null;
+        })
+        .filter(Boolean);
+    const bySeq = new Map();
+    [...files, storeFiles().journalFile].forEach(file => {
+        readJournalLines(file).filter(entry => entry.seq > seq).forEach(entry => bySeq.set(entry.seq, entry));
+    });
+    return [...bySeq.values()].sort((a, b) => a.seq - b.seq);
+}
+
+// The patient files as they are to be restored: the snapshot, plus journal
+// entries up to at
+function planPatients(snapshot, at) {
+    const dir = path.join(backupDir(), snapshot.id);
+    const fileFor = role => snapshot.files.find(file => file.source === 'patients' && file.role === role);
+    const seq = snapshot.patients.seq;
+    const records = readJsonFile(path.join(dir, fileFor('data').name), []);
+    const journal = fileFor('journal')
+        ? readJournalLines(path.join(dir, fileFor('journal').name)).filter(entry => entry.seq <= seq)
+        : [];
+
+    let replay = [];
+    if (at) {
+        replay = journalAfter(snapshot, seq).filter(entry => entry.at <= at);
+        replay.forEach((entry, index) => {
+            if (entry.seq !== seq + index + 1) {
+                throw httpError(`The patient journal has no entry ${seq + index + 1} - it cannot be replayed from snapshot ${snapshot.id}`,
+                    422, 'JOURNAL_GAP');
+            }
+        });
+    }
+    return {
+        records: applyEntries(records, replay),
+        journal: [...journal, ...replay],
+        seq: replay.length ? replay[replay.length - 1].seq : seq,
+        replayed: replay.length
+    };
+}
+
+function parseRestoreTime(at) {
+    const time = Date.parse(at);
+    if (Number.isNaN(time)) {
+        throw httpError('at must be an ISO date and time, e.g. 2026-10-19T09:30:00Z', 400, 'INVALID_TIME');
+    }
+    if (time > Date.now()) {
+        throw httpError('at is in the future', 400, 'INVALID_TIME');
+    }
+    return new Date(time).toISOString();
+}
+
+// Restore snapshot id ('latest', or null with at to pick the newest before
+// then). options: { at, only: ['patients', ...], dryRun }. Returns what was
+// (or, with dryRun, would be) restored.
+async function restoreSnapshot(id, options = {}) {
+    const at = options.at ? parseRestoreTime(options.at) : null;
+    let snapshot;
+    if (id) {
+        snapshot = getSnapshot(id);
+    } else if (at) {
+        snapshot = listSnapshots().find(candidate => candidate.createdAt <= at);
+        if (!snapshot) {
+            throw httpError(`No snapshot was taken before ${at}`, 404, 'SNAPSHOT_NOT_FOUND');
+        }
+    } else {
+        throw httpError('Give a snapshot id or a point in time', 400, 'INVALID_RESTORE');
+    }
+    if (at && at < snapshot.createdAt) {
+        throw httpError(`Snapshot ${snapshot.id} was taken after ${at}`, 400, 'INVALID_RESTORE');
+    }
+    const unknown = (options.only || []).filter(name => !SOURCES.some(source => source.name === name));
+    if (unknown.length > 0) {
+        throw httpError(`Unknown store ${unknown.join(', ')} - use: ${SOURCES.map(source => source.name).join(', ')}`, 400, 'INVALID_RESTORE');
+    }
+
+    const verification = verifySnapshot(snapshot.id);
+    if (!verification.valid) {
+        throw httpError(`Snapshot ${snapshot.id} failed verification: ${verification.problems.join('; ')}`, 422, 'SNAPSHOT_INVALID');
+    }
+    const sources = SOURCES
+        .filter(source => options.only ? options.only.includes(source.name) : source.restoreByDefault !== false)
+        .filter(source => snapshot.files.some(file => file.source === source.name));
+    const patients = sources.some(source => source.name === 'patients') ? planPatients(snapshot, at) : null;
+    const result = {
+        snapshot: snapshot.id,
+        at,
+        stores: sources.map(source => source.name),
+        patients: patients ? { records: patients.records.length, seq: patients.seq, replayed: patients.replayed } : null,
+        preRestoreSnapshot: null
+    };
+    if (options.dryRun) {
+        return result;
+    }
+
+    result.preRestoreSnapshot = (await createSnapshot({ reason: 'pre-restore' })).id;
+    const dir = path.join(backupDir(), snapshot.id);
+    for (const source of sources) {
+        const current = source.files();
+        await withFileLock(current[0].path, () => {
+            if (source.name === 'patients') {
+                const files = storeFiles();
+                // Checkpoint first: a crash part-way leaves the current data, never a mix
+                writeJsonFile(files.checkpointFile, { seq: patients.seq, snapshotSeq: patients.seq, savedAt: new Date().toISOString() });
+                writeJournalFile(files.journalFile, patients.journal);
+                writeJsonFile(files.patientsFile, patients.records);
+                return;
+            }
+            snapshot.files.filter(file => file.source === source.name).forEach(file => {
+                const target = current.find(candidate => candidate.role === file.role).path;
+                const tempFile = `${target}.${process.pid}.${Date.now()}.tmp`;
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.copyFileSync(path.join(dir, file.name), tempFile);
+                fs.renameSync(tempFile, target);
+            });
+        });
+    }
+
+    await logAudit(null, { action: 'patient.restore', details: result });
+    return result;
+}
+
+// Take a snapshot whenever the newest is older than the interval (checked
+// every 15 minutes, so restarts do not add extra snapshots), then prune
+function startBackupSchedule() {
+    const { intervalHours } = settings();
+    if (!(intervalHours > 0)) {
+        return null;
+    }
+    const run = async () => {
+        const newest = listSnapshots()[0];
+        if (newest && Date.now() - Date.parse(newest.createdAt) < intervalHours * HOUR_MS) {
+            return;
+        }
+        const snapshot = await createSnapshot({ reason: 'scheduled' });
+        const removed = pruneSnapshots();
+        console.log(`💾 Backup ${snapshot.id} taken (${snapshot.files.length} files)${removed.length ? `, ${removed.length} old removed` : ''}`);
+    };
+    const check = () => run().catch(error => console.error('Backup failed:', error.message));
+    check();
+    return setInterval(check, Math.min(CHECK_EVERY_MS, intervalHours * HOUR_MS)).unref();
+}
+
+module.exports = {
+    SOURCES,
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    verifySnapshot,
+    pruneSnapshots,
+    restoreSnapshot,
+    startBackupSchedule
+};
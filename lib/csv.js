@@ -0,0 +1,99 @@
+// lib/csv.js - Reading and writing CSV files as Excel, Google Sheets and LibreOffice expect them
+//
+// parseCsv(text) -> rows, each an array of cell strings. Follows RFC 4180:
+// quoted cells may hold the separator, line breaks and doubled quotes ("").
+// The separator is whichever of , ; or tab appears most in the first line
+// outside quotes (Excel in many locales saves with ;). A byte-order mark is
+// dropped and lines that are completely empty are skipped.
+//
+// toCsvRow(cells) -> one line (ending in CRLF) for a CSV file. Cells holding a
+// comma, quote, line break or outer spaces are quoted. A cell that starts like
+// a formula (= @ or a + - that is not a number) gets a leading ' so a
+// spreadsheet shows it as text instead of running it.
+const SEPARATORS = [',', ';', '\t'];
+
+function detectSeparator(text) {
+    const counts = new Map(SEPARATORS.map(separator => [separator, 0]));
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!quoted && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+    return SEPARATORS.reduce((best, separator) => (counts.get(separator) > counts.get(best) ? separator : best));
+}
+
+function parseCsv(input) {
+    const text = String(input).replace(/^\uFEFF/, '');
+    const separator = detectSeparator(text);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+// A value that a spreadsheet would treat as a formula
+function looksLikeFormula(text) {
+    return /^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text));
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value)
+        : value instanceof Date ? value.toISOString() : String(value);
+    if (looksLikeFormula(text)) {
+        text = `'${text}`;
+    }
+    return /[",;\t\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(cells) {
+    return `${cells.map(csvCell).join(',')}\r\n`;
+}
+
+module.exports = { parseCsv, toCsvRow };
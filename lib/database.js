@@ -0,0 +1,274 @@
+// lib/database.js - MySQL connection pool and schema for the Homa Clinic system
+const mysql = require('mysql2/promise');
+const bcrypt = require('bcryptjs');
+
+// Database configuration
+const dbConfig = {
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'homa_clinic',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0
+};
+
+let pool;
+
+// Initialize database
+async function initializeDatabase() {
+    try {
+        console.log('🔌 Connecting to database...');
+
+        // Connect without database first
+        const tempConfig = { ...dbConfig };
+        delete tempConfig.database;
+        const tempConnection = await mysql.createConnection(tempConfig);
+
+        // Create database if not exists
+        await tempConnection.execute(`CREATE DATABASE IF NOT EXISTS ${dbConfig.database}`);
+        await tempConnection.end();
+
+        // Connect to actual database
+        pool = mysql.createPool(dbConfig);
+        const connection = await pool.getConnection();
+
+        // Create tables
+        await createTables(connection);
+        connection.release();
+
+        console.log('✅ Database initialized successfully');
+    } catch (error) {
+        console.error('❌ Database error:', error.message);
+        console.log('💡 Make sure MySQL is running');
+    }
+    return pool;
+}
+
+// Add a column to an existing table when an older schema is missing it
+async function ensureColumn(connection, table, column, definition) {
+    const [columns] = await connection.execute(
+        'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+        [dbConfig.database, table, column]
+    );
+    if (columns.length === 0) {
+        await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// Create database tables
+async function createTables(connection) {
+    // Users table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            email VARCHAR(255) UNIQUE NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            first_name VARCHAR(100) NOT NULL,
+            last_name VARCHAR(100) NOT NULL,
+            phone VARCHAR(20),
+            role ENUM('admin', 'doctor', 'receptionist', 'patient') DEFAULT 'patient',
+            details JSON,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    // Extra patient fields (status, group, score, ...) live in the details column
+    await ensureColumn(connection, 'users', 'details', 'JSON');
+    // Older databases were created before the receptionist role existed
+    await connection.execute(
+        "ALTER TABLE users MODIFY role ENUM('admin', 'doctor', 'receptionist', 'patient') DEFAULT 'patient'"
+    );
+
+    // Appointments table
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS appointments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            patient_id INT NOT NULL,
+            doctor_id INT NOT NULL,
+            appointment_date DATETIME NOT NULL,
+            duration_minutes INT DEFAULT 30,
+            status ENUM('scheduled', 'confirmed', 'cancelled', 'completed') DEFAULT 'scheduled',
+            notes TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (patient_id) REFERENCES users(id),
+            FOREIGN KEY (doctor_id) REFERENCES users(id)
+        )
+    `);
+
+    // Every booking, status change and reschedule of an appointment
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS appointment_status_history (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            appointment_id INT NOT NULL,
+            action VARCHAR(20) NOT NULL,
+            from_status VARCHAR(20),
+            to_status VARCHAR(20) NOT NULL,
+            changed_by VARCHAR(100),
+            details TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (appointment_id) REFERENCES appointments(id)
+        )
+    `);
+
+    // Weekly working hours and breaks per doctor (see lib/availability-store.js)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS doctor_availability (
+            doctor_id INT PRIMARY KEY,
+            schedule JSON NOT NULL,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (doctor_id) REFERENCES users(id)
+        )
+    `);
+
+    // One-off doctor leave (inclusive date range)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS doctor_leave (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            doctor_id INT NOT NULL,
+            start_date DATE NOT NULL,
+            end_date DATE NOT NULL,
+            reason VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (doctor_id) REFERENCES users(id)
+        )
+    `);
+
+    // Days the whole clinic is closed
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS clinic_holidays (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            holiday_date DATE NOT NULL,
+            name VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Possible duplicate patients waiting for review (see lib/duplicate-store.js)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS patient_duplicate_candidates (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            patient_a VARCHAR(64) NOT NULL,
+            patient_b VARCHAR(64) NOT NULL,
+            score DECIMAL(4,2) NOT NULL,
+            reasons JSON,
+            status ENUM('pending', 'merged', 'dismissed') DEFAULT 'pending',
+            resolved_at TIMESTAMP NULL,
+            resolved_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY patient_pair (patient_a, patient_b)
+        )
+    `);
+
+    // Every merge of two patient records, with both records as they were before
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS patient_merges (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            primary_id VARCHAR(64) NOT NULL,
+            merged_id VARCHAR(64) NOT NULL,
+            merged_by VARCHAR(100),
+            details JSON,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // UPI payment requests (see lib/payment-store.js)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS payments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            reference VARCHAR(40) NOT NULL UNIQUE,
+            patient_id VARCHAR(64) NOT NULL,
+            appointment_id INT,
+            amount DECIMAL(10,2) NOT NULL,
+            note VARCHAR(255),
+            status ENUM('pending', 'confirmed', 'cancelled') DEFAULT 'pending',
+            upi_txn_id VARCHAR(64),
+            created_by VARCHAR(100),
+            confirmed_by VARCHAR(100),
+            confirmed_at TIMESTAMP NULL,
+            cancel_reason VARCHAR(255),
+            cancelled_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Staff notes on patients (see lib/note-store.js)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS patient_notes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            patient_id VARCHAR(64) NOT NULL,
+            text TEXT NOT NULL,
+            author VARCHAR(100),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Consent given at registration and requests to erase a patient (see lib/privacy-store.js)
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS patient_consents (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            patient_id VARCHAR(64) NOT NULL,
+            version INT NOT NULL,
+            text_hash CHAR(64) NOT NULL,
+            ip VARCHAR(64),
+            user_agent VARCHAR(255),
+            source VARCHAR(50),
+            given_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            withdrawn_at TIMESTAMP NULL,
+            INDEX idx_consent_patient (patient_id)
+        )
+    `);
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS erasure_requests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            patient_id VARCHAR(64) NOT NULL,
+            reason VARCHAR(500),
+            status ENUM('pending', 'completed', 'rejected') DEFAULT 'pending',
+            requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            resolved_at TIMESTAMP NULL,
+            resolved_by VARCHAR(100),
+            resolution JSON
+        )
+    `);
+
+    // Append-only, hash-chained patient audit log (see lib/audit.js); ids are
+    // given by the writer because they are part of each entry's hash
+    await connection.execute(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id BIGINT PRIMARY KEY,
+            at VARCHAR(30) NOT NULL,
+            actor JSON NOT NULL,
+            action VARCHAR(50) NOT NULL,
+            patient_ids JSON NOT NULL,
+            ip VARCHAR(64),
+            changes JSON,
+            details JSON,
+            prev_hash CHAR(64) NOT NULL,
+            hash CHAR(64) NOT NULL,
+            INDEX idx_audit_action (action),
+            INDEX idx_audit_at (at)
+        )
+    `);
+
+    // Create admin user if not exists
+    const [adminUsers] = await connection.execute(
+        'SELECT id FROM users WHERE role = "admin" LIMIT 1'
+    );
+
+    if (adminUsers.length === 0) {
+        const hashedPassword = await bcrypt.hash('admin123', 12);
+        await connection.execute(
+            'INSERT INTO users (email, password, first_name, last_name, role) VALUES (?, ?, ?, ?, ?)',
+            ['admin@homaclinic.com', hashedPassword, 'Admin', 'User', 'admin']
+        );
+        console.log('👤 Admin user created: admin@homaclinic.com / admin123');
+    }
+}
+
+function getPool() {
+    if (!pool) {
+        throw new Error('Database not initialized - call initializeDatabase() first');
+    }
+    return pool;
+}
+
+module.exports = { initializeDatabase, getPool };
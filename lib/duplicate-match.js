@@ -0,0 +1,173 @@
+// lib/duplicate-match.js - Decide whether two patient records are probably the same person
+//
+// Phone numbers and emails are compared after normalizing them; names are
+// compared by similarity, so "Dr. Surendra Muddu" and "muddu surendra" match.
+// A shared phone number alone is not enough: families often register several
+// people with one mobile number, so the names must be similar as well.
+// Nothing here touches a store, so the serverless functions can use it too.
+const { toE164, phoneSearchVariants } = require('./phone');
+
+const DUPLICATE_THRESHOLD = 0.5;
+
+const WEIGHTS = { email: 0.45, phone: 0.25, name: 0.3 };
+const NAME_TITLES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'smt', 'shri', 'sri', 'master', 'baby'];
+
+// E.164 form of the number (see lib/phone.js), or '' when it is not valid
+function normalizePhone(phone) {
+    return toE164(phone) || '';
+}
+
+// Lower-case; Gmail ignores dots and +tags in the local part
+function normalizeEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    const [local, domain] = value.split('@');
+    if (!local || !domain) {
+        return '';
+    }
+    if (domain === 'gmail.com' || domain === 'googlemail.com') {
+        return `${local.split('+')[0].replace(/\./g, '')}@gmail.com`;
+    }
+    return value;
+}
+
+// Lower-case name words in alphabetical order, without titles or punctuation
+function normalizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !NAME_TITLES.includes(word))
+        .sort()
+        .join(' ');
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// 0 (nothing alike) to 1 (same name)
+function nameSimilarity(a, b) {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    if (!left || !right) {
+        return 0;
+    }
+    if (left === right) {
+        return 1;
+    }
+    const edit = 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+    // Word by word, so "namo naarayanaa" is close to "namo narayana" and a
+    // missing surname ("Surendra" against "Surendra Muddu") costs little
+    const leftWords = left.split(' ');
+    const rightWords = right.split(' ');
+    const [shorter, longer] = leftWords.length <= rightWords.length ? [leftWords, rightWords] : [rightWords, leftWords];
+    const wordScore = shorter
+        .map(word => Math.max(...longer.map(other => 1 - levenshtein(word, other) / Math.max(word.length, other.length))))
+        .reduce((sum, score) => sum + score, 0) / shorter.length;
+    return Math.max(edit, shorter.length === longer.length ? wordScore : wordScore * 0.9);
+}
+
+// { score, reasons } for a pair of patients
+function scoreMatch(a, b) {
+    const reasons = [];
+    const sameEmail = !!normalizeEmail(a.email) && normalizeEmail(a.email) === normalizeEmail(b.email);
+    const samePhone = !!normalizePhone(a.phone) && normalizePhone(a.phone) === normalizePhone(b.phone);
+    const similarity = nameSimilarity(a.name, b.name);
+
+    if (sameEmail) reasons.push('same email');
+    if (samePhone) reasons.push('same phone');
+    if (similarity === 1) {
+        reasons.push('same name');
+    } else if (similarity >= 0.75) {
+        reasons.push('similar name');
+    }
+
+    const score = (sameEmail ? WEIGHTS.email : 0) + (samePhone ? WEIGHTS.phone : 0) + WEIGHTS.name * similarity;
+    return { score: Math.round(score * 100) / 100, reasons };
+}
+
+// Keys two records must share to be worth scoring; a pair without a shared
+// email or phone cannot reach the threshold on name similarity alone
+function matchKeys(patient) {
+    return [
+        normalizeEmail(patient.email) && `email:${normalizeEmail(patient.email)}`,
+        normalizePhone(patient.phone) && `phone:${normalizePhone(patient.phone)}`
+    ].filter(Boolean);
+}
+
+// Store searches ({ email } / { phone }) that find the records a new patient
+// could match, for stores that cannot normalize while searching (Airtable)
+function matchQueries(patient) {
+    const emails = [String(patient.email || '').trim().toLowerCase(), normalizeEmail(patient.email)];
+    const phones = normalizePhone(patient.phone) ? phoneSearchVariants(patient.phone) : [];
+    return [
+        ...[...new Set(emails.filter(Boolean))].map(email => ({ email })),
+        ...[...new Set(phones)].map(phone => ({ phone }))
+    ];
+}
+
+// Likely duplicates of one patient among others, best match first
+function findDuplicates(patient, patients, threshold = DUPLICATE_THRESHOLD) {
+    const keys = matchKeys(patient);
+    return patients
+        .filter(other => String(other.id) !== String(patient.id))
+        .filter(other => matchKeys(other).some(key => keys.includes(key)))
+        .map(other => ({ patient: other, ...scoreMatch(patient, other) }))
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score);
+}
+
+// Every likely duplicate pair in a list of patients
+function findDuplicatePairs(patients, threshold = DUPLICATE_THRESHOLD) {
+    const groups = new Map();
+    patients.forEach(patient => {
+        matchKeys(patient).forEach(key => {
+            groups.set(key, [...(groups.get(key) || []), patient]);
+        });
+    });
+
+    const seen = new Set();
+    const pairs = [];
+    groups.forEach(group => {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                const ids = [String(group[i].id), String(group[j].id)].sort();
+                if (ids[0] === ids[1] || seen.has(ids.join('|'))) {
+                    continue;
+                }
+                seen.add(ids.join('|'));
+                const match = scoreMatch(group[i], group[j]);
+                if (match.score >= threshold) {
+                    pairs.push({ patient_ids: ids, ...match });
+                }
+            }
+        }
+    });
+    return pairs.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    DUPLICATE_THRESHOLD,
+    normalizePhone,
+    normalizeEmail,
+    normalizeName,
+    levenshtein,
+    nameSimilarity,
+    scoreMatch,
+    matchKeys,
+    matchQueries,
+    findDuplicates,
+    findDuplicatePairs
+};
@@ -0,0 +1,293 @@
+// lib/duplicate-store.js - Review queue of possible duplicate patients and the merge log
+//
+// DUPLICATE_STORE picks the backend (json | sql). Adapters expose:
+//   addCandidates(candidates)           -> candidates that were not queued before
+//   listCandidates({ status, patient_id })
+//   getCandidate(id) / updateCandidate(id, changes)
+//   replacePatient(fromId, toId)        -> repoint open candidates after a merge
+//   addMerge(merge) / listMerges({ patient_id })
+//   redactMerges(patientIds, redact)   -> number of merges of those patients whose
+//                                         record copies went through redact(record)
+// A candidate is { id, patient_ids: [a, b], score, reasons, status, created_at,
+// resolved_at, resolved_by } with status pending | merged | dismissed.
+// A pair is queued once; a dismissed pair is not raised again. The JSON file
+// keeps the record copies of a merge encrypted, like the JSON patient store
+// (lib/patient-crypto.js); its adapter also has reencrypt() -> number of
+// merges rewritten with the current key.
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+const { encryptRecord, decryptRecord } = require('./patient-crypto');
+
+const CANDIDATE_STATUSES = ['pending', 'merged', 'dismissed'];
+// Copies of patient records a merge keeps (lib/duplicates.js)
+const MERGE_RECORD_FIELDS = ['primary_before', 'merged_record', 'result'];
+
+function pairKey(ids) {
+    return ids.map(String).sort().join('|');
+}
+
+function mapMergeRecords(merge, map) {
+    MERGE_RECORD_FIELDS.filter(field => merge[field]).forEach(field => {
+        merge[field] = map(merge[field]);
+    });
+    return merge;
+}
+
+function createJsonDuplicateStore(options = {}) {
+    const duplicatesFile = options.file || process.env.DUPLICATES_FILE || path.join(dataDir, 'duplicates.json');
+
+    function readData() {
+        return readJsonFile(duplicatesFile, { nextId: 1, candidates: [], merges: [] });
+    }
+
+    async function addCandidates(candidates) {
+        const data = readData();
+        const known = new Set(data.candidates.map(c => pairKey(c.patient_ids)));
+        const added = [];
+        candidates.forEach(candidate => {
+            const key = pairKey(candidate.patient_ids);
+            if (known.has(key)) {
+                return;
+            }
+            known.add(key);
+            const saved = {
+                id: String(data.nextId++),
+                patient_ids: candidate.patient_ids.map(String).sort(),
+                score: candidate.score,
+                reasons: candidate.reasons,
+                status: 'pending',
+                created_at: new Date().toISOString(),
+                resolved_at: null,
+                resolved_by: null
+            };
+            data.candidates.push(saved);
+            added.push(saved);
+        });
+        if (added.length > 0) {
+            writeJsonFile(duplicatesFile, data);
+        }
+        return added;
+    }
+
+    async function listCandidates(filter = {}) {
+        return readData().candidates
+            .filter(c => !filter.status || c.status === filter.status)
+            .filter(c => !filter.patient_id || c.patient_ids.includes(String(filter.patient_id)))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    async function getCandidate(id) {
+        return readData().candidates.find(c => c.id === String(id)) || null;
+    }
+
+    async function updateCandidate(id, changes) {
+        const data = readData();
+        const candidate = data.candidates.find(c => c.id === String(id));
+        if (!candidate) {
+            return null;
+        }
+        Object.assign(candidate, changes);
+        writeJsonFile(duplicatesFile, data);
+        return candidate;
+    }
+
+    async function replacePatient(fromId, toId) {
+        const data = readData();
+        data.candidates
+            .filter(c => c.status === 'pending' && c.patient_ids.includes(String(fromId)))
+            .forEach(c => {
+                c.patient_ids = c.patient_ids.map(id => id === String(fromId) ? String(toId) : id).sort();
+                // Both sides are now the same record
+                if (c.patient_ids[0] === c.patient_ids[1]) {
+                    c.status = 'merged';
+                    c.resolved_at = new Date().toISOString();
+                }
+            });
+        writeJsonFile(duplicatesFile, data);
+    }
+
+    async function addMerge(merge) {
+        const data = readData();
+        const saved = { id: String(data.merges.length + 1), ...merge, merged_at: new Date().toISOString() };
+        data.merges.push(mapMergeRecords({ ...saved }, encryptRecord));
+        writeJsonFile(duplicatesFile, data);
+        return saved;
+    }
+
+    async function listMerges(filter = {}) {
+        return readData().merges
+            .filter(m => !filter.patient_id || m.primary_id === String(filter.patient_id) || m.merged_id === String(filter.patient_id))
+            .map(merge => mapMergeRecords(merge, decryptRecord));
+    }
+
+    async function redactMerges(patientIds, redact) {
+        const ids = patientIds.map(String);
+        const data = readData();
+        const merges = data.merges.filter(m => ids.includes(m.primary_id) || ids.includes(m.merged_id));
+        merges.forEach(merge => mapMergeRecords(merge, record => encryptRecord(redact(decryptRecord(record)))));
+        if (merges.length > 0) {
+            writeJsonFile(duplicatesFile, data);
+        }
+        return merges.length;
+    }
+
+    async function reencrypt() {
+        const data = readData();
+        data.merges.forEach(merge => mapMergeRecords(merge, encryptRecord));
+        writeJsonFile(duplicatesFile, data);
+        return data.merges.length;
+    }
+
+    return { type: 'json', addCandidates, listCandidates, getCandidate, updateCandidate, replacePatient, addMerge, listMerges, redactMerges, reencrypt };
+}
+
+function createSqlDuplicateStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+
+    function parseJson(value) {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+    }
+
+    function fromCandidateRow(row) {
+        return {
+            id: String(row.id),
+            patient_ids: [row.patient_a, row.patient_b],
+            score: Number(row.score),
+            reasons: parseJson(row.reasons) || [],
+            status: row.status,
+            created_at: row.created_at,
+            resolved_at: row.resolved_at,
+            resolved_by: row.resolved_by
+        };
+    }
+
+    async function addCandidates(candidates) {
+        const added = [];
+        for (const candidate of candidates) {
+            const [a, b] = candidate.patient_ids.map(String).sort();
+            const [result] = await pool().execute(
+                'INSERT IGNORE INTO patient_duplicate_candidates (patient_a, patient_b, score, reasons) VALUES (?, ?, ?, ?)',
+                [a, b, candidate.score, JSON.stringify(candidate.reasons)]
+            );
+            if (result.affectedRows > 0) {
+                added.push(await getCandidate(result.insertId));
+            }
+        }
+        return added;
+    }
+
+    async function listCandidates(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.status) {
+            conditions.push('status = ?');
+            params.push(filter.status);
+        }
+        if (filter.patient_id) {
+            conditions.push('(patient_a = ? OR patient_b = ?)');
+            params.push(String(filter.patient_id), String(filter.patient_id));
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [rows] = await pool().execute(`SELECT * FROM patient_duplicate_candidates ${where} ORDER BY score DESC, id`, params);
+        return rows.map(fromCandidateRow);
+    }
+
+    async function getCandidate(id) {
+        const [rows] = await pool().execute('SELECT * FROM patient_duplicate_candidates WHERE id = ?', [id]);
+        return rows.length ? fromCandidateRow(rows[0]) : null;
+    }
+
+    async function updateCandidate(id, changes) {
+        const allowed = ['status', 'resolved_at', 'resolved_by'].filter(field => changes[field] !== undefined);
+        if (allowed.length > 0) {
+            await pool().execute(
+                `UPDATE patient_duplicate_candidates SET ${allowed.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...allowed.map(field => field === 'resolved_at' && changes[field] ? new Date(changes[field]) : changes[field]), id]
+            );
+        }
+        return getCandidate(id);
+    }
+
+    async function replacePatient(fromId, toId) {
+        const pending = await listCandidates({ status: 'pending', patient_id: fromId });
+        for (const candidate of pending) {
+            const [a, b] = candidate.patient_ids.map(id => id === String(fromId) ? String(toId) : id).sort();
+            if (a === b) {
+                await updateCandidate(candidate.id, { status: 'merged', resolved_at: new Date().toISOString() });
+            } else {
+                // The repointed pair may already be queued; then this copy is dropped
+                await pool().execute(
+                    'UPDATE IGNORE patient_duplicate_candidates SET patient_a = ?, patient_b = ? WHERE id = ?',
+                    [a, b, candidate.id]
+                );
+            }
+        }
+    }
+
+    async function addMerge(merge) {
+        const { primary_id, merged_id, merged_by, ...details } = merge;
+        const [result] = await pool().execute(
+            'INSERT INTO patient_merges (primary_id, merged_id, merged_by, details) VALUES (?, ?, ?, ?)',
+            [primary_id, merged_id, merged_by || null, JSON.stringify(details)]
+        );
+        return { id: String(result.insertId), ...merge, merged_at: new Date().toISOString() };
+    }
+
+    async function listMerges(filter = {}) {
+        const [rows] = filter.patient_id
+            ? await pool().execute('SELECT * FROM patient_merges WHERE primary_id = ? OR merged_id = ? ORDER BY id', [String(filter.patient_id), String(filter.patient_id)])
+            : await pool().execute('SELECT * FROM patient_merges ORDER BY id');
+        return rows.map(row => ({
+            id: String(row.id),
+            primary_id: row.primary_id,
+            merged_id: row.merged_id,
+            merged_by: row.merged_by,
+            ...parseJson(row.details),
+            merged_at: row.created_at
+        }));
+    }
+
+    async function redactMerges(patientIds, redact) {
+        const merges = new Map();
+        for (const patientId of patientIds) {
+            (await listMerges({ patient_id: patientId })).forEach(merge => merges.set(merge.id, merge));
+        }
+        for (const merge of merges.values()) {
+            const { id, primary_id, merged_id, merged_by, merged_at, ...details } = mapMergeRecords(merge, redact);
+            await pool().execute('UPDATE patient_merges SET details = ? WHERE id = ?', [JSON.stringify(details), id]);
+        }
+        return merges.size;
+    }
+
+    return { type: 'sql', addCandidates, listCandidates, getCandidate, updateCandidate, replacePatient, addMerge, listMerges, redactMerges };
+}
+
+const adapters = {
+    json: createJsonDuplicateStore,
+    sql: createSqlDuplicateStore
+};
+
+function createDuplicateStore(options = {}) {
+    const type = options.type || (process.env.DUPLICATE_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown duplicate store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let duplicateStore;
+
+function getDuplicateStore() {
+    if (!duplicateStore) {
+        duplicateStore = createDuplicateStore();
+    }
+    return duplicateStore;
+}
+
+function configureDuplicateStore(options = {}) {
+    duplicateStore = createDuplicateStore(options);
+    return duplicateStore;
+}
+
+module.exports = { CANDIDATE_STATUSES, createDuplicateStore, getDuplicateStore, configureDuplicateStore };
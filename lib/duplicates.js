@@ -0,0 +1,163 @@
+// lib/duplicates.js - Queue possible duplicate patients for review and merge them
+//
+// New registrations are checked against existing patients; likely matches go
+// to the review queue in lib/duplicate-store.js. An admin then merges a pair
+// (one record is kept, the other folded into it and deleted) or dismisses it.
+// Every merge is logged with both records as they were, so it can be traced.
+const { matchQueries, findDuplicates, findDuplicatePairs } = require('./duplicate-match');
+const { getDuplicateStore } = require('./duplicate-store');
+const { getPatientStore } = require('./patient-store');
+const { getAppointmentStore } = require('./appointment-store');
+const { getNoteStore } = require('./note-store');
+const { getPrivacyStore } = require('./privacy-store');
+const { getPaymentStore } = require('./payment-store');
+const { refreshPaymentStatus } = require('./payments');
+const { actorLabel } = require('./appointments');
+const { httpError } = require('./http-error');
+
+// Never copied from the record that is merged away
+const PROTECTED_FIELDS = ['id', 'password', 'mergedFrom'];
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function withoutPassword(patient) {
+    const { password, ...rest } = patient;
+    return rest;
+}
+
+// Records sharing an email or phone with the patient, without listing the whole store
+async function possibleMatches(patient) {
+    const patientStore = getPatientStore();
+    const results = await Promise.all(matchQueries(patient).map(query => patientStore.search(query)));
+    const byId = new Map();
+    results.flat().forEach(match => byId.set(String(match.id), match));
+    return [...byId.values()];
+}
+
+// Queue likely duplicates of a newly saved patient; returns the new queue entries
+async function flagDuplicates(patient) {
+    const matches = findDuplicates(patient, await possibleMatches(patient));
+    return getDuplicateStore().addCandidates(matches.map(match => ({
+        patient_ids: [String(patient.id), String(match.patient.id)],
+        score: match.score,
+        reasons: match.reasons
+    })));
+}
+
+// Check every patient against every other and queue what was not queued yet
+async function scanForDuplicates() {
+    const pairs = findDuplicatePairs(await getPatientStore().list());
+    const added = await getDuplicateStore().addCandidates(pairs);
+    return { found: pairs.length, added: added.length };
+}
+
+// Queue entries with both patient records attached
+async function listCandidates(filter = {}) {
+    const patientStore = getPatientStore();
+    const candidates = await getDuplicateStore().listCandidates(filter);
+    return Promise.all(candidates.map(async candidate => ({
+        ...candidate,
+        patients: await Promise.all(candidate.patient_ids.map(async id => {
+            const patient = await patientStore.get(id);
+            return patient ? withoutPassword(patient) : { id, missing: true };
+        }))
+    })));
+}
+
+async function loadPendingCandidate(id) {
+    const candidate = await getDuplicateStore().getCandidate(id);
+    if (!candidate) {
+        throw httpError('Duplicate candidate not found', 404, 'CANDIDATE_NOT_FOUND');
+    }
+    if (candidate.status !== 'pending') {
+        throw httpError(`This pair was already ${candidate.status}`, 409, 'CANDIDATE_RESOLVED');
+    }
+    return candidate;
+}
+
+async function dismissCandidate(id, actor) {
+    await loadPendingCandidate(id);
+    return getDuplicateStore().updateCandidate(id, {
+        status: 'dismissed',
+        resolved_at: new Date().toISOString(),
+        resolved_by: actorLabel(actor)
+    });
+}
+
+// Combined record: the kept record wins, its empty fields are filled from the
+// other one, and `fields` ({ field: patientId }) picks the source per field
+function combineRecords(primary, secondary, fields = {}) {
+    const merged = { ...primary };
+    Object.keys(secondary)
+        .filter(field => !PROTECTED_FIELDS.includes(field) && isEmpty(primary[field]))
+        .forEach(field => { merged[field] = secondary[field]; });
+    Object.keys(fields)
+        .filter(field => !PROTECTED_FIELDS.includes(field) && String(fields[field]) === String(secondary.id))
+        .forEach(field => { merged[field] = secondary[field]; });
+    if (!primary.password && secondary.password) {
+        merged.password = secondary.password;
+    }
+    merged.mergedFrom = [...(primary.mergedFrom || []), ...(secondary.mergedFrom || []), secondary.id];
+    return merged;
+}
+
+// Merge a queued pair into the record `keep`; the other record is deleted
+async function mergeCandidate(id, options, actor) {
+    const candidate = await loadPendingCandidate(id);
+    const keep = String(options.keep || '');
+    if (!candidate.patient_ids.includes(keep)) {
+        throw httpError('keep must be one of the two patient ids of this pair', 400, 'VALIDATION_ERROR');
+    }
+    const mergedId = candidate.patient_ids.find(patientId => patientId !== keep);
+
+    const patientStore = getPatientStore();
+    const primary = await patientStore.get(keep);
+    const secondary = await patientStore.get(mergedId);
+    if (!primary || !secondary) {
+        throw httpError('One of the patients no longer exists', 409, 'PATIENT_NOT_FOUND');
+    }
+
+    const combined = combineRecords(primary, secondary, options.fields);
+    const { id: _, ...changes } = combined;
+    const result = await patientStore.update(primary.id, changes);
+
+    const appointments = await getAppointmentStore().reassignPatient(secondary.id, primary.id, {
+        action: 'merge',
+        changed_by: actorLabel(actor),
+        details: { merged_patient_id: secondary.id }
+    });
+    const notes = await getNoteStore().reassignPatient(secondary.id, primary.id);
+    const consents = await getPrivacyStore().reassignPatient(secondary.id, primary.id);
+    const payments = await getPaymentStore().reassignPatient(secondary.id, primary.id);
+    await patientStore.delete(secondary.id);
+    // The kept record's payment status now covers the moved payment requests too
+    const patient = payments > 0 ? { ...result, paymentStatus: await refreshPaymentStatus(primary.id) } : result;
+
+    const duplicateStore = getDuplicateStore();
+    await duplicateStore.updateCandidate(candidate.id, {
+        status: 'merged',
+        resolved_at: new Date().toISOString(),
+        resolved_by: actorLabel(actor)
+    });
+    await duplicateStore.replacePatient(secondary.id, primary.id);
+    const merge = await duplicateStore.addMerge({
+        candidate_id: candidate.id,
+        primary_id: String(primary.id),
+        merged_id: String(secondary.id),
+        merged_by: actorLabel(actor),
+        fields: options.fields || {},
+        primary_before: withoutPassword(primary),
+        merged_record: withoutPassword(secondary),
+        result: withoutPassword(patient),
+        appointments_moved: appointments,
+        notes_moved: notes,
+        consents_moved: consents,
+        payments_moved: payments
+    });
+
+    return { patient: withoutPassword(patient), merge };
+}
+
+module.exports = { flagDuplicates, scanForDuplicates, listCandidates, dismissCandidate, mergeCandidate };
@@ -0,0 +1,22 @@
+// lib/http-error.js - Errors that carry the HTTP status and a machine-readable code for the route
+function httpError(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+// Answer with the error's own status, or log it and answer 500
+function sendError(res, error, fallbackMessage) {
+    if (error.status) {
+        const body = { error: error.message, code: error.code };
+        if (error.details) {
+            body.details = error.details;
+        }
+        return res.status(error.status).json(body);
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({ error: fallbackMessage });
+}
+
+module.exports = { httpError, sendError };
@@ -0,0 +1,120 @@
+// lib/json-file.js - Small helpers for the JSON files kept under data/
+//
+// Writes go to a temp file that is fsync'ed and renamed over the target, so a
+// crash leaves either the old or the new file on disk, never half of one.
+// withFileLock() serializes read-modify-write cycles on a file, both inside
+// this process and against other processes using the same data directory.
+const fs = require('fs');
+const path = require('path');
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 20;
+
+// Read a JSON file, falling back when it does not exist yet.
+// A file that exists but does not parse is reported, never treated as empty.
+function readJsonFile(file, fallback) {
+    if (!fs.existsSync(file)) {
+        return fallback;
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const corrupt = new Error(`${path.basename(file)} is corrupted and could not be read: ${error.message}`);
+        corrupt.code = 'CORRUPT_JSON_FILE';
+        corrupt.file = file;
+        throw corrupt;
+    }
+}
+
+// Write a JSON file atomically, creating its directory if needed
+function writeJsonFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+}
+
+// Append one JSON line and flush it to disk before returning
+function appendJsonLine(file, entry) {
+    appendJsonLines(file, [entry]);
+}
+
+// Append several JSON lines with a single flush
+function appendJsonLines(file, entries) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const fd = fs.openSync(file, 'a');
+    try {
+        fs.writeSync(fd, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Cross-process lock: a <file>.lock created exclusively; stale locks are broken
+async function acquireLockFile(lockFile) {
+    const started = Date.now();
+    for (;;) {
+        try {
+            fs.mkdirSync(path.dirname(lockFile), { recursive: true });
+            fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            try {
+                if (Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS) {
+                    fs.unlinkSync(lockFile);
+                    continue;
+                }
+            } catch (statError) {
+                // Lock was released between our attempts; try again straight away
+                continue;
+            }
+            if (Date.now() - started > LOCK_TIMEOUT_MS) {
+                throw new Error(`Timed out waiting for ${path.basename(lockFile)}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+}
+
+const lockQueues = new Map();
+
+// Run fn (sync or async) while holding the lock for file; callers queue up in order
+function withFileLock(file, fn) {
+    const previous = lockQueues.get(file) || Promise.resolve();
+    const run = previous.then(async () => {
+        const lockFile = `${file}.lock`;
+        await acquireLockFile(lockFile);
+        try {
+            return await fn();
+        } finally {
+            fs.rmSync(lockFile, { force: true });
+        }
+    });
+    // Keep the queue going even when fn throws
+    const tail = run.catch(() => {});
+    lockQueues.set(file, tail);
+    tail.then(() => {
+        if (lockQueues.get(file) === tail) {
+            lockQueues.delete(file);
+        }
+    });
+    return run;
+}
+
+module.exports = { dataDir, readJsonFile, writeJsonFile, appendJsonLine, appendJsonLines, withFileLock };
@@ -0,0 +1,145 @@
+// lib/note-store.js - Staff notes on patients, JSON file or MySQL
+//
+// Notes are kept apart from the patient record so they work whichever patient
+// store is in use (Airtable has no column for them). NOTE_STORE picks the
+// backend (json | sql). Both adapters follow the patient_notes table from
+// lib/database.js and expose:
+//   create({ patient_id, text, author }) -> saved note
+//   list({ patient_id })                 -> notes, newest first
+//   remove(id)                           -> true when a note was deleted
+//   reassignPatient(fromId, toId)        -> number of notes moved (merges)
+// The JSON adapter also has reencrypt() -> number of notes rewritten with the
+// current key. The JSON file keeps the note texts encrypted with PATIENT_DATA_KEYS
+// (lib/patient-crypto.js).
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+const { encryptFields, decryptRecord } = require('./patient-crypto');
+
+const MAX_NOTE_LENGTH = 2000;
+
+function createJsonNoteStore(options = {}) {
+    const notesFile = options.file || process.env.NOTES_FILE || path.join(dataDir, 'patient-notes.json');
+
+    function readData() {
+        const data = readJsonFile(notesFile, { nextId: 1, notes: [] });
+        return { ...data, notes: data.notes.map(decryptRecord) };
+    }
+
+    function writeData(data) {
+        writeJsonFile(notesFile, { ...data, notes: data.notes.map(note => encryptFields(note, ['text'])) });
+    }
+
+    async function create(note) {
+        const data = readData();
+        const saved = {
+            id: data.nextId++,
+            patient_id: String(note.patient_id),
+            text: note.text,
+            author: note.author || null,
+            created_at: new Date().toISOString()
+        };
+        data.notes.push(saved);
+        writeData(data);
+        return saved;
+    }
+
+    async function list(filter = {}) {
+        return readData().notes
+            .filter(n => !filter.patient_id || n.patient_id === String(filter.patient_id))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+    }
+
+    async function remove(id) {
+        const data = readData();
+        const index = data.notes.findIndex(n => String(n.id) === String(id));
+        if (index === -1) {
+            return false;
+        }
+        data.notes.splice(index, 1);
+        writeData(data);
+        return true;
+    }
+
+    async function reassignPatient(fromId, toId) {
+        const data = readData();
+        const moved = data.notes.filter(n => n.patient_id === String(fromId));
+        moved.forEach(n => { n.patient_id = String(toId); });
+        writeData(data);
+        return moved.length;
+    }
+
+    async function reencrypt() {
+        const data = readData();
+        writeData(data);
+        return data.notes.length;
+    }
+
+    return { type: 'json', create, list, remove, reassignPatient, reencrypt };
+}
+
+function createSqlNoteStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+
+    async function create(note) {
+        const [result] = await pool().execute(
+            'INSERT INTO patient_notes (patient_id, text, author) VALUES (?, ?, ?)',
+            [String(note.patient_id), note.text, note.author || null]
+        );
+        const [rows] = await pool().execute('SELECT * FROM patient_notes WHERE id = ?', [result.insertId]);
+        return rows[0];
+    }
+
+    async function list(filter = {}) {
+        const where = filter.patient_id ? 'WHERE patient_id = ?' : '';
+        const [rows] = await pool().execute(
+            `SELECT * FROM patient_notes ${where} ORDER BY created_at DESC, id DESC`,
+            filter.patient_id ? [String(filter.patient_id)] : []
+        );
+        return rows;
+    }
+
+    async function remove(id) {
+        const [result] = await pool().execute('DELETE FROM patient_notes WHERE id = ?', [id]);
+        return result.affectedRows > 0;
+    }
+
+    async function reassignPatient(fromId, toId) {
+        const [result] = await pool().execute(
+            'UPDATE patient_notes SET patient_id = ? WHERE patient_id = ?',
+            [String(toId), String(fromId)]
+        );
+        return result.affectedRows;
+    }
+
+    return { type: 'sql', create, list, remove, reassignPatient };
+}
+
+const adapters = {
+    json: createJsonNoteStore,
+    sql: createSqlNoteStore
+};
+
+function createNoteStore(options = {}) {
+    const type = options.type || (process.env.NOTE_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown note store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let noteStore;
+
+function getNoteStore() {
+    if (!noteStore) {
+        noteStore = createNoteStore();
+    }
+    return noteStore;
+}
+
+function configureNoteStore(options = {}) {
+    noteStore = createNoteStore(options);
+    return noteStore;
+}
+
+module.exports = { MAX_NOTE_LENGTH, createNoteStore, getNoteStore, configureNoteStore };
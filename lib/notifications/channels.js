@@ -0,0 +1,112 @@
+// lib/notifications/channels.js - Delivery adapters for each notification channel
+//
+// Every channel exposes:
+//   configured()          -> true when its credentials are set
+//   send(to, message)     -> resolves when the provider accepted the message,
+//                            throws otherwise (the queue then retries)
+// message is { subject, text }. Credentials come from the environment:
+//   telegram  TELEGRAM_BOT_TOKEN (+ TELEGRAM_CHAT_ID for staff alerts)
+//   whatsapp  WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID (WhatsApp Cloud API)
+//   email     SENDGRID_API_KEY, EMAIL_FROM
+//   sms       TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM
+// NOTIFY_SINK=console|file replaces all of them with a local sink, so the
+// whole flow can be tried without sending anything; the file sink appends
+// JSON lines to NOTIFY_SINK_FILE (default data/notifications-sink.log).
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { dataDir } = require('../json-file');
+
+const TIMEOUT_MS = 10 * 1000;
+
+const telegram = {
+    configured: () => !!process.env.TELEGRAM_BOT_TOKEN,
+    async send(to, message) {
+        await axios.post(
+            `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+            { chat_id: to, text: message.text },
+            { timeout: TIMEOUT_MS }
+        );
+    }
+};
+
+// Free-form text only reaches numbers that wrote to the clinic in the last
+// 24 hours; outside that window WhatsApp expects an approved template
+const whatsapp = {
+    configured: () => !!(process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_PHONE_NUMBER_ID),
+    async send(to, message) {
+        await axios.post(
+            `https://graph.facebook.com/v19.0/${process.env.WHATSAPP_PHONE_NUMBER_ID}/messages`,
+            { messaging_product: 'whatsapp', to: to.replace(/^\+/, ''), type: 'text', text: { body: message.text } },
+            { headers: { Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}` }, timeout: TIMEOUT_MS }
+        );
+    }
+};
+
+const email = {
+    configured: () => !!(process.env.SENDGRID_API_KEY && process.env.EMAIL_FROM),
+    async send(to, message) {
+        await axios.post(
+            'https://api.sendgrid.com/v3/mail/send',
+            {
+                personalizations: [{ to: [{ email: to }] }],
+                from: { email: process.env.EMAIL_FROM },
+                subject: message.subject,
+                content: [{ type: 'text/plain', value: message.text }]
+            },
+            { headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` }, timeout: TIMEOUT_MS }
+        );
+    }
+};
+
+const sms = {
+    configured: () => !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM),
+    async send(to, message) {
+        await axios.post(
+            `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+            new URLSearchParams({ To: to, From: process.env.TWILIO_FROM, Body: message.text }).toString(),
+            {
+                auth: { username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN },
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: TIMEOUT_MS
+            }
+        );
+    }
+};
+
+const channels = { telegram, whatsapp, email, sms };
+
+// Local sinks record what would have been sent
+const sinks = {
+    console: {
+        configured: () => true,
+        async send(to, message, channel) {
+            console.log(`📨 [${channel} -> ${to}] ${message.subject || ''}\n${message.text}`);
+        }
+    },
+    file: {
+        configured: () => true,
+        async send(to, message, channel) {
+            const sinkFile = process.env.NOTIFY_SINK_FILE || path.join(dataDir, 'notifications-sink.log');
+            fs.mkdirSync(path.dirname(sinkFile), { recursive: true });
+            fs.appendFileSync(sinkFile, JSON.stringify({ at: new Date().toISOString(), channel, to, ...message }) + '\n');
+        }
+    }
+};
+
+// The adapter a channel's messages go through right now
+function getChannel(name) {
+    if (!channels[name]) {
+        throw new Error(`Unknown notification channel "${name}"`);
+    }
+    const sink = process.env.NOTIFY_SINK;
+    if (sink) {
+        if (!sinks[sink]) {
+            throw new Error(`Unknown NOTIFY_SINK "${sink}" - use one of: ${Object.keys(sinks).join(', ')}`);
+        }
+        return { configured: sinks[sink].configured, send: (to, message) => sinks[sink].send(to, message, name) };
+    }
+    return channels[name];
+}
+
+module.exports = { CHANNELS: Object.keys(channels), getChannel };
@@ -0,0 +1,164 @@
+// lib/notifications/index.js - Send notifications for clinic events
+//
+//   notify('patient.registered', { patient })
+//   notify('payment.received', { patient, payment })
+//   notify('appointment.booked', { patient, doctor, appointment })
+//   notify('patient.message', { patient, text })   (staff messages from the dashboard)
+//
+// Each event is routed to one or more { channel, to, template } entries. "to"
+// is "staff" (the clinic's own chat, phone or inbox from the environment) or
+// "patient" (the patient's phone or email). Messages are rendered straight
+// away, put on the persistent queue and delivered in the background, so a
+// failing provider never holds up the request that raised the event. Routes can
+// be replaced per event with a JSON file named by NOTIFICATION_ROUTES_FILE.
+const fs = require('fs');
+const { renderTemplate } = require('./templates');
+const { getChannel } = require('./channels');
+const queue = require('./queue');
+const { parsePhone } = require('../phone');
+
+const DEFAULT_ROUTES = {
+    'patient.registered': [
+        { channel: 'telegram', to: 'staff', template: 'registration-staff' },
+        { channel: 'whatsapp', to: 'patient', template: 'registration-welcome' },
+        { channel: 'email', to: 'patient', template: 'registration-welcome' }
+    ],
+    'payment.received': [
+        { channel: 'telegram', to: 'staff', template: 'payment-staff' },
+        { channel: 'whatsapp', to: 'patient', template: 'payment-receipt' },
+        { channel: 'email', to: 'patient', template: 'payment-receipt' }
+    ],
+    'patient.message': [
+        { channel: 'whatsapp', to: 'patient', template: 'staff-message' },
+        { channel: 'email', to: 'patient', template: 'staff-message' }
+    ],
+    'appointment.booked': [
+        { channel: 'telegram', to: 'staff', template: 'appointment-staff' },
+        { channel: 'sms', to: 'patient', template: 'appointment-confirmation' },
+        { channel: 'whatsapp', to: 'patient', template: 'appointment-confirmation' },
+        { channel: 'email', to: 'patient', template: 'appointment-confirmation' }
+    ]
+};
+
+function getRoutes() {
+    const file = process.env.NOTIFICATION_ROUTES_FILE;
+    if (!file) {
+        return DEFAULT_ROUTES;
+    }
+    return { ...DEFAULT_ROUTES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+// E.164 number to message; landlines cannot take WhatsApp or SMS
+function patientPhone(patient) {
+    const phone = parsePhone(patient && patient.phone);
+    return phone && phone.type !== 'landline' ? phone.e164 : null;
+}
+
+// Address for a route, or null when there is nobody to send to
+function recipient(route, data) {
+    if (route.to === 'staff') {
+        return {
+            telegram: process.env.TELEGRAM_CHAT_ID,
+            whatsapp: process.env.STAFF_PHONE,
+            sms: process.env.STAFF_PHONE,
+            email: process.env.STAFF_EMAIL
+        }[route.channel] || null;
+    }
+    const patient = data.patient || {};
+    return {
+        whatsapp: patientPhone(patient),
+        sms: patientPhone(patient),
+        email: patient.email || null
+    }[route.channel] || null;
+}
+
+const warnedChannels = new Set();
+
+function channelReady(name) {
+    if (getChannel(name).configured()) {
+        return true;
+    }
+    if (!warnedChannels.has(name)) {
+        warnedChannels.add(name);
+        console.log(`Notifications: ${name} is not configured, skipping its messages`);
+    }
+    return false;
+}
+
+function describeError(error) {
+    if (error.response) {
+        return `${error.response.status} ${JSON.stringify(error.response.data).slice(0, 300)}`;
+    }
+    return error.message;
+}
+
+let processing = null;
+
+// Deliver every job that is due; overlapping calls share one run
+function processQueue() {
+    if (!processing) {
+        processing = (async () => {
+            let sent = 0;
+            let failed = 0;
+            for (let jobs = await queue.claimDue(); jobs.length > 0; jobs = await queue.claimDue()) {
+                for (const job of jobs) {
+                    try {
+                        await getChannel(job.channel).send(job.to, job.message);
+                        await queue.recordAttempt(job.id, null);
+                        sent++;
+                    } catch (error) {
+                        const updated = await queue.recordAttempt(job.id, describeError(error));
+                        console.error(`Notification ${job.template} via ${job.channel} failed (attempt ${updated && updated.attempts}):`, describeError(error));
+                        failed++;
+                    }
+                }
+            }
+            return { sent, failed };
+        })().finally(() => { processing = null; });
+    }
+    return processing;
+}
+
+// Queue the messages for an event and start delivering them; resolves with the queued jobs
+async function notify(event, data) {
+    const routes = getRoutes()[event];
+    if (!routes) {
+        throw new Error(`Unknown notification event "${event}"`);
+    }
+    const entries = routes
+        .filter(route => channelReady(route.channel))
+        .map(route => ({ route, to: recipient(route, data) }))
+        .filter(({ to }) => to)
+        .map(({ route, to }) => ({
+            event,
+            // Lets lib/privacy.js find the messages about a patient it erases
+            patient_id: data.patient && data.patient.id ? String(data.patient.id) : null,
+            channel: route.channel,
+            template: route.template,
+            to,
+            message: renderTemplate(route.template, data)
+        }));
+    if (entries.length === 0) {
+        return [];
+    }
+    const jobs = await queue.enqueue(entries);
+    processQueue().catch(error => console.error('Notification queue error:', error.message));
+    return jobs;
+}
+
+// Retry due jobs every minute; the timer does not keep the process alive
+function startNotificationWorker(intervalMs = 60 * 1000) {
+    const run = () => processQueue().catch(error => console.error('Notification queue error:', error.message));
+    run();
+    return setInterval(run, intervalMs).unref();
+}
+
+module.exports = {
+    DEFAULT_ROUTES,
+    notify,
+    processQueue,
+    startNotificationWorker,
+    listNotifications: queue.list,
+    retryNotification: queue.retry,
+    erasePatientNotifications: queue.erasePatient
+};
@@ -0,0 +1,144 @@
+// lib/notifications/queue.js - Persistent queue of notifications waiting to be delivered
+//
+// Kept in data/notifications.json (NOTIFICATIONS_FILE). A job is
+//   { id, event, patient_id, channel, template, to, message, status, attempts,
+//     next_attempt_at, last_error, created_at, sent_at }
+// with status pending | sending | sent | failed | cancelled. A job that fails
+// is tried again after 1, 2, 4, 8... minutes until NOTIFY_MAX_ATTEMPTS
+// (default 5) is used up.
+// Jobs stuck in "sending" (the process died mid-delivery) are picked up again.
+// The address and message are encrypted with PATIENT_DATA_KEYS
+// (lib/patient-crypto.js).
+const crypto = require('crypto');
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile, withFileLock } = require('../json-file');
+const { encryptFields, decryptRecord } = require('../patient-crypto');
+
+const RETRY_BASE_MS = 60 * 1000;
+const STALE_SENDING_MS = 5 * 60 * 1000;
+const KEEP_SENT_MS = 7 * 24 * 60 * 60 * 1000;
+const ENCRYPTED_JOB_FIELDS = ['to', 'message'];
+
+function queueFile() {
+    return process.env.NOTIFICATIONS_FILE || path.join(dataDir, 'notifications.json');
+}
+
+function maxAttempts() {
+    return Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+}
+
+function readJobs() {
+    return readJsonFile(queueFile(), { jobs: [] }).jobs.map(decryptRecord);
+}
+
+// Read-modify-write of the queue under the file lock
+function updateJobs(change) {
+    return withFileLock(queueFile(), () => {
+        const jobs = readJobs();
+        const result = change(jobs);
+        // Delivered notifications are only kept for a week
+        const cutoff = Date.now() - KEEP_SENT_MS;
+        const kept = jobs.filter(job => !(job.status === 'sent' && new Date(job.sent_at) < cutoff));
+        writeJsonFile(queueFile(), { jobs: kept.map(job => encryptFields(job, ENCRYPTED_JOB_FIELDS)) });
+        return result;
+    });
+}
+
+function enqueue(entries) {
+    const now = new Date().toISOString();
+    const jobs = entries.map(entry => ({
+        id: crypto.randomUUID(),
+        ...entry,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: null,
+        created_at: now,
+        sent_at: null
+    }));
+    return updateJobs(existing => {
+        existing.push(...jobs);
+        return jobs;
+    });
+}
+
+// Mark due jobs as "sending" and hand them to the caller
+function claimDue(limit = 20) {
+    const now = Date.now();
+    return updateJobs(jobs => {
+        const due = jobs
+            .filter(job => (job.status === 'pending' && new Date(job.next_attempt_at) <= now) ||
+                (job.status === 'sending' && now - new Date(job.claimed_at) > STALE_SENDING_MS))
+            .slice(0, limit);
+        due.forEach(job => {
+            job.status = 'sending';
+            job.claimed_at = new Date(now).toISOString();
+        });
+        return due.map(job => ({ ...job }));
+    });
+}
+
+// Record the outcome of one delivery attempt
+function recordAttempt(id, error) {
+    return updateJobs(jobs => {
+        const job = jobs.find(j => j.id === id);
+        if (!job) {
+            return null;
+        }
+        job.attempts += 1;
+        delete job.claimed_at;
+        if (!error) {
+            job.status = 'sent';
+            job.sent_at = new Date().toISOString();
+            job.last_error = null;
+        } else {
+            job.last_error = error;
+            job.status = job.attempts >= maxAttempts() ? 'failed' : 'pending';
+            job.next_attempt_at = new Date(Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1)).toISOString();
+        }
+        return { ...job };
+    });
+}
+
+// Put a failed job back in line with a fresh set of attempts
+function retry(id) {
+    return updateJobs(jobs => {
+        const job = jobs.find(j => j.id === id);
+        if (!job || job.status !== 'failed') {
+            return null;
+        }
+        Object.assign(job, { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() });
+        return { ...job };
+    });
+}
+
+// Erasing a patient (lib/privacy.js): jobs about them, found by patient_id or
+// by their phone or email as the address, lose the address and message; those
+// not sent yet are cancelled. Returns how many jobs were changed.
+function erasePatient(patientIds, addresses = []) {
+    const ids = patientIds.map(String);
+    const to = addresses.filter(Boolean).map(String);
+    return updateJobs(jobs => {
+        const erased = jobs.filter(job => ids.includes(String(job.patient_id)) || to.includes(String(job.to)));
+        erased.forEach(job => {
+            Object.assign(job, { to: '[erased]', message: '[erased]' });
+            if (job.status !== 'sent') {
+                Object.assign(job, { status: 'cancelled', last_error: 'The patient was erased' });
+            }
+        });
+        return erased.length;
+    });
+}
+
+// Write every job again with the current key (scripts/encrypt-patient-data.js)
+function reencrypt() {
+    return updateJobs(jobs => jobs.length);
+}
+
+async function list(filter = {}) {
+    return readJobs()
+        .filter(job => !filter.status || job.status === filter.status)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+module.exports = { enqueue, claimDue, recordAttempt, retry, erasePatient, list, reencrypt };
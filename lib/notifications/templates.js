@@ -0,0 +1,84 @@
+// lib/notifications/templates.js - Named message templates
+//
+// Each template takes the event data and returns { subject, text }; subject is
+// only used by email. Templates for staff go to the clinic's Telegram group,
+// templates for patients go to the patient's phone or inbox.
+const { toClinicLocal, formatTime } = require('../availability');
+
+const CLINIC_NAME = process.env.CLINIC_NAME || 'Homa Healthcare Center';
+
+// Appointment time as the patient sees it on the clinic's clock
+function clinicDateTime(iso) {
+    const { date, minutes } = toClinicLocal(iso);
+    return `${date} ${formatTime(minutes)}`;
+}
+
+function doctorName(doctor) {
+    return doctor ? `Dr. ${[doctor.first_name, doctor.last_name].filter(Boolean).join(' ')}` : 'the doctor';
+}
+
+const templates = {
+    'registration-staff': ({ patient }) => ({
+        subject: 'New patient registered',
+        text: `🏥 NEW PATIENT REGISTERED
+
+👤 Name: ${patient.name}
+📧 Email: ${patient.email || '-'}
+📞 Phone: ${patient.phoneDisplay || patient.phone || '-'}
+⏰ Time: ${new Date(patient.registrationDate || Date.now()).toLocaleString()}
+
+Dr. Nehru - New patient registration received.`
+    }),
+
+    'registration-welcome': ({ patient }) => ({
+        subject: `Welcome to ${CLINIC_NAME}`,
+        text: `Namaste ${patient.name}, thank you for registering with ${CLINIC_NAME}. ` +
+            'Our team will contact you shortly to schedule your consultation.'
+    }),
+
+    'payment-staff': ({ patient, payment }) => ({
+        subject: 'Payment received',
+        text: `💰 PAYMENT RECEIVED
+
+👤 Patient: ${patient.name}
+💵 Amount: ₹${payment.amount}
+🧾 Reference: ${payment.reference || '-'}`
+    }),
+
+    'payment-receipt': ({ patient, payment }) => ({
+        subject: `Payment received - ${CLINIC_NAME}`,
+        text: `Dear ${patient.name}, we have received your payment of ₹${payment.amount}` +
+            `${payment.reference ? ` (reference ${payment.reference})` : ''}. Thank you.`
+    }),
+
+    'appointment-staff': ({ patient, doctor, appointment }) => ({
+        subject: 'Appointment booked',
+        text: `📅 APPOINTMENT BOOKED
+
+👤 Patient: ${patient.name} (${patient.phoneDisplay || patient.phone || '-'})
+🩺 Doctor: ${doctorName(doctor)}
+⏰ Time: ${clinicDateTime(appointment.appointment_date)} (${appointment.duration_minutes} min)`
+    }),
+
+    'appointment-confirmation': ({ patient, doctor, appointment }) => ({
+        subject: `Your appointment at ${CLINIC_NAME}`,
+        text: `Dear ${patient.name}, your appointment with ${doctorName(doctor)} is booked for ` +
+            `${clinicDateTime(appointment.appointment_date)}. Please arrive 10 minutes early.`
+    }),
+
+    // Written by staff on the dashboard; {name} is replaced with the patient's name
+    'staff-message': ({ patient, text }) => ({
+        subject: `Message from ${CLINIC_NAME}`,
+        text: text.replace(/\{name\}/g, patient.name || '')
+    })
+};
+
+function renderTemplate(name, data) {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown notification template "${name}"`);
+    }
+    return template(data);
+}
+
+module.exports = { templates, renderTemplate };
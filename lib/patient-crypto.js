@@ -0,0 +1,195 @@
+// lib/patient-crypto.js - Field-level encryption of patient records kept in files
+//
+// The JSON patient store (and its journal) write names, contact details and
+// health data encrypted with AES-256-GCM, so a copy of data/ on its own gives
+// nothing away. Keys come from PATIENT_DATA_KEYS:
+//   PATIENT_DATA_KEYS=k2:<base64 32 bytes>,k1:<base64 32 bytes>
+// The first key encrypts; every listed key can still decrypt, which is how a
+// key is rotated: put the new one first, run `npm run encrypt:patients` to
+// re-encrypt everything with it, then drop the old one. A new key comes from
+// `npm run encrypt:patients -- --generate-key`.
+//
+// An encrypted field is stored as "enc:<keyId>:<iv>:<tag>:<ciphertext>" (base64
+// parts, the value JSON-encoded before encryption so numbers stay numbers).
+// Email and phone also get a blind index - an HMAC of the lower-cased value -
+// in the record's _blind field, so exact lookups (login, duplicate checks) find
+// a record without decrypting the others. Without PATIENT_DATA_KEYS records are
+// written as plain JSON, as before; plain records are read either way, so
+// existing files keep working until they are re-encrypted.
+//
+// Other files that hold patient details - the registration outbox, the merge
+// log, queued notifications and staff notes - encrypt them the same way
+// (encryptFields) and are rewritten with the current key by the same script.
+const crypto = require('crypto');
+
+const ENCRYPTED_FIELDS = ['name', 'firstName', 'lastName', 'email', 'phone', 'phoneDisplay', 'address',
+    'symptoms', 'age', 'gender', 'heightCm', 'weightKg', 'bmi', 'diabetesStatus', 'hba1c', 'fastingGlucose'];
+const BLIND_INDEX_FIELDS = ['email', 'phone'];
+const PREFIX = 'enc:';
+
+// Parsed PATIENT_DATA_KEYS, worked out again whenever the variable changes
+let loaded = { source: null, keys: [] };
+
+function keyError(message) {
+    const error = new Error(message);
+    error.code = 'PATIENT_KEY_ERROR';
+    return error;
+}
+
+// Separate keys for encryption and for the blind index, derived from one secret
+function deriveKey(secret, purpose) {
+    return Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), `patient-data ${purpose}`, 32));
+}
+
+function parseKeys(source) {
+    return source.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const separator = part.indexOf(':');
+        const id = part.slice(0, separator);
+        const secret = Buffer.from(part.slice(separator + 1), 'base64');
+        if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            throw keyError('PATIENT_DATA_KEYS entries must look like <keyId>:<base64 key>');
+        }
+        if (secret.length !== 32) {
+            throw keyError(`Patient data key ${id} must be 32 bytes (base64-encoded)`);
+        }
+        return { id, encryption: deriveKey(secret, 'encryption'), index: deriveKey(secret, 'blind index') };
+    });
+}
+
+function keys() {
+    const source = process.env.PATIENT_DATA_KEYS || '';
+    if (loaded.source !== source) {
+        loaded = { source, keys: parseKeys(source) };
+    }
+    return loaded.keys;
+}
+
+function isEncryptionConfigured() {
+    return keys().length > 0;
+}
+
+function currentKeyId() {
+    return isEncryptionConfigured() ? keys()[0].id : null;
+}
+
+// A key id and secret ready to put in PATIENT_DATA_KEYS
+function generateKey() {
+    return `k${new Date().toISOString().slice(0, 10).replace(/-/g, '')}:${crypto.randomBytes(32).toString('base64')}`;
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function keyIdOf(value) {
+    return value.slice(PREFIX.length).split(':')[0];
+}
+
+function encryptValue(value, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.encryption, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${key.id}:${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function decryptValue(value) {
+    const [id, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const key = keys().find(candidate => candidate.id === id);
+    if (!key) {
+        throw keyError(`Patient data is encrypted with key ${id}, which is not in PATIENT_DATA_KEYS`);
+    }
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key.encryption, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return JSON.parse(Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8'));
+    } catch (error) {
+        throw keyError(`A patient field encrypted with key ${id} cannot be decrypted - wrong key or damaged data`);
+    }
+}
+
+function blindToken(key, value) {
+    return `${key.id}:${crypto.createHmac('sha256', key.index).update(String(value).trim().toLowerCase()).digest('hex').slice(0, 32)}`;
+}
+
+// Any object with the given fields encrypted with the current key; plain when
+// no key is configured. decryptRecord() reads it back.
+function encryptFields(object, fields) {
+    const plain = decryptRecord(object);
+    if (!isEncryptionConfigured()) {
+        return plain;
+    }
+    const key = keys()[0];
+    const stored = { ...plain };
+    fields.filter(field => plain[field] !== undefined && plain[field] !== null).forEach(field => {
+        stored[field] = encryptValue(plain[field], key);
+    });
+    return stored;
+}
+
+// The record as it goes to disk: sensitive fields encrypted with the current
+// key, blind indexes for email and phone. Plain when no key is configured.
+function encryptRecord(record) {
+    const { _blind, ...plain } = decryptRecord(record);
+    if (!isEncryptionConfigured()) {
+        return plain;
+    }
+    const key = keys()[0];
+    const stored = encryptFields(plain, ENCRYPTED_FIELDS);
+    const blind = {};
+    BLIND_INDEX_FIELDS.filter(field => plain[field]).forEach(field => {
+        blind[field] = blindToken(key, plain[field]);
+    });
+    return { ...stored, _blind: blind };
+}
+
+// The record as the rest of the app sees it
+function decryptRecord(record) {
+    if (!record || !record._blind && !Object.values(record).some(isEncrypted)) {
+        return record;
+    }
+    const { _blind, ...plain } = record;
+    Object.keys(plain).filter(field => isEncrypted(plain[field])).forEach(field => {
+        plain[field] = decryptValue(plain[field]);
+    });
+    return plain;
+}
+
+// A test for stored records whose field equals value (case-insensitively). It
+// uses the blind index for encrypted records, with a token for every key so
+// rotation does not hide any; the tokens are worked out once per lookup.
+function storedFieldMatcher(field, value) {
+    const wanted = String(value).toLowerCase();
+    const tokens = BLIND_INDEX_FIELDS.includes(field) ? keys().map(key => blindToken(key, value)) : [];
+    return record => {
+        if (!isEncrypted(record[field])) {
+            return String(record[field] || '').toLowerCase() === wanted;
+        }
+        if (BLIND_INDEX_FIELDS.includes(field)) {
+            return Boolean(record._blind) && tokens.includes(record._blind[field]);
+        }
+        return String(decryptValue(record[field])).toLowerCase() === wanted;
+    };
+}
+
+// True when writing the record again would change how it is encrypted: plain
+// fields with a key configured, an older key, or encrypted fields without one
+function needsReencryption(record) {
+    const encrypted = ENCRYPTED_FIELDS.filter(field => record[field] !== undefined && record[field] !== null);
+    if (!isEncryptionConfigured()) {
+        return encrypted.some(field => isEncrypted(record[field])) || Boolean(record._blind);
+    }
+    return encrypted.some(field => !isEncrypted(record[field]) || keyIdOf(record[field]) !== currentKeyId());
+}
+
+module.exports = {
+    ENCRYPTED_FIELDS,
+    BLIND_INDEX_FIELDS,
+    isEncryptionConfigured,
+    currentKeyId,
+    generateKey,
+    encryptFields,
+    encryptRecord,
+    decryptRecord,
+    storedFieldMatcher,
+    needsReencryption
+};
@@ -0,0 +1,182 @@
+// lib/patient-export.js - Patient lists written out as CSV, Excel (.xlsx) or JSON
+//
+// GET /api/patients/export takes the filters and sort of GET /api/patients
+// (lib/patient-query.js, without page/limit/cursor) and:
+//   format               csv (default), xlsx or json
+//   fields               comma-separated patient fields, in column order
+//                        (default DEFAULT_FIELDS); status is the current name
+//                        of the status, phoneDisplay the formatted number
+// The store answers with every matching patient in one query (each adapter
+// reads the full list to filter it anyway); the file is then written out in
+// chunks, waiting whenever the client reads slower than it is written, so the
+// finished file never sits in memory whole. The CSV has a byte-order mark so
+// Excel reads names in any script; its column headers are the ones
+// lib/patient-import.js recognises, so an export can be imported again.
+const { toCsvRow } = require('./csv');
+const { getPatientStore } = require('./patient-store');
+const { parsePatientQuery } = require('./patient-query');
+const { patientStatus } = require('./patients');
+const { withPhoneDetails } = require('./phone');
+const { httpError } = require('./http-error');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+const DEFAULT_FIELDS = ['id', 'name', 'phoneDisplay', 'email', 'age', 'gender', 'status', 'group',
+    'paymentStatus', 'source', 'registrationDate'];
+const HIDDEN_FIELDS = ['password', 'phoneLinks'];
+const PAGING_PARAMS = ['page', 'limit', 'cursor'];
+const CHUNK_ROWS = 200;
+
+// Column headers for the common fields; any other field is its own header
+const FIELD_LABELS = {
+    id: 'Patient ID',
+    name: 'Name',
+    first_name: 'First Name',
+    last_name: 'Last Name',
+    phone: 'Phone',
+    phoneDisplay: 'Phone',
+    email: 'Email',
+    age: 'Age',
+    gender: 'Gender',
+    status: 'Status',
+    group: 'Group',
+    paymentStatus: 'Payment Status',
+    source: 'Source',
+    registrationDate: 'Registration Date',
+    heightCm: 'Height (cm)',
+    weightKg: 'Weight (kg)',
+    bmi: 'BMI',
+    diabetesStatus: 'Diabetes Status',
+    hba1c: 'HbA1c',
+    fastingGlucose: 'Fasting Glucose'
+};
+
+// Check request parameters; returns { format, fields, query }
+function parseExportOptions(params = {}) {
+    const format = String(params.format || 'csv').toLowerCase();
+    if (!FORMATS[format]) {
+        throw httpError(`format must be one of ${Object.keys(FORMATS).join(', ')}`, 400, 'INVALID_QUERY');
+    }
+    const fields = params.fields
+        ? [...new Set(String(params.fields).split(',').map(field => field.trim()).filter(Boolean))]
+        : DEFAULT_FIELDS;
+    const refused = fields.filter(field => !/^[A-Za-z_]\w*$/.test(field) || HIDDEN_FIELDS.includes(field));
+    if (refused.length) {
+        throw httpError(`Cannot export ${refused.map(field => `"${field}"`).join(', ')}`, 400, 'INVALID_QUERY');
+    }
+    if (fields.length === 0) {
+        throw httpError('fields must name at least one field', 400, 'INVALID_QUERY');
+    }
+    const unpaged = Object.fromEntries(Object.entries(params).filter(([key]) => !PAGING_PARAMS.includes(key)));
+    const query = { ...parsePatientQuery(unpaged), limit: Number.MAX_SAFE_INTEGER };
+    return { format, fields, query };
+}
+
+function exportValue(patient, field) {
+    if (field === 'status') {
+        return patientStatus(patient);
+    }
+    const value = patient[field];
+    return value === undefined ? null : value;
+}
+
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Writers take one row of values at a time; end() finishes the file
+function csvWriter(res, fields) {
+    res.write(`\uFEFF${toCsvRow(fields.map(field => FIELD_LABELS[field] || field))}`);
+    return {
+        row: values => res.write(toCsvRow(values)),
+        end: async () => res.end()
+    };
+}
+
+function xlsxWriter(res, fields, ExcelJS) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Patients', { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = fields.map(field => ({ header: FIELD_LABELS[field] || field, key: field, width: field === 'id' ? 24 : 18 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    return {
+        // Timestamps become Excel dates so the sheet can sort and filter on them
+        row: values => sheet.addRow(values.map(value => (value !== null && typeof value === 'object' ? JSON.stringify(value)
+            : ISO_TIME.test(value) ? new Date(value) : value))).commit(),
+        end: async () => {
+            sheet.commit();
+            await workbook.commit();
+        }
+    };
+}
+
+function jsonWriter(res, fields) {
+    res.write(`{"exportedAt":${JSON.stringify(new Date().toISOString())},"fields":${JSON.stringify(fields)},"patients":[`);
+    let first = true;
+    return {
+        row: values => {
+            res.write(`${first ? '' : ','}\n${JSON.stringify(Object.fromEntries(fields.map((field, index) => [field, values[index]])))}`);
+            first = false;
+        },
+        end: async () => res.end('\n]}\n')
+    };
+}
+
+const WRITERS = { csv: csvWriter, xlsx: xlsxWriter, json: jsonWriter };
+
+// Wait until the client has taken what was written so far
+function drained(res) {
+    if (!res.writableNeedDrain || res.destroyed) {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Stream the patients matching options.query to res. Resolves to
+// { patientIds, complete }: the patients written, and whether the file was
+// finished. Errors before the first byte are thrown for the route to answer;
+// after that the response can only be cut off.
+async function exportPatients(res, { format, fields, query }) {
+    const { patients } = await getPatientStore().query(query);
+    // Loaded here, before any header is set, so CSV and JSON exports work where
+    // exceljs is not installed
+    const ExcelJS = format === 'xlsx' ? require('exceljs') : null;
+    const patientIds = [];
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="patients_${stamp}.${FORMATS[format].extension}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    const writer = WRITERS[format](res, fields, ExcelJS);
+    try {
+        for (let start = 0; start < patients.length && !res.destroyed; start += CHUNK_ROWS) {
+            patients.slice(start, start + CHUNK_ROWS).forEach(({ password, ...patient }) => {
+                const shown = withPhoneDetails(patient);
+                writer.row(fields.map(field => exportValue(shown, field)));
+                patientIds.push(patient.id);
+            });
+            await drained(res);
+        }
+        if (res.destroyed) {
+            return { patientIds, complete: false };
+        }
+        await writer.end();
+        return { patientIds, complete: true };
+    } catch (error) {
+        console.error('Patient export failed:', error.message);
+        res.destroy(error);
+        return { patientIds, complete: false };
+    }
+}
+
+module.exports = { FORMATS, DEFAULT_FIELDS, parseExportOptions, exportPatients };
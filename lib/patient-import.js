@@ -0,0 +1,399 @@
+// lib/patient-import.js - Registering patients in bulk from CSV and Excel files
+//
+// Camps and partner clinics send their patient lists as spreadsheets. An import
+// goes through three steps (import-routes.js):
+//   1. upload   the first sheet (or the CSV) is read into a header row and data
+//               rows, and headers whose name makes it obvious are matched to a
+//               patient field (Mobile No -> phone, Surname -> last_name)
+//   2. preview  staff confirm or change that mapping; every row is run through
+//               validatePatient() and checked for duplicates against the store
+//               and against the rows above it. Nothing is saved.
+//   3. commit   the rows are checked again (the store may have changed since)
+//               and the valid ones are created with createMany() in batches of
+//               BATCH_SIZE, which Airtable receives 10 to a request. Duplicates
+//               are left out unless staff ask for them, and are then queued for
+//               review (lib/duplicates.js). A failed batch stops the commit;
+//               committing again carries on with the rows not saved yet.
+// Uploads are kept in memory only, for IMPORT_TTL_MINUTES (default 60) after
+// the last step, so a spreadsheet of patient details is never written to disk.
+// Imported patients have not accepted the consent text themselves; their
+// source says which import they came from.
+const crypto = require('crypto');
+const path = require('path');
+const { parseCsv } = require('./csv');
+const { getPatientStore } = require('./patient-store');
+const { validatePatient, newPatientRecord, INTAKE_FIELDS } = require('./patient-schema');
+const { matchKeys, findDuplicates } = require('./duplicate-match');
+const { flagDuplicates } = require('./duplicates');
+const { logAudit } = require('./audit');
+const { httpError } = require('./http-error');
+
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = 5000;
+const BATCH_SIZE = 50;
+const SAMPLE_ROWS = 5;
+
+// Patient fields a column can be mapped onto (lib/patient-schema.js)
+const IMPORT_FIELDS = ['name', 'first_name', 'last_name', 'phone', 'email', ...Object.keys(INTAKE_FIELDS), 'diabetesStatus'];
+
+// Header names, lower-case without spaces or punctuation, each field is guessed from
+const HEADER_NAMES = {
+    name: ['name', 'fullname', 'patientname', 'patient'],
+    first_name: ['firstname', 'first', 'givenname', 'forename'],
+    last_name: ['lastname', 'last', 'surname', 'familyname'],
+    phone: ['phone', 'phoneno', 'phonenumber', 'mobile', 'mobileno', 'mobilenumber', 'contact', 'contactno', 'contactnumber', 'cell', 'whatsapp', 'whatsappno'],
+    email: ['email', 'emailid', 'emailaddress', 'mail'],
+    age: ['age', 'ageyears'],
+    heightCm: ['height', 'heightcm'],
+    weightKg: ['weight', 'weightkg'],
+    bmi: ['bmi'],
+    diabetesStatus: ['diabetes', 'diabetesstatus', 'diabetic', 'diabetestype'],
+    hba1c: ['hba1c', 'a1c', 'hba1cpercent'],
+    fastingGlucose: ['fastingglucose', 'fbs', 'fbg', 'fastingsugar', 'fastingbloodsugar']
+};
+
+const imports = new Map();
+
+function ttlMs() {
+    return (Number(process.env.IMPORT_TTL_MINUTES) || 60) * 60 * 1000;
+}
+
+function headerKey(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Text of one Excel cell: rich text, hyperlinks and formulas have objects as values
+function cellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (value.richText) {
+            return value.richText.map(part => part.text).join('');
+        }
+        if (value.text !== undefined) {
+            return cellText(value.text);
+        }
+        if (value.result !== undefined) {
+            return cellText(value.result);
+        }
+        return '';
+    }
+    return String(value);
+}
+
+async function readXlsx(buffer) {
+    // Loaded here so the CSV path works where exceljs is not installed
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+    try {
+        await workbook.xlsx.load(buffer);
+    } catch (error) {
+        throw httpError('The file could not be read as an Excel workbook (.xlsx)', 400, 'INVALID_FILE');
+    }
+    const sheet = workbook.worksheets.find(candidate => candidate.actualRowCount > 0);
+    if (!sheet) {
+        return [];
+    }
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+        const cells = [];
+        for (let column = 1; column <= sheet.columnCount; column++) {
+            cells.push(cellText(row.getCell(column).value));
+        }
+        rows.push(cells);
+    });
+    return rows;
+}
+
+async function readRows(buffer, fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    if (extension === '.csv' || extension === '.txt') {
+        return parseCsv(buffer.toString('utf8'));
+    }
+    if (extension === '.xlsx') {
+        return readXlsx(buffer);
+    }
+    throw httpError(extension === '.xls'
+        ? 'Old .xls workbooks are not supported - save the sheet as .xlsx or .csv'
+        : 'Upload a .csv or .xlsx file', 415, 'UNSUPPORTED_FILE');
+}
+
+// Blank headers become "Column 3", repeated ones "Phone (2)", so each is unique
+function uniqueHeaders(cells) {
+    const seen = new Map();
+    return cells.map((cell, index) => {
+        const header = cell.trim() || `Column ${index + 1}`;
+        const count = (seen.get(header) || 0) + 1;
+        seen.set(header, count);
+        return count === 1 ? header : `${header} (${count})`;
+    });
+}
+
+function suggestMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    IMPORT_FIELDS.forEach(field => {
+        const header = headers.find(candidate => !used.has(candidate) && (HEADER_NAMES[field] || [field]).includes(headerKey(candidate)));
+        if (header) {
+            mapping[field] = header;
+            used.add(header);
+        }
+    });
+    return mapping;
+}
+
+function getImport(id) {
+    const now = Date.now();
+    imports.forEach((entry, key) => {
+        if (entry.expiresAt < now) {
+            imports.delete(key);
+        }
+    });
+    const entry = imports.get(id);
+    if (!entry) {
+        throw httpError(`Import not found - uploads are kept for ${ttlMs() / 60000} minutes`, 404, 'IMPORT_NOT_FOUND');
+    }
+    entry.expiresAt = now + ttlMs();
+    return entry;
+}
+
+// What the routes hand out; rows themselves only as a sample
+function describeImport(entry) {
+    return {
+        id: entry.id,
+        fileName: entry.fileName,
+        status: entry.status,
+        uploadedAt: entry.uploadedAt,
+        uploadedBy: entry.uploadedBy,
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        headers: entry.headers,
+        rowCount: entry.rows.length,
+        fields: IMPORT_FIELDS,
+        mapping: entry.mapping || entry.suggestedMapping,
+        source: entry.source,
+        sample: entry.rows.slice(0, SAMPLE_ROWS).map(cells =>
+            Object.fromEntries(entry.headers.map((header, index) => [header, cells[index]]))),
+        imported: Object.keys(entry.created).length,
+        error: entry.error
+    };
+}
+
+// Read an uploaded file; context is auditContext(req) of whoever uploaded it
+async function createImport(buffer, fileName, context) {
+    if (!fileName) {
+        throw httpError('filename is required', 400, 'VALIDATION_ERROR');
+    }
+    if (!buffer || buffer.length === 0) {
+        throw httpError('The file is empty', 400, 'EMPTY_FILE');
+    }
+    if (buffer.length > MAX_FILE_BYTES) {
+        throw httpError(`Files can be at most ${MAX_FILE_BYTES / 1024 / 1024} MB`, 413, 'FILE_TOO_LARGE');
+    }
+    const [headerCells, ...dataRows] = await readRows(buffer, fileName);
+    const rows = dataRows.filter(cells => cells.some(cell => String(cell).trim()));
+    if (!headerCells || rows.length === 0) {
+        throw httpError('The file has no rows below its header row', 400, 'EMPTY_FILE');
+    }
+    if (rows.length > MAX_ROWS) {
+        throw httpError(`Files can have at most ${MAX_ROWS} rows - split this one`, 413, 'TOO_MANY_ROWS');
+    }
+    const headers = uniqueHeaders(headerCells.map(cell => String(cell)));
+    const entry = {
+        id: crypto.randomUUID(),
+        fileName: path.basename(fileName),
+        status: 'uploaded',
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: context.actor.email,
+        expiresAt: Date.now() + ttlMs(),
+        headers,
+        rows: rows.map(cells => headers.map((header, index) => String(cells[index] === undefined ? '' : cells[index]).trim())),
+        suggestedMapping: suggestMapping(headers),
+        mapping: null,
+        source: null,
+        // Sheet row number -> patient id, for rows already saved
+        created: {},
+        error: null
+    };
+    imports.set(entry.id, entry);
+    return describeImport(entry);
+}
+
+// mapping is { field: header }
+function checkMapping(entry, mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw httpError('mapping must be an object of { field: column header }', 400, 'INVALID_MAPPING');
+    }
+    const details = [];
+    Object.keys(mapping).forEach(field => {
+        if (!IMPORT_FIELDS.includes(field)) {
+            details.push({ field, message: `${field} is not a patient field - use one of: ${IMPORT_FIELDS.join(', ')}` });
+        } else if (mapping[field] && !entry.headers.includes(mapping[field])) {
+            details.push({ field, message: `The file has no column "${mapping[field]}"` });
+        }
+    });
+    if (!mapping.phone) {
+        details.push({ field: 'phone', message: 'Choose the column with the phone number' });
+    }
+    if (!mapping.name && !mapping.first_name) {
+        details.push({ field: 'name', message: 'Choose the column with the name, or with the first name' });
+    }
+    if (details.length > 0) {
+        const error = httpError('The column mapping is not complete', 400, 'INVALID_MAPPING');
+        error.details = details;
+        throw error;
+    }
+    return Object.fromEntries(Object.keys(mapping).filter(field => mapping[field]).map(field => [field, mapping[field]]));
+}
+
+// Every row validated and checked for duplicates:
+//   { row, status: valid | invalid | duplicate | imported, patient, errors, duplicates, patientId }
+// row is the sheet row number, counting the header as row 1
+async function analyzeRows(entry, mapping) {
+    const byKey = new Map();
+    const addToIndex = record => matchKeys(record).forEach(key => {
+        byKey.set(key, [...(byKey.get(key) || []), record]);
+    });
+    (await getPatientStore().list()).forEach(addToIndex);
+
+    const rows = entry.rows.map((cells, index) => {
+        const row = index + 2;
+        if (entry.created[row]) {
+            return { row, status: 'imported', patientId: entry.created[row] };
+        }
+        const input = {};
+        Object.keys(mapping).forEach(field => {
+            input[field] = cells[entry.headers.indexOf(mapping[field])];
+        });
+        let patient;
+        try {
+            patient = validatePatient(input);
+        } catch (error) {
+            if (error.code !== 'VALIDATION_ERROR') {
+                throw error;
+            }
+            return { row, status: 'invalid', errors: error.details };
+        }
+        const candidates = [...new Set(matchKeys(patient).flatMap(key => byKey.get(key) || []))];
+        const duplicates = findDuplicates({ ...patient, id: `row:${row}` }, candidates).map(match => ({
+            ...(String(match.patient.id).startsWith('row:')
+                ? { row: Number(String(match.patient.id).slice(4)) }
+                : { patientId: match.patient.id }),
+            name: match.patient.name,
+            score: match.score,
+            reasons: match.reasons
+        }));
+        addToIndex({ ...patient, id: `row:${row}` });
+        return { row, status: duplicates.length ? 'duplicate' : 'valid', patient, duplicates };
+    });
+
+    const count = status => rows.filter(row => row.status === status).length;
+    return {
+        rows,
+        summary: { total: rows.length, valid: count('valid'), duplicate: count('duplicate'), invalid: count('invalid'), imported: count('imported') }
+    };
+}
+
+// Dry run: { import, summary, rows }. source names where the patients came
+// from (e.g. "Kukatpally diabetes camp"); the file name by default.
+async function previewImport(id, { mapping, source } = {}) {
+    const entry = getImport(id);
+    if (entry.status === 'committing') {
+        throw httpError('This import is being committed', 409, 'IMPORT_IN_PROGRESS');
+    }
+    const checked = checkMapping(entry, mapping);
+    const report = await analyzeRows(entry, checked);
+    entry.mapping = checked;
+    entry.source = String(source || '').trim().slice(0, 100) || `Import: ${entry.fileName}`;
+    entry.status = 'previewed';
+    return { import: describeImport(entry), ...report };
+}
+
+// Save the rows the preview passed. options.includeDuplicates also saves rows
+// that look like existing patients and queues them for duplicate review.
+async function commitImport(id, options = {}, context) {
+    const entry = getImport(id);
+    if (!entry.mapping) {
+        throw httpError('Preview the import before committing it', 409, 'PREVIEW_REQUIRED');
+    }
+    if (entry.status === 'committing') {
+        throw httpError('This import is already being committed', 409, 'IMPORT_IN_PROGRESS');
+    }
+    entry.status = 'committing';
+    entry.error = null;
+    const created = [];
+
+    async function recordSaved(batch, saved) {
+        if (saved.length === 0) {
+            return;
+        }
+        saved.forEach((patient, index) => {
+            created.push({ row: batch[index], patient });
+            entry.created[batch[index].row] = patient.id;
+        });
+        await logAudit(context, {
+            action: 'patient.import',
+            patientIds: saved.map(patient => patient.id),
+            details: { import_id: entry.id, file: entry.fileName, source: entry.source, rows: batch.slice(0, saved.length).map(row => row.row) }
+        });
+    }
+
+    try {
+        const { rows, summary } = await analyzeRows(entry, entry.mapping);
+        const toSave = rows.filter(row => row.status === 'valid' || (options.includeDuplicates && row.status === 'duplicate'));
+        for (let start = 0; start < toSave.length; start += BATCH_SIZE) {
+            const batch = toSave.slice(start, start + BATCH_SIZE);
+            let saved;
+            try {
+                saved = await getPatientStore().createMany(batch.map(row => newPatientRecord(row.patient, entry.source)));
+            } catch (error) {
+                // Adapters that save one by one report the ones that made it
+                await recordSaved(batch, error.saved || []);
+                throw error;
+            }
+            await recordSaved(batch, saved);
+        }
+        created.filter(({ row }) => row.status === 'duplicate').forEach(({ patient }) => {
+            flagDuplicates(patient).catch(error => console.error('Duplicate check failed:', error.message));
+        });
+        entry.status = 'committed';
+        return {
+            import: describeImport(entry),
+            created: created.length,
+            skipped: { invalid: summary.invalid, duplicate: options.includeDuplicates ? 0 : summary.duplicate },
+            patients: created.map(({ row, patient }) => ({ row: row.row, id: patient.id }))
+        };
+    } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+        const failure = httpError(`The import stopped after ${created.length} patient(s): ${error.message}. ` +
+            'Commit again to carry on with the remaining rows.', 502, 'IMPORT_INCOMPLETE');
+        failure.details = { created: created.length, patients: created.map(({ row, patient }) => ({ row: row.row, id: patient.id })) };
+        throw error.status ? error : failure;
+    }
+}
+
+function getImportSummary(id) {
+    return describeImport(getImport(id));
+}
+
+function discardImport(id) {
+    const entry = getImport(id);
+    if (entry.status === 'committing') {
+        throw httpError('This import is being committed', 409, 'IMPORT_IN_PROGRESS');
+    }
+    imports.delete(id);
+}
+
+module.exports = {
+    MAX_FILE_BYTES,
+    IMPORT_FIELDS,
+    createImport,
+    previewImport,
+    commitImport,
+    getImportSummary,
+    discardImport
+};
@@ -0,0 +1,218 @@
+// lib/patient-outbox.js - Registrations waiting for the patient store to come back
+//
+// When the patient store (Airtable) cannot be reached, is rate limited or
+// answers 5xx, the registration is kept in
+// data/patient-outbox.json (PATIENT_OUTBOX_FILE) instead of being lost. The
+// patient gets a provisional ID straight away and the entry is written to the
+// store in the background, after 1, 2, 4, 8... minutes (at most an hour apart)
+// until OUTBOX_MAX_ATTEMPTS (default 12) is used up. An entry is
+//   { id, patient, status, attempts, next_attempt_at, last_error,
+//     patient_id, created_at, delivered_at }
+// with status pending | sending | delivered | failed; id is the provisional ID
+// and patient_id the real one once delivered. A rejection that waiting will
+// not fix (401, 404, 422 such as UNKNOWN_FIELD_NAME) fails the entry straight
+// away. Admins can retry an entry by hand. The patient is kept the way the
+// JSON store keeps its records, encrypted with PATIENT_DATA_KEYS
+// (lib/patient-crypto.js).
+const crypto = require('crypto');
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile, withFileLock } = require('./json-file');
+const { getPatientStore } = require('./patient-store');
+const { flagDuplicates } = require('./duplicates');
+const { getPrivacyStore } = require('./privacy-store');
+const { encryptRecord, decryptRecord } = require('./patient-crypto');
+const { logAudit, diffRecords } = require('./audit');
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const STALE_SENDING_MS = 5 * 60 * 1000;
+const KEEP_DELIVERED_MS = 30 * 24 * 60 * 60 * 1000;
+const RETRYABLE_AIRTABLE_ERRORS = ['AIRTABLE_RATE_LIMITED', 'AIRTABLE_UNAVAILABLE', 'AIRTABLE_NETWORK'];
+const NETWORK_ERRORS = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'];
+
+function outboxFile() {
+    return process.env.PATIENT_OUTBOX_FILE || path.join(dataDir, 'patient-outbox.json');
+}
+
+function maxAttempts() {
+    return Number(process.env.OUTBOX_MAX_ATTEMPTS) || 12;
+}
+
+function readEntries() {
+    return readJsonFile(outboxFile(), { entries: [] }).entries
+        .map(entry => ({ ...entry, patient: decryptRecord(entry.patient) }));
+}
+
+// Read-modify-write of the outbox under the file lock
+function updateEntries(change) {
+    return withFileLock(outboxFile(), () => {
+        const entries = readEntries();
+        const result = change(entries);
+        const cutoff = Date.now() - KEEP_DELIVERED_MS;
+        const kept = entries.filter(entry => !(entry.status === 'delivered' && new Date(entry.delivered_at) < cutoff));
+        writeJsonFile(outboxFile(), { entries: kept.map(entry => ({ ...entry, patient: encryptRecord(entry.patient) })) });
+        return result;
+    });
+}
+
+// Errors worth waiting out: Airtable rate limiting, 5xx or no answer
+// (lib/airtable-client.js), or another store that did not answer at all
+function isRetryable(error) {
+    if (error.name === 'AirtableError') {
+        return RETRYABLE_AIRTABLE_ERRORS.includes(error.code);
+    }
+    return NETWORK_ERRORS.includes(error.code);
+}
+
+function describeError(error) {
+    return error.code ? `${error.code} ${error.message}` : error.message;
+}
+
+function provisionalId() {
+    return 'PROV-' + Date.now().toString(36).toUpperCase() + crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+// Keep a registration the store did not take; resolves with the outbox entry
+function enqueue(patient, error) {
+    const now = new Date().toISOString();
+    const entry = {
+        id: provisionalId(),
+        patient,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(Date.now() + RETRY_BASE_MS).toISOString(),
+        last_error: describeError(error),
+        patient_id: null,
+        created_at: now,
+        delivered_at: null
+    };
+    return updateEntries(entries => {
+        entries.push(entry);
+        return { ...entry };
+    });
+}
+
+function claimDue(limit = 20) {
+    const now = Date.now();
+    return updateEntries(entries => {
+        const due = entries
+            .filter(entry => (entry.status === 'pending' && new Date(entry.next_attempt_at) <= now) ||
+                (entry.status === 'sending' && now - new Date(entry.claimed_at) > STALE_SENDING_MS))
+            .slice(0, limit);
+        due.forEach(entry => {
+            entry.status = 'sending';
+            entry.claimed_at = new Date(now).toISOString();
+        });
+        return due.map(entry => ({ ...entry }));
+    });
+}
+
+// outcome is { patientId } once delivered, or { error, retryable }
+function recordAttempt(id, { patientId, error, retryable }) {
+    return updateEntries(entries => {
+        const entry = entries.find(e => e.id === id);
+        if (!entry) {
+            return null;
+        }
+        entry.attempts += 1;
+        delete entry.claimed_at;
+        if (!error) {
+            entry.status = 'delivered';
+            entry.patient_id = patientId;
+            entry.delivered_at = new Date().toISOString();
+            entry.last_error = null;
+        } else {
+            entry.last_error = error;
+            entry.status = !retryable || entry.attempts >= maxAttempts() ? 'failed' : 'pending';
+            entry.next_attempt_at = new Date(Date.now() + Math.min(RETRY_BASE_MS * 2 ** (entry.attempts - 1), RETRY_MAX_MS)).toISOString();
+        }
+        return { ...entry };
+    });
+}
+
+// The failed create may still have reached the store (a timeout); registrationDate
+// is set once at registration, so a record with the same email and date is ours
+async function findDelivered(patient) {
+    if (!patient.email || !patient.registrationDate) {
+        return null;
+    }
+    const matches = await getPatientStore().search({ email: patient.email });
+    return matches.find(match => match.registrationDate === patient.registrationDate) || null;
+}
+
+let processing = null;
+
+// Write every due entry to the store; overlapping calls share one run
+function processOutbox() {
+    if (!processing) {
+        processing = (async () => {
+            let delivered = 0;
+            let failed = 0;
+            for (let entries = await claimDue(); entries.length > 0; entries = await claimDue()) {
+                for (const entry of entries) {
+                    try {
+                        const found = await findDelivered(entry.patient);
+                        const patient = found || await getPatientStore().create(entry.patient);
+                        await recordAttempt(entry.id, { patientId: patient.id });
+                        await logAudit(null, {
+                            action: 'patient.create',
+                            patientIds: [patient.id, entry.id],
+                            changes: diffRecords({}, patient),
+                            details: { source: 'outbox', provisional_id: entry.id, already_saved: Boolean(found) }
+                        });
+                        // The consent was recorded under the provisional ID
+                        await getPrivacyStore().reassignPatient(entry.id, patient.id);
+                        delivered++;
+                        console.log(`📮 Outbox: registration ${entry.id} saved as patient ${patient.id}`);
+                        flagDuplicates(patient).catch(error => console.error('Duplicate check failed:', error.message));
+                    } catch (error) {
+                        const updated = await recordAttempt(entry.id, { error: describeError(error), retryable: isRetryable(error) });
+                        console.error(`📮 Outbox: registration ${entry.id} failed (attempt ${updated && updated.attempts}):`, describeError(error));
+                        failed++;
+                    }
+                }
+            }
+            return { delivered, failed };
+        })().finally(() => { processing = null; });
+    }
+    return processing;
+}
+
+// Retry due entries every minute; the timer does not keep the process alive
+function startOutboxWorker(intervalMs = 60 * 1000) {
+    const run = () => processOutbox().catch(error => console.error('Outbox error:', error.message));
+    run();
+    return setInterval(run, intervalMs).unref();
+}
+
+// Try a waiting or failed entry again right away, with a fresh set of attempts
+function retry(id) {
+    return updateEntries(entries => {
+        const entry = entries.find(e => e.id === id);
+        if (!entry || !['pending', 'failed'].includes(entry.status)) {
+            return null;
+        }
+        Object.assign(entry, { status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() });
+        return { ...entry };
+    });
+}
+
+async function list(filter = {}) {
+    return readEntries()
+        .filter(entry => !filter.status || entry.status === filter.status)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// Write every entry again with the current key (scripts/encrypt-patient-data.js)
+function reencrypt() {
+    return updateEntries(entries => entries.length);
+}
+
+// Number of entries per status, for the admin page
+async function summary() {
+    const counts = { pending: 0, sending: 0, delivered: 0, failed: 0 };
+    readEntries().forEach(entry => { counts[entry.status] = (counts[entry.status] || 0) + 1; });
+    return counts;
+}
+
+module.exports = { isRetryable, enqueue, processOutbox, startOutboxWorker, retry, list, summary, reencrypt };
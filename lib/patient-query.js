@@ -0,0 +1,181 @@
+// lib/patient-query.js - Filtering, sorting and paging of patient lists
+//
+// GET /api/patients takes:
+//   page, limit          1-based page of at most MAX_LIMIT patients (default 50)
+//   cursor               instead of page: the nextCursor of the previous answer,
+//                        which stays correct while patients are being added
+//   sort, order          any patient field (default registrationDate), asc | desc
+//                        (default desc); sort=-name is the same as order=desc
+//   status, group, paymentStatus, source
+//                        exact matches, case-insensitive; several values are
+//                        separated by commas (status=new,contacted); status=new
+//                        also finds older records that say 'Pending'
+//   from, to             registrationDate range; a date without a time in `to`
+//                        covers that whole day
+// parsePatientQuery() checks the parameters and throws a 400 INVALID_QUERY;
+// applyPatientQuery() runs a parsed query over a list of patients. Stores that
+// can filter on their side (Airtable) do so first and use it for the rest.
+const { httpError } = require('./http-error');
+const { LEGACY_STATUSES } = require('./patient-schema');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const FILTER_FIELDS = ['status', 'group', 'paymentStatus', 'source'];
+const HIDDEN_FIELDS = ['password'];
+
+function invalid(message) {
+    return httpError(message, 400, 'INVALID_QUERY');
+}
+
+function positiveInteger(value, name, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw invalid(`${name} must be a whole number of at least 1`);
+    }
+    return number;
+}
+
+function parseDate(value, name, endOfDay) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dateOnly ? `${value}T00:00:00.000Z` : value);
+    if (Number.isNaN(time)) {
+        throw invalid(`${name} must be a date (YYYY-MM-DD) or an ISO date and time`);
+    }
+    return new Date(dateOnly && endOfDay ? time + 24 * 60 * 60 * 1000 - 1 : time).toISOString();
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        if (cursor && typeof cursor.sort === 'string' && cursor.id !== undefined) {
+            return cursor;
+        }
+    } catch (error) {
+        // fall through to the error below
+    }
+    throw invalid('cursor is not valid - start again without it');
+}
+
+// Check request parameters; returns { page, limit, cursor, sort, order, filters }
+function parsePatientQuery(params = {}) {
+    let sort = params.sort ? String(params.sort) : 'registrationDate';
+    let order = params.order ? String(params.order).toLowerCase() : 'desc';
+    if (sort.startsWith('-')) {
+        sort = sort.slice(1);
+        order = 'desc';
+    }
+    if (!/^[A-Za-z_]\w*$/.test(sort) || HIDDEN_FIELDS.includes(sort)) {
+        throw invalid(`Cannot sort by "${sort}"`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw invalid('order must be asc or desc');
+    }
+
+    const limit = positiveInteger(params.limit, 'limit', DEFAULT_LIMIT);
+    if (limit > MAX_LIMIT) {
+        throw invalid(`limit must be at most ${MAX_LIMIT}`);
+    }
+
+    const filters = {};
+    FILTER_FIELDS.forEach(field => {
+        if (params[field] !== undefined && params[field] !== '') {
+            filters[field] = String(params[field]).split(',').map(value => value.trim()).filter(Boolean);
+        }
+    });
+    if (filters.status) {
+        Object.keys(LEGACY_STATUSES)
+            .filter(legacy => filters.status.some(status => status.toLowerCase() === LEGACY_STATUSES[legacy]))
+            .forEach(legacy => filters.status.push(legacy));
+    }
+    filters.from = parseDate(params.from, 'from', false);
+    filters.to = parseDate(params.to, 'to', true);
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw invalid('from must be before to');
+    }
+
+    const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+    if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+        throw invalid('cursor belongs to a different sort order - start again without it');
+    }
+    return { page: cursor ? null : positiveInteger(params.page, 'page', 1), limit, cursor, sort, order, filters };
+}
+
+function matchesFilters(patient, filters) {
+    const fieldsMatch = FILTER_FIELDS.every(field => !filters[field] ||
+        filters[field].some(value => String(patient[field] ?? '').toLowerCase() === value.toLowerCase()));
+    if (!fieldsMatch) {
+        return false;
+    }
+    if (filters.from || filters.to) {
+        const time = Date.parse(patient.registrationDate);
+        if (Number.isNaN(time)) {
+            return false;
+        }
+        const date = new Date(time).toISOString();
+        return (!filters.from || date >= filters.from) && (!filters.to || date <= filters.to);
+    }
+    return true;
+}
+
+// Missing values sort last whichever the order; numbers (and numeric strings) by value
+function compareValues(a, b) {
+    const aMissing = a === undefined || a === null || a === '';
+    const bMissing = b === undefined || b === null || b === '';
+    if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b), 'en', { numeric: true, sensitivity: 'base' });
+}
+
+function comparator(sort, order) {
+    const direction = order === 'desc' ? -1 : 1;
+    return (a, b) => {
+        const byField = compareValues(a[sort], b[sort]);
+        const missing = [a[sort], b[sort]].some(value => value === undefined || value === null || value === '');
+        // ids break ties so every patient has one place in the order
+        return (missing ? byField : byField * direction) || String(a.id).localeCompare(String(b.id)) * direction;
+    };
+}
+
+// Filter, sort and cut one page out of patients; the answer carries the totals
+function applyPatientQuery(patients, query) {
+    const compare = comparator(query.sort, query.order);
+    const matching = patients.filter(patient => matchesFilters(patient, query.filters)).sort(compare);
+
+    let start;
+    if (query.cursor) {
+        const after = { id: query.cursor.id, [query.sort]: query.cursor.value };
+        start = matching.findIndex(patient => compare(patient, after) > 0);
+        start = start === -1 ? matching.length : start;
+    } else {
+        start = (query.page - 1) * query.limit;
+    }
+    const page = matching.slice(start, start + query.limit);
+    const last = page[page.length - 1];
+
+    return {
+        patients: page,
+        total: matching.length,
+        page: query.cursor ? null : query.page,
+        pages: Math.ceil(matching.length / query.limit),
+        limit: query.limit,
+        nextCursor: last && start + page.length < matching.length
+            ? encodeCursor({ sort: query.sort, order: query.order, value: last[query.sort] ?? null, id: last.id })
+            : null
+    };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, FILTER_FIELDS, parsePatientQuery, applyPatientQuery };
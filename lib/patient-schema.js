@@ -0,0 +1,174 @@
+// lib/patient-schema.js - The canonical patient record and its validation
+//
+// Every registration entry point (server.js, server-WORKING.js,
+// patient-routes.js, api/register.js, backend/functions/register.js) runs its
+// input through validatePatient() and builds the record with
+// newPatientRecord(), so all of them accept the same shape and answer with the
+// same error body:
+//   400 { success: false, error: 'Validation failed', code: 'VALIDATION_ERROR',
+//         details: [{ field, message }] }
+//
+// Schema version 3:
+//   name            required, 2-100 characters; first_name + last_name also accepted
+//   phone           required, an Indian mobile or landline number (lib/phone.js),
+//                   stored in E.164 with phoneDisplay next to it
+//   email           optional (required with a password), stored lower-case
+//   password        only for patient accounts, 8-128 characters
+//   age, heightCm, weightKg, bmi, diabetesStatus, hba1c, fastingGlucose
+//                   optional intake data used by lib/scoring.js
+//   status          set by the server: a new registration is 'new' and moves
+//                   through PATIENT_STATUSES (lib/patients.js)
+// Anything else in the input is dropped; group and score are always worked out
+// by the server. Records carry schemaVersion so older ones can be told apart
+// (version 1 stored the phone number as typed, version 2 started patients as
+// 'Pending' rather than 'new').
+const { httpError } = require('./http-error');
+const { parsePhone } = require('./phone');
+
+const SCHEMA_VERSION = 3;
+
+// Patient statuses, in the order a patient moves through them (lib/patients.js);
+// older records say 'Pending', which means new
+const PATIENT_STATUSES = ['new', 'contacted', 'confirmed', 'active', 'inactive'];
+const LEGACY_STATUSES = { pending: 'new' };
+
+const DIABETES_STATUSES = ['none', 'prediabetes', 'type1', 'type2', 'gestational'];
+
+// Intake fields with their plausible ranges
+const INTAKE_FIELDS = {
+    age: { min: 1, max: 120, label: 'Age' },
+    heightCm: { min: 50, max: 250, label: 'Height (cm)' },
+    weightKg: { min: 2, max: 300, label: 'Weight (kg)' },
+    bmi: { min: 10, max: 80, label: 'BMI' },
+    hba1c: { min: 3, max: 20, label: 'HbA1c (%)' },
+    fastingGlucose: { min: 20, max: 600, label: 'Fasting glucose (mg/dL)' }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Validate and normalize patient input; options.password asks for an account
+// password (and so an email to log in with), options.only limits the check to
+// some fields (a partial edit). Throws a 400 VALIDATION_ERROR whose details
+// list every problem, not just the first.
+function validatePatient(input = {}, options = {}) {
+    const errors = [];
+    const value = {};
+    const fail = (field, message) => errors.push({ field, message });
+    const wanted = field => !options.only || options.only.includes(field);
+
+    const name = !isBlank(input.name)
+        ? String(input.name)
+        : [input.first_name, input.last_name].filter(part => !isBlank(part)).join(' ');
+    const cleanName = name.trim().replace(/\s+/g, ' ');
+    if (!wanted('name')) {
+        // not part of this edit
+    } else if (!cleanName) {
+        fail('name', 'Name is required');
+    } else if (cleanName.length < 2 || cleanName.length > 100) {
+        fail('name', 'Name must be 2 to 100 characters');
+    } else {
+        value.name = cleanName;
+    }
+
+    if (!wanted('phone')) {
+        // not part of this edit
+    } else if (isBlank(input.phone)) {
+        fail('phone', 'Phone number is required');
+    } else {
+        const phone = parsePhone(input.phone);
+        if (!phone) {
+            fail('phone', 'Please enter a valid Indian mobile or landline number');
+        } else {
+            value.phone = phone.e164;
+            value.phoneDisplay = phone.display;
+        }
+    }
+
+    if (!wanted('email')) {
+        // not part of this edit
+    } else if (isBlank(input.email)) {
+        if (options.password) {
+            fail('email', 'Email is required');
+        }
+    } else {
+        const email = String(input.email).trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(email) || email.length > 254) {
+            fail('email', 'Please enter a valid email address');
+        } else {
+            value.email = email;
+        }
+    }
+
+    if (options.password) {
+        const password = input.password === undefined || input.password === null ? '' : String(input.password);
+        if (!password) {
+            fail('password', 'Password is required');
+        } else if (password.length < 8 || password.length > 128) {
+            fail('password', 'Password must be 8 to 128 characters');
+        } else {
+            value.password = password;
+        }
+    }
+
+    Object.keys(INTAKE_FIELDS).forEach(field => {
+        if (!wanted(field) || isBlank(input[field])) {
+            return;
+        }
+        const { min, max, label } = INTAKE_FIELDS[field];
+        const number = Number(input[field]);
+        if (!Number.isFinite(number) || number < min || number > max) {
+            fail(field, `${label} must be a number from ${min} to ${max}`);
+        } else {
+            value[field] = number;
+        }
+    });
+
+    if (wanted('diabetesStatus') && !isBlank(input.diabetesStatus)) {
+        const status = String(input.diabetesStatus).toLowerCase().replace(/[\s_-]+/g, '');
+        if (!DIABETES_STATUSES.includes(status)) {
+            fail('diabetesStatus', `Diabetes status must be one of: ${DIABETES_STATUSES.join(', ')}`);
+        } else {
+            value.diabetesStatus = status;
+        }
+    }
+
+    if (errors.length > 0) {
+        const error = httpError('Validation failed', 400, 'VALIDATION_ERROR');
+        error.details = errors;
+        throw error;
+    }
+    return value;
+}
+
+// A new registration: validated fields plus the defaults every entry point uses
+function newPatientRecord(value, source) {
+    return {
+        ...value,
+        status: 'new',
+        paymentStatus: 'Unpaid',
+        messageCount: 0,
+        registrationDate: new Date().toISOString(),
+        source,
+        schemaVersion: SCHEMA_VERSION
+    };
+}
+
+// Response body for a validation error, the same for every entry point
+function validationErrorBody(error) {
+    return { success: false, error: error.message, code: error.code, details: error.details || [] };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    PATIENT_STATUSES,
+    LEGACY_STATUSES,
+    DIABETES_STATUSES,
+    INTAKE_FIELDS,
+    validatePatient,
+    newPatientRecord,
+    validationErrorBody
+};
@@ -0,0 +1,330 @@
+// lib/patient-search.js - In-memory search index over the patient store
+//
+// GET /api/patients/search looks patients up by name, phone number (full, or
+// the last 4+ digits), email or patient ID. Results are ranked, best first,
+// each with a score from 0 to 1 and the fields that matched.
+//
+// Names are compared by a transliteration key, so the spellings Indian names
+// get in English land on the same key: Sreenivas / Shrinivas / Srinivas,
+// Lakshmi / Laxmi, Venkateswara / Venkateshwara, Padmaa / Padma. Keys one or
+// two edits apart still match (typos), and a word being typed matches as a
+// prefix. Every word of the query has to match some word of the name.
+//
+// The index is built from the shared patient store on the first search and
+// then kept current from its change events (lib/patient-store onPatientChange).
+// Writes made by other processes (the sync script, Airtable itself) are picked
+// up by a rebuild every PATIENT_SEARCH_REFRESH_MS (default 5 minutes).
+const { getPatientStore, onPatientChange } = require('./patient-store');
+const { normalizeName, normalizeEmail, levenshtein } = require('./duplicate-match');
+const { parsePhone } = require('./phone');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Spelling differences that do not change how a name sounds, applied in order
+const TRANSLITERATIONS = [
+    [/ksh|x/g, 'ks'],
+    [/ph/g, 'f'],
+    [/([kgcjtdbs])h/g, '$1'],
+    [/zh/g, 'l'],
+    [/z/g, 'j'],
+    [/w/g, 'v'],
+    [/q/g, 'k'],
+    [/ee|ii|ie|ea/g, 'i'],
+    [/oo|uu|ou/g, 'u'],
+    [/y$/, 'i'],
+    [/(.)\1+/g, '$1'],
+    [/(.{3,})a$/, '$1']
+];
+
+function nameKey(word) {
+    return TRANSLITERATIONS.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word);
+}
+
+function nameWords(name) {
+    return normalizeName(name).split(' ').filter(Boolean);
+}
+
+function trigrams(key) {
+    const padded = ` ${key} `;
+    const grams = [];
+    for (let i = 0; i < padded.length - 2; i++) {
+        grams.push(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+// Edits a query word may be away from a name word and still count
+function allowedEdits(length) {
+    return length >= 7 ? 2 : length >= 4 ? 1 : 0;
+}
+
+function addTo(map, key, value) {
+    if (!map.has(key)) {
+        map.set(key, new Set());
+    }
+    map.get(key).add(value);
+}
+
+function removeFrom(map, key, value) {
+    const set = map.get(key);
+    if (set) {
+        set.delete(value);
+        if (set.size === 0) {
+            map.delete(key);
+        }
+    }
+}
+
+function createSearchIndex() {
+    const docs = new Map();          // id -> { patient, words, keys, email, phone }
+    const idsByNameKey = new Map();  // transliteration key -> ids
+    const keysByTrigram = new Map(); // trigram -> keys, to find keys close to a typo
+    const idsByEmail = new Map();
+    const idsByPhoneTail = new Map(); // last 4 digits -> ids
+
+    function remove(id) {
+        const doc = docs.get(String(id));
+        if (!doc) {
+            return;
+        }
+        docs.delete(String(id));
+        doc.keys.forEach(key => {
+            removeFrom(idsByNameKey, key, doc.id);
+            if (!idsByNameKey.has(key)) {
+                trigrams(key).forEach(gram => removeFrom(keysByTrigram, gram, key));
+            }
+        });
+        if (doc.email) removeFrom(idsByEmail, doc.email, doc.id);
+        if (doc.phone) removeFrom(idsByPhoneTail, doc.phone.slice(-4), doc.id);
+    }
+
+    function add(patient) {
+        const id = String(patient.id);
+        remove(id);
+        const words = nameWords(patient.name);
+        const parsed = parsePhone(patient.phone);
+        const doc = {
+            id,
+            patient,
+            words,
+            keys: [...new Set(words.map(nameKey))],
+            email: normalizeEmail(patient.email),
+            // National digits for Indian numbers, all digits otherwise
+            phone: parsed ? parsed.national : String(patient.phone || '').replace(/\D/g, '')
+        };
+        docs.set(id, doc);
+        doc.keys.forEach(key => {
+            if (!idsByNameKey.has(key)) {
+                trigrams(key).forEach(gram => addTo(keysByTrigram, gram, key));
+            }
+            addTo(idsByNameKey, key, id);
+        });
+        if (doc.email) addTo(idsByEmail, doc.email, id);
+        if (doc.phone.length >= 4) addTo(idsByPhoneTail, doc.phone.slice(-4), id);
+    }
+
+    // Name keys a query word could stand for, with how well each matches
+    function keyMatches(word) {
+        const key = nameKey(word);
+        const matches = new Map();
+        const candidates = new Set();
+        trigrams(key).forEach(gram => (keysByTrigram.get(gram) || []).forEach(candidate => candidates.add(candidate)));
+        candidates.forEach(candidate => {
+            let score = 0;
+            if (candidate === key) {
+                score = 0.95;
+            } else if (key.length >= 2 && candidate.startsWith(key)) {
+                score = 0.85;
+            } else {
+                const distance = levenshtein(key, candidate);
+                if (distance <= allowedEdits(key.length)) {
+                    score = 0.8 * (1 - distance / Math.max(key.length, candidate.length));
+                }
+            }
+            if (score > 0) {
+                matches.set(candidate, score);
+            }
+        });
+        return matches;
+    }
+
+    // id -> score for patients whose name matches every query word
+    function searchNames(query) {
+        const words = nameWords(query);
+        if (words.length === 0) {
+            return new Map();
+        }
+        let totals = null;
+        for (const word of words) {
+            const scores = new Map();
+            keyMatches(word).forEach((score, key) => {
+                idsByNameKey.get(key).forEach(id => {
+                    // Spelled exactly as stored beats a transliteration of it
+                    const exact = docs.get(id).words.includes(word) ? 1 : score;
+                    scores.set(id, Math.max(scores.get(id) || 0, exact));
+                });
+            });
+            totals = totals === null
+                ? scores
+                : new Map([...totals].filter(([id]) => scores.has(id)).map(([id, total]) => [id, total + scores.get(id)]));
+            if (totals.size === 0) {
+                break;
+            }
+        }
+        return new Map([...totals].map(([id, total]) => [id, total / words.length]));
+    }
+
+    function searchPhone(query) {
+        const scores = new Map();
+        const parsed = parsePhone(query);
+        const digits = parsed ? parsed.national : query.replace(/\D/g, '').replace(/^0/, '');
+        if (digits.length < 4) {
+            return scores;
+        }
+        (idsByPhoneTail.get(digits.slice(-4)) || []).forEach(id => {
+            const phone = docs.get(id).phone;
+            if (phone === digits) {
+                scores.set(id, 1);
+            } else if (phone.endsWith(digits)) {
+                scores.set(id, 0.6 + 0.3 * digits.length / phone.length);
+            }
+        });
+        return scores;
+    }
+
+    // A whole address, or the start of one
+    function searchEmail(query) {
+        const scores = new Map();
+        const term = query.toLowerCase();
+        (idsByEmail.get(normalizeEmail(term)) || []).forEach(id => scores.set(id, 1));
+        if (term.length >= 3) {
+            idsByEmail.forEach((ids, email) => {
+                if (email.startsWith(term)) {
+                    ids.forEach(id => scores.set(id, Math.max(scores.get(id) || 0, 0.7)));
+                }
+            });
+        }
+        return scores;
+    }
+
+    // A whole patient ID, or the start of one, in any case
+    function searchId(query) {
+        const scores = new Map();
+        const term = query.toLowerCase();
+        if (/^[\w-]{4,}$/.test(term)) {
+            docs.forEach(doc => {
+                const id = doc.id.toLowerCase();
+                if (id === term) {
+                    scores.set(doc.id, 1);
+                } else if (id.startsWith(term)) {
+                    scores.set(doc.id, 0.75);
+                }
+            });
+        }
+        return scores;
+    }
+
+    // [{ patient, score, matched: ['name' | 'phone' | 'email' | 'id'] }], best first
+    function search(query, options = {}) {
+        const text = String(query || '').trim();
+        const limit = Math.min(Number(options.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+        if (!text) {
+            return [];
+        }
+        const results = new Map();
+        const collect = (field, scores) => scores.forEach((score, id) => {
+            const result = results.get(id) || { id, score: 0, matched: [] };
+            result.score = Math.max(result.score, score);
+            result.matched.push(field);
+            results.set(id, result);
+        });
+
+        if (/\d/.test(text) && /^[+\d\s\-().]+$/.test(text)) {
+            collect('phone', searchPhone(text));
+        }
+        collect('email', searchEmail(text));
+        collect('id', searchId(text));
+        if (/[a-z]/i.test(text) && !text.includes('@')) {
+            collect('name', searchNames(text));
+        }
+
+        return [...results.values()]
+            .sort((a, b) => b.score - a.score ||
+                String(docs.get(a.id).patient.name || '').localeCompare(String(docs.get(b.id).patient.name || '')))
+            .slice(0, limit)
+            .map(result => ({
+                patient: docs.get(result.id).patient,
+                score: Math.round(result.score * 100) / 100,
+                matched: result.matched
+            }));
+    }
+
+    function clear() {
+        [docs, idsByNameKey, keysByTrigram, idsByEmail, idsByPhoneTail].forEach(map => map.clear());
+    }
+
+    return { add, remove, search, clear, size: () => docs.size };
+}
+
+const sharedIndex = createSearchIndex();
+let builtAt = 0;
+let building = null;
+let changedWhileBuilding = [];
+
+function refreshMs() {
+    return Number(process.env.PATIENT_SEARCH_REFRESH_MS) || 5 * 60 * 1000;
+}
+
+// (Re)load every patient; overlapping calls share one load
+function rebuild() {
+    if (!building) {
+        building = getPatientStore().list()
+            .then(patients => {
+                sharedIndex.clear();
+                patients.forEach(patient => sharedIndex.add(patient));
+                // Writes that landed after list() read the store
+                changedWhileBuilding.forEach(applyChange);
+                builtAt = Date.now();
+            })
+            .finally(() => {
+                building = null;
+                changedWhileBuilding = [];
+            });
+    }
+    return building;
+}
+
+function applyChange(change) {
+    if (change.type === 'upsert') {
+        sharedIndex.add(change.patient);
+    } else if (change.type === 'delete') {
+        sharedIndex.remove(change.id);
+    }
+}
+
+onPatientChange(change => {
+    if (change.type === 'reset') {
+        builtAt = 0;
+        return;
+    }
+    if (building) {
+        changedWhileBuilding.push(change);
+    }
+    if (builtAt) {
+        applyChange(change);
+    }
+});
+
+// Search the shared index; the first call builds it, a stale one is rebuilt
+// in the background while the current one answers
+async function searchPatients(query, options = {}) {
+    if (!builtAt) {
+        await rebuild();
+    } else if (Date.now() - builtAt > refreshMs()) {
+        rebuild().catch(error => console.error('Search index rebuild failed:', error.message));
+    }
+    return sharedIndex.search(query, options);
+}
+
+module.exports = { createSearchIndex, nameKey, searchPatients, rebuild };
@@ -0,0 +1,164 @@
+// lib/patient-store/airtable-store.js - Patients kept in the Airtable patient table (8,309+ records)
+const { createAirtableClient, formula } = require('../airtable-client');
+const { FILTER_FIELDS, applyPatientQuery } = require('../patient-query');
+
+// Local field name -> Airtable column. The table needs every one of these
+// columns: a record is refused, not cut short, when it has a field that is
+// neither mapped here nor in LOCAL_FIELDS (see toFields).
+const FIELD_MAP = {
+    name: 'Name',
+    phone: 'Phone',
+    phoneDisplay: 'Phone_Display',
+    email: 'Email',
+    // bcrypt hash of a patient account's password (lib/auth.js)
+    password: 'Password_Hash',
+    group: 'Group',
+    groupOverride: 'Group_Override',
+    score: 'Score',
+    status: 'Registration_Status',
+    paymentStatus: 'Payment_Status',
+    messageCount: 'Message_Count',
+    registrationDate: 'Registration_Date',
+    source: 'Source',
+    schemaVersion: 'Schema_Version',
+    // Consent at registration and erasure (lib/privacy.js)
+    consentVersion: 'Consent_Version',
+    consentGivenAt: 'Consent_Given_At',
+    erasedAt: 'Erased_At',
+    // Ids of the patients merged into this one (lib/duplicates.js), comma-separated
+    mergedFrom: 'Merged_From',
+    // Intake data behind the score (lib/scoring.js)
+    age: 'Age',
+    heightCm: 'Height_Cm',
+    weightKg: 'Weight_Kg',
+    bmi: 'BMI',
+    diabetesStatus: 'Diabetes_Status',
+    hba1c: 'HbA1c',
+    fastingGlucose: 'Fasting_Glucose'
+};
+
+// Fields Airtable keeps for itself (the record id, its own times) or that only
+// mean something in a local store
+const LOCAL_FIELDS = ['id', 'airtableId', 'createdAt', 'updatedAt', 'modifiedAt', 'phoneLinks'];
+const LIST_FIELDS = ['mergedFrom'];
+
+// Airtable fields for a patient. Throws for a field there is no column for, so
+// nothing (a password hash, a consent) is dropped without anyone noticing.
+function toFields(patient) {
+    const unmapped = Object.keys(patient).filter(key => !FIELD_MAP[key] && !LOCAL_FIELDS.includes(key));
+    if (unmapped.length > 0) {
+        const error = new Error(`The Airtable patient table has no column for: ${unmapped.join(', ')}`);
+        error.code = 'AIRTABLE_UNMAPPED_FIELD';
+        throw error;
+    }
+    const fields = {};
+    Object.keys(FIELD_MAP).forEach(key => {
+        if (patient[key] !== undefined) {
+            fields[FIELD_MAP[key]] = LIST_FIELDS.includes(key) && Array.isArray(patient[key])
+                ? patient[key].join(',')
+                : patient[key];
+        }
+    });
+    return fields;
+}
+
+// Name of a "Last modified time" column, if the table has one; its value is
+// returned as modifiedAt and used by lib/airtable-sync.js to settle conflicts
+function modifiedField() {
+    return process.env.AIRTABLE_MODIFIED_FIELD || 'Last_Modified';
+}
+
+function fromRecord(record) {
+    const patient = { id: record.id };
+    Object.keys(FIELD_MAP).forEach(key => {
+        const value = record.fields[FIELD_MAP[key]];
+        if (value !== undefined) {
+            patient[key] = LIST_FIELDS.includes(key) && typeof value === 'string'
+                ? value.split(',').filter(Boolean)
+                : value;
+        }
+    });
+    if (record.fields[modifiedField()]) {
+        patient.modifiedAt = record.fields[modifiedField()];
+    }
+    return patient;
+}
+
+function createAirtableStore(options = {}) {
+    const client = createAirtableClient(options);
+
+    async function create(patient) {
+        return fromRecord(await client.create(toFields(patient)));
+    }
+
+    async function createMany(patients) {
+        return (await client.createMany(patients.map(toFields))).map(fromRecord);
+    }
+
+    async function get(id) {
+        const record = await client.get(id);
+        return record ? fromRecord(record) : null;
+    }
+
+    async function update(id, changes) {
+        const record = await client.update(id, toFields(changes));
+        return record ? fromRecord(record) : null;
+    }
+
+    async function updateMany(updates) {
+        return (await client.updateMany(updates.map(({ id, changes }) => ({ id, fields: toFields(changes) })))).map(fromRecord);
+    }
+
+    async function list() {
+        return (await client.list()).map(fromRecord);
+    }
+
+    // Records created or changed after the given ISO time (used by the sync)
+    async function changedSince(since) {
+        return (await client.list({ filterByFormula: formula.modifiedAfter(since) })).map(fromRecord);
+    }
+
+    async function search(query) {
+        let filterByFormula;
+        if (typeof query === 'string') {
+            filterByFormula = formula.or(formula.contains('Name', query), formula.contains('Email', query));
+        } else {
+            const conditions = Object.keys(query || {})
+                .filter(key => FIELD_MAP[key] && query[key])
+                .map(key => formula.eq(FIELD_MAP[key], query[key]));
+            if (conditions.length === 0) {
+                return [];
+            }
+            filterByFormula = formula.or(...conditions);
+        }
+        return (await client.list({ filterByFormula })).map(fromRecord);
+    }
+
+    // Filters run in Airtable so only matching records are fetched; sorting and
+    // paging happen here, as Airtable's offsets cannot jump to a page
+    async function query(parsed) {
+        const { filters } = parsed;
+        const conditions = FILTER_FIELDS
+            .filter(field => filters[field])
+            .map(field => formula.or(...filters[field].map(value =>
+                `${formula.lower(formula.field(FIELD_MAP[field]))} = ${formula.quote(value.toLowerCase())}`)));
+        const date = formula.field(FIELD_MAP.registrationDate);
+        if (filters.from) {
+            conditions.push(formula.not(`IS_BEFORE(${date}, ${formula.quote(filters.from)})`));
+        }
+        if (filters.to) {
+            conditions.push(formula.not(`IS_AFTER(${date}, ${formula.quote(filters.to)})`));
+        }
+        const params = conditions.length > 0 ? { filterByFormula: formula.and(...conditions) } : {};
+        return applyPatientQuery((await client.list(params)).map(fromRecord), parsed);
+    }
+
+    async function remove(id) {
+        return client.remove(id);
+    }
+
+    return { type: 'airtable', create, createMany, get, update, updateMany, list, search, query, changedSince, delete: remove };
+}
+
+module.exports = createAirtableStore;
+module.exports.FIELD_MAP = FIELD_MAP;
@@ -0,0 +1,202 @@
+// lib/patient-store/index.js - One patient repository, backed by JSON file, Airtable or SQL
+//
+// Every adapter exposes the same promise-based interface:
+//   create(patient)      -> saved patient (with id)
+//   createMany(patients) -> saved patients, in order; Airtable sends them 10 to a
+//                           request, the JSON store writes its file once,
+//                           adapters without their own create one by one
+//   get(id)              -> patient or null
+//   update(id, changes, { check }) -> updated patient or null; check(existing)
+//                           may throw to stop the write (the JSON store runs it
+//                           under its lock, the others just before writing)
+//   updateMany([{ id, changes }]) -> updated patients, in order; batched like
+//                           createMany. null for an id that does not exist,
+//                           except in Airtable, which refuses the whole batch
+//   list()               -> all patients
+//   search(query)        -> a string does a text search over name and email,
+//                           an object ({ phone, email }) matches any exact field
+//   query(parsed)        -> one filtered, sorted page with totals, for a query
+//                           from lib/patient-query.js; adapters without their own
+//                           run it over list()
+//   delete(id)           -> true when a patient was removed
+//
+// The backend comes from PATIENT_STORE (json | airtable | sql). Without it,
+// Airtable is used when its credentials are configured, otherwise the JSON file.
+//
+// Score and group are not taken from callers: create() and update() work them
+// out from the resulting record with lib/scoring.js, so they change whenever
+// the intake data, messages or payments of a patient do. { scoring: false }
+// gives the bare adapter, e.g. for the Airtable sync that copies records as-is.
+//
+// Writes through the shared store (getPatientStore) are announced to
+// onPatientChange() listeners as { type: 'upsert', patient }, { type: 'delete', id }
+// or { type: 'reset' } when configurePatientStore() swaps the backend; the
+// search index (lib/patient-search.js) keeps itself current that way.
+
+// Adapters are loaded on demand so serverless functions only bundle what they use
+const adapters = {
+    json: options => require('./json-store')(options),
+    airtable: options => require('./airtable-store')(options),
+    sql: options => require('./sql-store')(options)
+};
+
+function defaultStoreType() {
+    if (process.env.PATIENT_STORE) {
+        return process.env.PATIENT_STORE.toLowerCase();
+    }
+    const airtableConfigured = process.env.AIRTABLE_BASE_ID && process.env.AIRTABLE_TABLE_ID && process.env.AIRTABLE_TOKEN;
+    return airtableConfigured ? 'airtable' : 'json';
+}
+
+function withScoring(store) {
+    const { scorePatient } = require('../scoring');
+    return {
+        ...store,
+        create: patient => store.create({ ...patient, ...scorePatient(patient) }),
+        createMany: patients => store.createMany(patients.map(patient => ({ ...patient, ...scorePatient(patient) }))),
+        async updateMany(updates) {
+            const scored = [];
+            for (const { id, changes } of updates) {
+                const existing = await store.get(id);
+                scored.push({ id, changes: existing ? { ...changes, ...scorePatient({ ...existing, ...changes }) } : changes });
+            }
+            return store.updateMany(scored);
+        },
+        async update(id, changes, options = {}) {
+            const existing = await store.get(id);
+            if (!existing) {
+                return null;
+            }
+            if (options.check) {
+                options.check(existing);
+            }
+            return store.update(id, { ...changes, ...scorePatient({ ...existing, ...changes }) }, options);
+        }
+    };
+}
+
+function withCreateMany(store) {
+    if (store.createMany) {
+        return store;
+    }
+    return {
+        ...store,
+        async createMany(patients) {
+            const saved = [];
+            try {
+                for (const patient of patients) {
+                    saved.push(await store.create(patient));
+                }
+            } catch (error) {
+                // The ones saved before the failure, for callers that keep track
+                error.saved = saved;
+                throw error;
+            }
+            return saved;
+        }
+    };
+}
+
+function withUpdateMany(store) {
+    if (store.updateMany) {
+        return store;
+    }
+    return {
+        ...store,
+        async updateMany(updates) {
+            const saved = [];
+            for (const { id, changes } of updates) {
+                saved.push(await store.update(id, changes));
+            }
+            return saved;
+        }
+    };
+}
+
+function withQuery(store) {
+    if (store.query) {
+        return store;
+    }
+    const { applyPatientQuery } = require('../patient-query');
+    return { ...store, query: async query => applyPatientQuery(await store.list(), query) };
+}
+
+function createPatientStore(options = {}) {
+    const type = options.type || defaultStoreType();
+    const createAdapter = adapters[type];
+    if (!createAdapter) {
+        throw new Error(`Unknown patient store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    const store = withUpdateMany(withCreateMany(withQuery(createAdapter(options))));
+    return options.scoring === false ? store : withScoring(store);
+}
+
+const changeListeners = [];
+
+function onPatientChange(listener) {
+    changeListeners.push(listener);
+}
+
+function emitChange(change) {
+    changeListeners.forEach(listener => {
+        try {
+            listener(change);
+        } catch (error) {
+            console.error('Patient change listener failed:', error.message);
+        }
+    });
+}
+
+function withChangeEvents(store) {
+    return {
+        ...store,
+        async create(patient) {
+            const saved = await store.create(patient);
+            emitChange({ type: 'upsert', patient: saved });
+            return saved;
+        },
+        async createMany(patients) {
+            const saved = await store.createMany(patients);
+            saved.forEach(patient => emitChange({ type: 'upsert', patient }));
+            return saved;
+        },
+        async updateMany(updates) {
+            const saved = await store.updateMany(updates);
+            saved.filter(Boolean).forEach(patient => emitChange({ type: 'upsert', patient }));
+            return saved;
+        },
+        async update(id, changes, options) {
+            const saved = await store.update(id, changes, options);
+            if (saved) {
+                emitChange({ type: 'upsert', patient: saved });
+            }
+            return saved;
+        },
+        async delete(id) {
+            const removed = await store.delete(id);
+            if (removed) {
+                emitChange({ type: 'delete', id });
+            }
+            return removed;
+        }
+    };
+}
+
+let patientStore;
+
+// Shared store used by the routes; created on first use
+function getPatientStore() {
+    if (!patientStore) {
+        patientStore = withChangeEvents(createPatientStore());
+    }
+    return patientStore;
+}
+
+// Replace the shared store, e.g. server-WORKING.js switches it to SQL
+function configurePatientStore(options = {}) {
+    patientStore = withChangeEvents(createPatientStore(options));
+    emitChange({ type: 'reset' });
+    return patientStore;
+}
+
+module.exports = { createPatientStore, getPatientStore, configurePatientStore, onPatientChange };
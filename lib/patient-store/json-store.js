@@ -0,0 +1,437 @@
+// lib/patient-store/json-store.js - Patients kept in a local JSON file (data/patients.json)
+//
+// Every change is first appended to a journal (patients.journal.jsonl) and then
+// saved to patients.json with an atomic temp-file-and-rename write. The number
+// of the last journal entry that reached patients.json is kept in
+// patients.checkpoint.json; entries after it are replayed on startup, so a
+// crash between the two writes loses nothing. Changes are serialized with
+// withFileLock(), so concurrent requests cannot overwrite each other.
+//
+// Entries the checkpoint covers are only needed for point-in-time restores
+// (lib/backups.js), which take them from the live journal and the copies in
+// snapshots. Each snapshot therefore compacts the journal down to the entries
+// it does not hold and records its seq in the checkpoint (compactJournal).
+// After every PATIENT_JOURNAL_MAX_ENTRIES (default 10000)
+// appends the store drops the entries that seq covers as well - all of them
+// while no snapshot has been taken - so the journal stays small even with
+// backups turned off, but never loses an entry a restore could replay.
+//
+// Both files hold records as lib/patient-crypto.js stores them: sensitive
+// fields encrypted when PATIENT_DATA_KEYS is set. Records are decrypted on the
+// way out and encrypted once per change on the way in; exact email and phone
+// lookups go through the blind index instead of decrypting every record.
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonFile, appendJsonLines, withFileLock } = require('../json-file');
+const { encryptRecord, decryptRecord, storedFieldMatcher, needsReencryption, isEncryptionConfigured } = require('../patient-crypto');
+const { httpError } = require('../http-error');
+
+const defaultFile = path.join(__dirname, '..', '..', 'data', 'patients.json');
+
+let warnedUnencrypted = false;
+
+function journalLimit() {
+    return Number(process.env.PATIENT_JOURNAL_MAX_ENTRIES) || 10000;
+}
+
+// Helper function to generate simple ID
+function generatePatientId() {
+    return 'PAT' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
+}
+
+function matchesText(patient, term) {
+    return ['name', 'email'].some(field =>
+        String(patient[field] || '').toLowerCase().includes(term)
+    );
+}
+
+// A test for stored (possibly encrypted) records matching any of the fields
+function fieldsMatcher(criteria) {
+    const matchers = Object.keys(criteria)
+        .filter(field => criteria[field])
+        .map(field => storedFieldMatcher(field, criteria[field]));
+    return patient => matchers.some(matches => matches(patient));
+}
+
+// Patient accounts log in by email, which therefore has to be unique among
+// them. Checked inside commit(), under the file lock, so two registrations
+// racing each other cannot both get through.
+function checkAccountEmail(patients, record) {
+    if (!record.password || !record.email) {
+        return;
+    }
+    const matches = storedFieldMatcher('email', record.email);
+    if (patients.some(patient => String(patient.id) !== String(record.id) && matches(patient))) {
+        throw httpError('Email already registered', 409, 'EMAIL_TAKEN');
+    }
+}
+
+// Apply journal entries in order. Entries carry whole records, so replaying
+// an entry that already reached patients.json changes nothing.
+function applyEntries(patients, entries) {
+    const byId = new Map(patients.map(patient => [String(patient.id), patient]));
+    entries.forEach(entry => {
+        if (entry.op === 'delete') {
+            byId.delete(String(entry.id));
+        } else {
+            byId.set(String(entry.id), entry.record);
+        }
+    });
+    return [...byId.values()];
+}
+
+// Journal entries in a file, in order; a cut-short last line is left out
+function readJournalFile(journalFile) {
+    if (!fs.existsSync(journalFile)) {
+        return [];
+    }
+    const entries = [];
+    fs.readFileSync(journalFile, 'utf8').split('\n').filter(line => line.trim()).forEach(line => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            // the store's own readJournal() reports and cuts off a damaged line
+        }
+    });
+    return entries;
+}
+
+// Replace the journal in one go: temp file, then rename
+function writeJournalFile(journalFile, entries) {
+    const tempFile = `${journalFile}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tempFile, '');
+    appendJsonLines(tempFile, entries);
+    fs.renameSync(tempFile, journalFile);
+}
+
+// patients.json and the files kept next to it (lib/backups.js copies all three)
+function storeFiles(options = {}) {
+    const patientsFile = options.file || process.env.PATIENTS_FILE || defaultFile;
+    const baseName = patientsFile.replace(/\.json$/, '');
+    return {
+        patientsFile,
+        journalFile: options.journalFile || `${baseName}.journal.jsonl`,
+        checkpointFile: `${baseName}.checkpoint.json`
+    };
+}
+
+function createJsonStore(options = {}) {
+    const { patientsFile, journalFile, checkpointFile } = storeFiles(options);
+
+    // Ensure data directory and patients.json exist
+    if (!fs.existsSync(patientsFile)) {
+        writeJsonFile(patientsFile, []);
+    }
+
+    if (!isEncryptionConfigured() && !warnedUnencrypted) {
+        console.warn('⚠️  PATIENT_DATA_KEYS is not set - patient data is written to disk unencrypted');
+        warnedUnencrypted = true;
+    }
+
+    // Records as they are on disk; a damaged file is an error, not an empty list
+    function readStored() {
+        try {
+            const patients = readJsonFile(patientsFile, []);
+            if (!Array.isArray(patients)) {
+                throw new Error(`${path.basename(patientsFile)} does not contain a list of patients`);
+            }
+            return patients;
+        } catch (error) {
+            console.error('Patient data file cannot be read:', error.message);
+            const corrupt = new Error(`Patient data is unreadable (${error.message}). Restore ${patientsFile} from a backup.`);
+            corrupt.code = 'PATIENT_STORE_CORRUPT';
+            throw corrupt;
+        }
+    }
+
+    // Journal entries in order. Only the last line may be cut short (a crash
+    // while appending); that change never reached patients.json, so it is
+    // dropped and cut off the file before anything else is appended.
+    function readJournal() {
+        if (!fs.existsSync(journalFile)) {
+            return [];
+        }
+        const text = fs.readFileSync(journalFile, 'utf8');
+        const lines = text.split('\n');
+        const entries = [];
+        let validLength = 0;
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                entries.push(JSON.parse(line));
+                validLength += Buffer.byteLength(line) + 1;
+            } catch (error) {
+                if (lines.slice(index + 1).some(rest => rest.trim())) {
+                    throw new Error(`${path.basename(journalFile)} line ${index + 1} is corrupted: ${error.message}`);
+                }
+                console.warn(`Dropping incomplete last entry of ${path.basename(journalFile)}`);
+                fs.truncateSync(journalFile, validLength);
+            }
+        });
+        return entries;
+    }
+
+    // Decrypted patients, kept until patients.json changes on disk. Callers get
+    // copies, so changing a returned record cannot change the cache.
+    let decrypted = null;
+
+    function cachedPatients() {
+        const stat = fs.statSync(patientsFile);
+        const stamp = `${stat.ino}:${stat.mtimeMs}:${stat.size}:${process.env.PATIENT_DATA_KEYS || ''}`;
+        if (!decrypted || decrypted.stamp !== stamp) {
+            decrypted = { stamp, patients: readStored().map(decryptRecord) };
+        }
+        return decrypted.patients;
+    }
+
+    function readPatients() {
+        return cachedPatients().map(patient => ({ ...patient }));
+    }
+
+    function readCheckpoint() {
+        return readJsonFile(checkpointFile, { seq: 0 }).seq || 0;
+    }
+
+    function writeCheckpoint(seq) {
+        writeJsonFile(checkpointFile, { ...readJsonFile(checkpointFile, {}), seq, savedAt: new Date().toISOString() });
+    }
+
+    // Size of the journal after our last append; a different size means another
+    // process (or a crashed one) wrote to it and we must catch up first
+    let journalSize = null;
+    let journalEntries = 0;
+    let lastSeq = 0;
+
+    function journalFileSize() {
+        return fs.existsSync(journalFile) ? fs.statSync(journalFile).size : 0;
+    }
+
+    // Bring patients.json up to date with the journal
+    function replayJournal() {
+        const checkpoint = readCheckpoint();
+        const entries = readJournal();
+        const pending = entries.filter(entry => entry.seq > checkpoint);
+        lastSeq = entries.reduce((max, entry) => Math.max(max, entry.seq), checkpoint);
+        if (pending.length > 0) {
+            writeJsonFile(patientsFile, applyEntries(readStored(), pending));
+            writeCheckpoint(lastSeq);
+            console.log(`Replayed ${pending.length} patient journal entr${pending.length === 1 ? 'y' : 'ies'}`);
+        }
+        journalSize = journalFileSize();
+        journalEntries = entries.length;
+    }
+
+    replayJournal();
+
+    // Run a change under the lock: change(stored) returns { entry, result }
+    // where entry is { op, id, record } (record in plain) or null when nothing
+    // changes, or { entries, result } for a batch that is written out once
+    function commit(change) {
+        return withFileLock(patientsFile, () => {
+            if (journalFileSize() !== journalSize) {
+                replayJournal();
+            }
+            const patients = readStored();
+            const { entry, entries = entry ? [entry] : [], result } = change(patients);
+            if (entries.length > 0) {
+                const at = new Date().toISOString();
+                const journaled = entries.map((item, index) => ({
+                    seq: lastSeq + index + 1,
+                    at,
+                    ...item,
+                    ...(item.record ? { record: encryptRecord(item.record) } : {})
+                }));
+                appendJsonLines(journalFile, journaled);
+                lastSeq += journaled.length;
+                journalEntries += journaled.length;
+                writeJsonFile(patientsFile, applyEntries(patients, journaled));
+                writeCheckpoint(lastSeq);
+                if (journalEntries > journalLimit()) {
+                    // patients.json now holds every entry, so none is needed to
+                    // recover; keep those after the last snapshot for restores
+                    const { snapshotSeq = lastSeq } = readJsonFile(checkpointFile, {});
+                    writeJournalFile(journalFile, readJournalFile(journalFile).filter(entry => entry.seq > snapshotSeq));
+                    journalEntries = 0;
+                }
+                journalSize = journalFileSize();
+            }
+            return result;
+        });
+    }
+
+    function newRecord(patient) {
+        return {
+            id: patient.id || generatePatientId(),
+            ...patient,
+            registrationDate: patient.registrationDate || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    async function create(patient) {
+        return commit(patients => {
+            const newPatient = newRecord(patient);
+            checkAccountEmail(patients, newPatient);
+            return { entry: { op: 'create', id: newPatient.id, record: newPatient }, result: newPatient };
+        });
+    }
+
+    // One write of patients.json for the whole list (the Airtable sync, imports)
+    async function createMany(patients) {
+        return commit(stored => {
+            const created = patients.map(newRecord);
+            const seen = [...stored];
+            created.forEach(record => {
+                checkAccountEmail(seen, record);
+                seen.push(record);
+            });
+            return { entries: created.map(record => ({ op: 'create', id: record.id, record })), result: created };
+        });
+    }
+
+    async function get(id) {
+        const patient = cachedPatients().find(candidate => String(candidate.id) === String(id));
+        return patient ? { ...patient } : null;
+    }
+
+    async function update(id, changes, options = {}) {
+        return commit(patients => {
+            const existing = patients.find(patient => String(patient.id) === String(id));
+            if (!existing) {
+                return { entry: null, result: null };
+            }
+            const current = decryptRecord(existing);
+            if (options.check) {
+                options.check(current);
+            }
+            const updated = { ...current, ...changes, id: existing.id, updatedAt: new Date().toISOString() };
+            checkAccountEmail(patients, updated);
+            return { entry: { op: 'update', id: existing.id, record: updated }, result: updated };
+        });
+    }
+
+    // updates is [{ id, changes }]; one write of patients.json for all of them
+    async function updateMany(updates) {
+        return commit(patients => {
+            const byId = new Map(patients.map(patient => [String(patient.id), patient]));
+            const current = new Map();
+            const entries = [];
+            const result = updates.map(({ id, changes }) => {
+                const key = String(id);
+                const existing = current.get(key) || (byId.has(key) ? decryptRecord(byId.get(key)) : null);
+                if (!existing) {
+                    return null;
+                }
+                const updated = { ...existing, ...changes, id: existing.id, updatedAt: new Date().toISOString() };
+                current.set(key, updated);
+                entries.push({ op: 'update', id: existing.id, record: updated });
+                return updated;
+            });
+            return { entries, result };
+        });
+    }
+
+    async function list() {
+        return readPatients();
+    }
+
+    async function search(query) {
+        if (typeof query === 'string') {
+            const term = query.toLowerCase();
+            return readPatients().filter(patient => matchesText(patient, term));
+        }
+        return readStored().filter(fieldsMatcher(query || {})).map(decryptRecord);
+    }
+
+    async function remove(id) {
+        return commit(patients => {
+            const existing = patients.find(patient => String(patient.id) === String(id));
+            if (!existing) {
+                return { entry: null, result: false };
+            }
+            return { entry: { op: 'delete', id: existing.id }, result: true };
+        });
+    }
+
+    // Write every record in patients.json and the journal again with the current
+    // key (or in plain without one); scripts/encrypt-patient-data.js runs this
+    // after a key is added or rotated
+    async function reencrypt() {
+        return withFileLock(patientsFile, () => {
+            replayJournal();
+            const patients = readStored();
+            const changed = patients.filter(needsReencryption).length;
+            writeJsonFile(patientsFile, patients.map(encryptRecord));
+            const entries = readJournal();
+            if (entries.length > 0) {
+                writeJournalFile(journalFile, entries.map(entry => (entry.record ? { ...entry, record: encryptRecord(entry.record) } : entry)));
+                journalSize = journalFileSize();
+            }
+            return { records: patients.length, changed, journalEntries: entries.length };
+        });
+    }
+
+    return { type: 'json', create, createMany, get, update, updateMany, list, search, delete: remove, reencrypt };
+}
+
+// Drop the journal entries up to throughSeq that patients.json already holds
+// and record throughSeq as the last snapshot's; lib/backups.js calls this once
+// a snapshot has copied them. Returns how many entries were dropped.
+function compactJournal(throughSeq, options = {}) {
+    const { patientsFile, journalFile, checkpointFile } = storeFiles(options);
+    return withFileLock(patientsFile, () => {
+        const checkpoint = readJsonFile(checkpointFile, { seq: 0 });
+        const covered = Math.min(throughSeq, checkpoint.seq || 0);
+        const entries = readJournalFile(journalFile);
+        const kept = entries.filter(entry => entry.seq > covered);
+        if (kept.length < entries.length) {
+            writeJournalFile(journalFile, kept);
+        }
+        writeJsonFile(checkpointFile, { ...checkpoint, snapshotSeq: covered });
+        return entries.length - kept.length;
+    });
+}
+
+// Called under the store's lock while a snapshot copies the files: until
+// compactJournal records the snapshot's seq, the store keeps the entries after
+// the checkpoint. Later snapshots are covered by the seq of the one before.
+function markSnapshot(options = {}) {
+    const { checkpointFile } = storeFiles(options);
+    const checkpoint = readJsonFile(checkpointFile, { seq: 0 });
+    if (checkpoint.snapshotSeq === undefined) {
+        writeJsonFile(checkpointFile, { ...checkpoint, snapshotSeq: checkpoint.seq || 0 });
+    }
+}
+
+// Pass the records in the journal entries of some patients through
+// redact(record); lib/privacy.js uses it so an erased patient's details do not
+// live on in the journal. Returns how many entries were rewritten.
+function redactJournal(patientIds, redact, options = {}) {
+    const { patientsFile, journalFile } = storeFiles(options);
+    const ids = patientIds.map(String);
+    return withFileLock(patientsFile, () => {
+        let redacted = 0;
+        const entries = readJournalFile(journalFile).map(entry => {
+            if (!entry.record || !ids.includes(String(entry.id))) {
+                return entry;
+            }
+            redacted++;
+            return { ...entry, record: encryptRecord(redact(decryptRecord(entry.record))) };
+        });
+        if (redacted > 0) {
+            writeJournalFile(journalFile, entries);
+        }
+        return redacted;
+    });
+}
+
+module.exports = createJsonStore;
+module.exports.storeFiles = storeFiles;
+module.exports.compactJournal = compactJournal;
+module.exports.markSnapshot = markSnapshot;
+module.exports.redactJournal = redactJournal;
+module.exports.readJournalFile = readJournalFile;
+module.exports.writeJournalFile = writeJournalFile;
+module.exports.applyEntries = applyEntries;
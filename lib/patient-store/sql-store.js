@@ -0,0 +1,112 @@
+// lib/patient-store/sql-store.js - Patients kept in the MySQL users table (role = 'patient')
+const { getPool } = require('../database');
+
+// Columns of the users table; every other patient field goes into the details JSON column
+const COLUMNS = ['name', 'email', 'phone', 'password'];
+
+function splitName(name) {
+    const parts = String(name || '').trim().split(/\s+/);
+    return { first_name: parts.shift() || '', last_name: parts.join(' ') };
+}
+
+function parseDetails(details) {
+    if (!details) {
+        return {};
+    }
+    return typeof details === 'string' ? JSON.parse(details) : details;
+}
+
+function fromRow(row) {
+    return {
+        ...parseDetails(row.details),
+        id: String(row.id),
+        name: `${row.first_name} ${row.last_name}`.trim(),
+        email: row.email,
+        phone: row.phone || '',
+        password: row.password || undefined,
+        registrationDate: new Date(row.created_at).toISOString()
+    };
+}
+
+function extraFields(patient) {
+    const details = {};
+    Object.keys(patient)
+        .filter(key => !COLUMNS.includes(key) && key !== 'id' && key !== 'registrationDate')
+        .forEach(key => { details[key] = patient[key]; });
+    return details;
+}
+
+function createSqlStore(options = {}) {
+    const pool = () => options.pool || getPool();
+
+    async function get(id) {
+        const [rows] = await pool().execute(
+            'SELECT * FROM users WHERE id = ? AND role = "patient"',
+            [id]
+        );
+        return rows.length ? fromRow(rows[0]) : null;
+    }
+
+    async function create(patient) {
+        const { first_name, last_name } = splitName(patient.name);
+        const [result] = await pool().execute(
+            'INSERT INTO users (email, password, first_name, last_name, phone, role, details) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [patient.email, patient.password || '', first_name, last_name, patient.phone || null, 'patient', JSON.stringify(extraFields(patient))]
+        );
+        return get(result.insertId);
+    }
+
+    async function update(id, changes) {
+        const existing = await get(id);
+        if (!existing) {
+            return null;
+        }
+        const merged = { ...existing, ...changes };
+        const { first_name, last_name } = splitName(merged.name);
+        await pool().execute(
+            'UPDATE users SET email = ?, password = ?, first_name = ?, last_name = ?, phone = ?, details = ? WHERE id = ? AND role = "patient"',
+            [merged.email, merged.password || '', first_name, last_name, merged.phone || null, JSON.stringify(extraFields(merged)), id]
+        );
+        return get(id);
+    }
+
+    async function list() {
+        const [rows] = await pool().execute(
+            'SELECT * FROM users WHERE role = "patient" ORDER BY created_at'
+        );
+        return rows.map(fromRow);
+    }
+
+    async function search(query) {
+        let rows;
+        if (typeof query === 'string') {
+            const term = `%${query.toLowerCase()}%`;
+            [rows] = await pool().execute(
+                'SELECT * FROM users WHERE role = "patient" AND (LOWER(CONCAT(first_name, " ", last_name)) LIKE ? OR LOWER(email) LIKE ?)',
+                [term, term]
+            );
+        } else {
+            const fields = ['email', 'phone'].filter(field => query && query[field]);
+            if (fields.length === 0) {
+                return [];
+            }
+            [rows] = await pool().execute(
+                `SELECT * FROM users WHERE role = "patient" AND (${fields.map(field => `${field} = ?`).join(' OR ')})`,
+                fields.map(field => query[field])
+            );
+        }
+        return rows.map(fromRow);
+    }
+
+    async function remove(id) {
+        const [result] = await pool().execute(
+            'DELETE FROM users WHERE id = ? AND role = "patient"',
+            [id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    return { type: 'sql', create, get, update, list, search, delete: remove };
+}
+
+module.exports = createSqlStore;
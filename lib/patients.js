@@ -0,0 +1,244 @@
+// lib/patients.js - Reading, editing and deleting single patients, and their status flow
+//
+// Status flow:
+//   new -> contacted -> confirmed -> active -> inactive
+//   new | contacted | confirmed -> inactive (gave up on the way)
+//   inactive -> active (came back)
+// Records from before this flow say 'Pending' or 'pending'; they count as new.
+//
+// Every read hands out a version (an ETag, from the record's content). Edits
+// and deletes may send it back (If-Match); when the record changed in the
+// meantime they fail with 412 VERSION_CONFLICT instead of overwriting the other
+// change. The JSON store checks under its file lock; other stores compare just
+// before writing.
+//
+// Staff notes are kept in lib/note-store.js. Bulk actions (status changes and
+// messages for up to MAX_BULK patients) answer per patient and carry on past
+// the ones that fail.
+//
+// Changes are written to the audit log (lib/audit.js) with a field-level diff;
+// options.audit is the auditContext() of the request that made them.
+const crypto = require('crypto');
+const { getPatientStore } = require('./patient-store');
+const { getNoteStore, MAX_NOTE_LENGTH } = require('./note-store');
+const { notify } = require('./notifications');
+const { logAudit, diffRecords } = require('./audit');
+const { PATIENT_STATUSES, LEGACY_STATUSES, validatePatient, INTAKE_FIELDS } = require('./patient-schema');
+const { GROUPS } = require('./scoring');
+const { httpError } = require('./http-error');
+
+const TRANSITIONS = {
+    new: ['contacted', 'inactive'],
+    contacted: ['confirmed', 'inactive'],
+    confirmed: ['active', 'inactive'],
+    active: ['inactive'],
+    inactive: ['active']
+};
+
+const MAX_BULK = 200;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Fields staff can edit; the rest (score, payments, ...) the system keeps.
+// groupOverride puts the patient in a group by hand; null goes back to the
+// group their score gives them.
+const EDITABLE_FIELDS = ['name', 'phone', 'email', ...Object.keys(INTAKE_FIELDS), 'diabetesStatus'];
+
+function patientStatus(patient) {
+    const status = String(patient.status || 'new').toLowerCase();
+    return LEGACY_STATUSES[status] || status;
+}
+
+function allowedTransitions(patient) {
+    return TRANSITIONS[patientStatus(patient)] || [];
+}
+
+function patientVersion(patient) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(patient)).digest('hex');
+    return `"${hash.slice(0, 20)}"`;
+}
+
+async function getPatient(id) {
+    const patient = await getPatientStore().get(id);
+    if (!patient) {
+        throw httpError('Patient not found', 404, 'PATIENT_NOT_FOUND');
+    }
+    return patient;
+}
+
+// Throws 412 unless the record is still the version the caller read
+function versionCheck(ifMatch) {
+    return existing => {
+        if (ifMatch && ifMatch !== '*' && ifMatch !== patientVersion(existing)) {
+            throw httpError('The patient was changed by someone else - reload it and try again', 412, 'VERSION_CONFLICT');
+        }
+    };
+}
+
+function checkStatusChange(existing, status) {
+    const to = String(status).toLowerCase();
+    if (!PATIENT_STATUSES.includes(to)) {
+        throw httpError(`status must be one of: ${PATIENT_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    const from = patientStatus(existing);
+    if (to !== from && !allowedTransitions(existing).includes(to)) {
+        throw httpError(`Cannot move a patient from ${from} to ${to}`, 409, 'INVALID_TRANSITION');
+    }
+    return to;
+}
+
+// Validated changes for an edit. A replace (PUT) takes the editable fields as
+// given and clears the ones left out; a partial edit (PATCH) checks only the
+// fields it sends, so an old record with, say, an odd phone number can still
+// have its status changed. Neither can clear the email of a patient with a
+// portal login.
+function editChanges(existing, input, replace) {
+    const unknown = Object.keys(input).filter(field => !EDITABLE_FIELDS.includes(field) && !['status', 'groupOverride'].includes(field));
+    if (unknown.length > 0) {
+        throw httpError(`These fields cannot be edited: ${unknown.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    const fields = replace ? EDITABLE_FIELDS : EDITABLE_FIELDS.filter(field => input[field] !== undefined);
+    const changes = {};
+    if (fields.length > 0) {
+        const value = validatePatient(input, { only: fields });
+        fields.forEach(field => {
+            changes[field] = value[field] === undefined ? null : value[field];
+        });
+        if (fields.includes('phone')) {
+            changes.phoneDisplay = value.phoneDisplay;
+        }
+        if (fields.includes('email') && !changes.email && existing.password) {
+            throw httpError('email is required: this patient logs in to the portal with it', 400, 'VALIDATION_ERROR');
+        }
+    }
+    if (input.status !== undefined) {
+        changes.status = checkStatusChange(existing, input.status);
+    }
+    if (input.groupOverride !== undefined || replace) {
+        const group = input.groupOverride === undefined || input.groupOverride === '' ? null : input.groupOverride;
+        if (group !== null && !GROUPS.includes(group)) {
+            throw httpError(`groupOverride must be one of: ${GROUPS.join(', ')}, or null`, 400, 'VALIDATION_ERROR');
+        }
+        changes.groupOverride = group;
+    }
+    return changes;
+}
+
+async function updatePatient(id, input, options = {}) {
+    const existing = await getPatient(id);
+    const changes = editChanges(existing, input || {}, options.replace);
+    let before = existing;
+    const check = existing => {
+        before = existing;
+        versionCheck(options.ifMatch)(existing);
+        // The status may have moved on since we looked; check against the latest
+        if (changes.status) {
+            checkStatusChange(existing, changes.status);
+        }
+    };
+    const updated = await getPatientStore().update(id, changes, { check });
+    if (!updated) {
+        throw httpError('Patient not found', 404, 'PATIENT_NOT_FOUND');
+    }
+    await logAudit(options.audit, {
+        action: 'patient.update',
+        patientIds: [updated.id],
+        changes: diffRecords(before, updated),
+        details: options.bulk ? { bulk: true } : {}
+    });
+    return updated;
+}
+
+async function deletePatient(id, options = {}) {
+    const existing = await getPatient(id);
+    versionCheck(options.ifMatch)(existing);
+    const removed = await getPatientStore().delete(id);
+    if (!removed) {
+        throw httpError('Patient not found', 404, 'PATIENT_NOT_FOUND');
+    }
+    await logAudit(options.audit, { action: 'patient.delete', patientIds: [existing.id], changes: diffRecords(existing, {}) });
+    return existing;
+}
+
+async function addNote(patientId, text, author, options = {}) {
+    const clean = String(text || '').trim();
+    if (!clean || clean.length > MAX_NOTE_LENGTH) {
+        throw httpError(`A note must be 1 to ${MAX_NOTE_LENGTH} characters`, 400, 'VALIDATION_ERROR');
+    }
+    const patient = await getPatient(patientId);
+    const note = await getNoteStore().create({ patient_id: patient.id, text: clean, author });
+    await logAudit(options.audit, {
+        action: 'patient.note-add',
+        patientIds: [patient.id],
+        changes: diffRecords({}, { note: clean }),
+        details: { note_id: note.id }
+    });
+    return note;
+}
+
+function bulkIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK) {
+        throw httpError(`ids must list 1 to ${MAX_BULK} patients`, 400, 'VALIDATION_ERROR');
+    }
+    return [...new Set(ids.map(String))];
+}
+
+// Runs action(id) for every patient; [{ id, success, ... }] in the order given.
+// Errors with an HTTP status belong to that patient, anything else stops the run.
+async function forEachPatient(ids, action) {
+    const results = [];
+    for (const id of bulkIds(ids)) {
+        try {
+            results.push({ id, success: true, ...await action(id) });
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            results.push({ id, success: false, message: error.message, code: error.code });
+        }
+    }
+    return results;
+}
+
+function bulkSetStatus(ids, status, options = {}) {
+    return forEachPatient(ids, async id => {
+        const patient = await updatePatient(id, { status }, { audit: options.audit, bulk: true });
+        return { status: patient.status };
+    });
+}
+
+// Queues a staff message (WhatsApp and email) for every patient
+async function bulkMessage(ids, text, options = {}) {
+    const clean = String(text || '').trim();
+    if (!clean || clean.length > MAX_MESSAGE_LENGTH) {
+        throw httpError(`The message must be 1 to ${MAX_MESSAGE_LENGTH} characters`, 400, 'VALIDATION_ERROR');
+    }
+    return forEachPatient(ids, async id => {
+        const patient = await getPatient(id);
+        const jobs = await notify('patient.message', { patient, text: clean });
+        if (jobs.length === 0) {
+            throw httpError('No WhatsApp number or email to send to', 422, 'NO_RECIPIENT');
+        }
+        await logAudit(options.audit, {
+            action: 'patient.message',
+            patientIds: [patient.id],
+            details: { text: '[redacted]', channels: jobs.map(job => job.channel), bulk: true }
+        });
+        return { channels: jobs.map(job => job.channel) };
+    });
+}
+
+module.exports = {
+    MAX_BULK,
+    PATIENT_STATUSES,
+    TRANSITIONS,
+    EDITABLE_FIELDS,
+    patientStatus,
+    allowedTransitions,
+    patientVersion,
+    getPatient,
+    updatePatient,
+    deletePatient,
+    addNote,
+    bulkSetStatus,
+    bulkMessage
+};
@@ -0,0 +1,186 @@
+// lib/payment-store.js - UPI payment requests, JSON file or MySQL
+//
+// PAYMENT_STORE picks the backend (json | sql). Both adapters follow the
+// payments table from lib/database.js and expose:
+//   create(payment)                 -> saved payment (reference must be unique)
+//   get(id) / getByReference(ref)   -> payment or null
+//   list({ patient_id, appointment_id, status })
+//   transition(id, change)          -> updated payment, where change is
+//                                      { fromStatuses, status, fields }
+//   reassignPatient(fromId, toId)   -> number of payments moved (merges)
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+const { httpError } = require('./http-error');
+
+const PAYMENT_STATUSES = ['pending', 'confirmed', 'cancelled'];
+
+function createJsonPaymentStore(options = {}) {
+    const paymentsFile = options.file || process.env.PAYMENTS_FILE || path.join(dataDir, 'payments.json');
+
+    function readData() {
+        return readJsonFile(paymentsFile, { nextId: 1, payments: [] });
+    }
+
+    async function create(payment) {
+        const data = readData();
+        if (data.payments.some(p => p.reference === payment.reference)) {
+            throw httpError('Payment reference already exists', 409, 'DUPLICATE_REFERENCE');
+        }
+        const saved = {
+            id: data.nextId++,
+            ...payment,
+            status: 'pending',
+            upi_txn_id: null,
+            confirmed_by: null,
+            confirmed_at: null,
+            cancel_reason: null,
+            cancelled_by: null,
+            created_at: new Date().toISOString()
+        };
+        data.payments.push(saved);
+        writeJsonFile(paymentsFile, data);
+        return saved;
+    }
+
+    async function get(id) {
+        return readData().payments.find(p => String(p.id) === String(id)) || null;
+    }
+
+    async function getByReference(reference) {
+        return readData().payments.find(p => p.reference === reference) || null;
+    }
+
+    async function list(filter = {}) {
+        return readData().payments
+            .filter(p => !filter.patient_id || String(p.patient_id) === String(filter.patient_id))
+            .filter(p => !filter.appointment_id || String(p.appointment_id) === String(filter.appointment_id))
+            .filter(p => !filter.status || p.status === filter.status)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    }
+
+    async function transition(id, change) {
+        const data = readData();
+        const payment = data.payments.find(p => String(p.id) === String(id));
+        if (!payment) {
+            throw httpError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+        }
+        if (!change.fromStatuses.includes(payment.status)) {
+            throw httpError(`Payment is already ${payment.status}`, 409, 'INVALID_TRANSITION');
+        }
+        Object.assign(payment, change.fields, { status: change.status });
+        writeJsonFile(paymentsFile, data);
+        return payment;
+    }
+
+    async function reassignPatient(fromId, toId) {
+        const data = readData();
+        const moved = data.payments.filter(p => String(p.patient_id) === String(fromId));
+        moved.forEach(p => { p.patient_id = String(toId); });
+        writeJsonFile(paymentsFile, data);
+        return moved.length;
+    }
+
+    return { type: 'json', create, get, getByReference, list, transition, reassignPatient };
+}
+
+function createSqlPaymentStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+
+    function fromRow(row) {
+        return { ...row, amount: Number(row.amount) };
+    }
+
+    async function create(payment) {
+        try {
+            const [result] = await pool().execute(
+                'INSERT INTO payments (reference, patient_id, appointment_id, amount, note, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [payment.reference, payment.patient_id, payment.appointment_id || null, payment.amount, payment.note || null, payment.created_by || null]
+            );
+            return get(result.insertId);
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw httpError('Payment reference already exists', 409, 'DUPLICATE_REFERENCE');
+            }
+            throw error;
+        }
+    }
+
+    async function get(id) {
+        const [rows] = await pool().execute('SELECT * FROM payments WHERE id = ?', [id]);
+        return rows.length ? fromRow(rows[0]) : null;
+    }
+
+    async function getByReference(reference) {
+        const [rows] = await pool().execute('SELECT * FROM payments WHERE reference = ?', [reference]);
+        return rows.length ? fromRow(rows[0]) : null;
+    }
+
+    async function list(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.patient_id) { conditions.push('patient_id = ?'); params.push(String(filter.patient_id)); }
+        if (filter.appointment_id) { conditions.push('appointment_id = ?'); params.push(filter.appointment_id); }
+        if (filter.status) { conditions.push('status = ?'); params.push(filter.status); }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [rows] = await pool().execute(`SELECT * FROM payments ${where} ORDER BY created_at DESC, id DESC`, params);
+        return rows.map(fromRow);
+    }
+
+    async function transition(id, change) {
+        const fields = { ...change.fields, status: change.status };
+        const columns = Object.keys(fields);
+        const [result] = await pool().execute(
+            `UPDATE payments SET ${columns.map(column => `${column} = ?`).join(', ')}
+             WHERE id = ? AND status IN (${change.fromStatuses.map(() => '?').join(', ')})`,
+            [...columns.map(column => column.endsWith('_at') && fields[column] ? new Date(fields[column]) : fields[column]), id, ...change.fromStatuses]
+        );
+        if (result.affectedRows === 0) {
+            const payment = await get(id);
+            if (!payment) {
+                throw httpError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+            }
+            throw httpError(`Payment is already ${payment.status}`, 409, 'INVALID_TRANSITION');
+        }
+        return get(id);
+    }
+
+    async function reassignPatient(fromId, toId) {
+        const [result] = await pool().execute(
+            'UPDATE payments SET patient_id = ? WHERE patient_id = ?',
+            [String(toId), String(fromId)]
+        );
+        return result.affectedRows;
+    }
+
+    return { type: 'sql', create, get, getByReference, list, transition, reassignPatient };
+}
+
+const adapters = {
+    json: createJsonPaymentStore,
+    sql: createSqlPaymentStore
+};
+
+function createPaymentStore(options = {}) {
+    const type = options.type || (process.env.PAYMENT_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown payment store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let paymentStore;
+
+function getPaymentStore() {
+    if (!paymentStore) {
+        paymentStore = createPaymentStore();
+    }
+    return paymentStore;
+}
+
+function configurePaymentStore(options = {}) {
+    paymentStore = createPaymentStore(options);
+    return paymentStore;
+}
+
+module.exports = { PAYMENT_STATUSES, createPaymentStore, getPaymentStore, configurePaymentStore };
@@ -0,0 +1,178 @@
+// lib/payments.js - UPI payment requests for patients and appointments
+//
+// A payment request gets a unique reference (CONSULT-XXXXXXXX) that is put in
+// the upi://pay link as the transaction reference, so the clinic can match the
+// credit in its bank statement. Payments are confirmed by staff once the money
+// shows up; the patient's paymentStatus follows their payment requests:
+//   any request pending -> 'Pending', else any confirmed -> 'Paid', else 'Unpaid'
+//
+// UPI_VPA (the clinic's UPI ID) must be set; UPI_PAYEE_NAME and
+// CONSULTATION_FEE (default 500) are optional.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { getPaymentStore } = require('./payment-store');
+const { getPatientStore } = require('./patient-store');
+const { getAppointmentStore } = require('./appointment-store');
+const { actorLabel } = require('./appointments');
+const { notify } = require('./notifications');
+const { logAudit, diffRecords } = require('./audit');
+const { httpError } = require('./http-error');
+
+const MAX_AMOUNT = 100000;
+const REFERENCE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function upiConfig() {
+    if (!process.env.UPI_VPA) {
+        throw httpError('UPI payments are not configured (UPI_VPA)', 503, 'UPI_NOT_CONFIGURED');
+    }
+    return {
+        vpa: process.env.UPI_VPA,
+        payeeName: process.env.UPI_PAYEE_NAME || 'Dr. Nehru Healthcare',
+        defaultAmount: Number(process.env.CONSULTATION_FEE) || 500
+    };
+}
+
+// Easy to read out over the phone: no 0/O or 1/I
+function generateReference() {
+    const bytes = crypto.randomBytes(8);
+    return 'CONSULT-' + Array.from(bytes, byte => REFERENCE_CHARS[byte % REFERENCE_CHARS.length]).join('');
+}
+
+function parseAmount(value, fallback) {
+    // Checked as text: 19.99 * 100 is not exactly 1999 in floating point
+    const text = String(value === undefined || value === null || value === '' ? fallback : value).trim();
+    const amount = Number(text);
+    if (!/^\d+(\.\d{1,2})?$/.test(text) || amount <= 0 || amount > MAX_AMOUNT) {
+        throw httpError(`amount must be a positive number of rupees up to ${MAX_AMOUNT} with at most 2 decimals`, 400, 'VALIDATION_ERROR');
+    }
+    return amount;
+}
+
+// upi://pay deep link understood by Google Pay, PhonePe, Paytm and BHIM
+function buildUpiLink(payment, config = upiConfig()) {
+    const params = [
+        ['pa', config.vpa],
+        ['pn', config.payeeName],
+        ['am', payment.amount.toFixed(2)],
+        ['cu', 'INR'],
+        ['tr', payment.reference],
+        ['tn', payment.note || `Consultation ${payment.reference}`]
+    ];
+    return 'upi://pay?' + params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+}
+
+// Payment with its UPI link, a QR code (PNG data URL) of that link and the
+// path of the payment page that can be sent to the patient
+async function withPaymentLinks(payment) {
+    const upiLink = buildUpiLink(payment);
+    return {
+        ...payment,
+        upi_link: upiLink,
+        qr_code: await QRCode.toDataURL(upiLink, { margin: 1, width: 280 }),
+        pay_page: `/pay/${payment.reference}`
+    };
+}
+
+function paymentQrPng(payment) {
+    return QRCode.toBuffer(buildUpiLink(payment), { margin: 1, width: 280 });
+}
+
+// Recompute the patient's paymentStatus from all their payment requests
+async function refreshPaymentStatus(patientId) {
+    const payments = await getPaymentStore().list({ patient_id: patientId });
+    let paymentStatus = 'Unpaid';
+    if (payments.some(p => p.status === 'pending')) {
+        paymentStatus = 'Pending';
+    } else if (payments.some(p => p.status === 'confirmed')) {
+        paymentStatus = 'Paid';
+    }
+    const before = await getPatientStore().get(patientId);
+    await getPatientStore().update(patientId, { paymentStatus });
+    if (before && before.paymentStatus !== paymentStatus) {
+        // Worked out from the payments, so logged as a change by the system
+        await logAudit(null, {
+            action: 'patient.update',
+            patientIds: [patientId],
+            changes: diffRecords({ paymentStatus: before.paymentStatus }, { paymentStatus }),
+            details: { source: 'payments' }
+        });
+    }
+    return paymentStatus;
+}
+
+// New request for { patient_id } or { appointment_id } (the patient comes from the appointment)
+async function createPaymentRequest(input, actor) {
+    const config = upiConfig();
+    let patientId = input.patient_id;
+    let appointmentId = input.appointment_id || null;
+
+    if (appointmentId) {
+        const appointment = await getAppointmentStore().get(appointmentId);
+        if (!appointment) {
+            throw httpError('Appointment not found', 404, 'APPOINTMENT_NOT_FOUND');
+        }
+        if (patientId && String(patientId) !== String(appointment.patient_id)) {
+            throw httpError('The appointment belongs to another patient', 400, 'VALIDATION_ERROR');
+        }
+        patientId = appointment.patient_id;
+        appointmentId = appointment.id;
+    }
+    if (!patientId) {
+        throw httpError('patient_id or appointment_id is required', 400, 'VALIDATION_ERROR');
+    }
+    if (!(await getPatientStore().get(patientId))) {
+        throw httpError('Patient not found', 404, 'PATIENT_NOT_FOUND');
+    }
+
+    const payment = await getPaymentStore().create({
+        reference: generateReference(),
+        patient_id: String(patientId),
+        appointment_id: appointmentId,
+        amount: parseAmount(input.amount, config.defaultAmount),
+        note: input.note ? String(input.note).slice(0, 255) : null,
+        created_by: actorLabel(actor)
+    });
+    await refreshPaymentStatus(payment.patient_id);
+    return withPaymentLinks(payment);
+}
+
+// Staff saw the money arrive; upi_txn_id is the UTR from the bank statement
+async function confirmPayment(id, input, actor) {
+    const payment = await getPaymentStore().transition(id, {
+        fromStatuses: ['pending'],
+        status: 'confirmed',
+        fields: {
+            upi_txn_id: input.upi_txn_id ? String(input.upi_txn_id).trim().slice(0, 64) : null,
+            confirmed_by: actorLabel(actor),
+            confirmed_at: new Date().toISOString()
+        }
+    });
+    await refreshPaymentStatus(payment.patient_id);
+
+    const patient = await getPatientStore().get(payment.patient_id);
+    if (patient) {
+        notify('payment.received', { patient, payment })
+            .catch(error => console.error('Notification failed:', error.message));
+    }
+    return payment;
+}
+
+async function cancelPayment(id, reason, actor) {
+    const payment = await getPaymentStore().transition(id, {
+        fromStatuses: ['pending'],
+        status: 'cancelled',
+        fields: { cancel_reason: reason ? String(reason).slice(0, 255) : null, cancelled_by: actorLabel(actor) }
+    });
+    await refreshPaymentStatus(payment.patient_id);
+    return payment;
+}
+
+module.exports = {
+    refreshPaymentStatus,
+    buildUpiLink,
+    withPaymentLinks,
+    paymentQrPng,
+    createPaymentRequest,
+    confirmPayment,
+    cancelPayment
+};
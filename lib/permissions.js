@@ -0,0 +1,54 @@
+// lib/permissions.js - Which staff roles may use which routes
+//
+// Every protected route names its own permission, e.g.
+//   router.get('/api/patients', authenticateToken, requirePermission('patients:list'), ...)
+// so the table below is the single place to review who can do what.
+const PERMISSIONS = {
+    'admin:audit': ['admin'],
+    'admin:dashboard': ['admin', 'doctor', 'receptionist'],
+    'admin:system': ['admin'],
+    'appointments:book': ['admin', 'doctor', 'receptionist'],
+    'appointments:view': ['admin', 'doctor', 'receptionist'],
+    'appointments:manage': ['admin', 'doctor', 'receptionist'],
+    'appointments:complete': ['admin', 'doctor'],
+    'availability:manage': ['admin', 'receptionist'],
+    'holidays:manage': ['admin'],
+    'patients:delete': ['admin'],
+    'patients:edit': ['admin', 'doctor', 'receptionist'],
+    'patients:export': ['admin', 'doctor', 'receptionist'],
+    'patients:import': ['admin', 'receptionist'],
+    'patients:list': ['admin', 'doctor', 'receptionist'],
+    'patients:merge': ['admin'],
+    'patients:privacy': ['admin'],
+    'patients:message': ['admin', 'doctor', 'receptionist'],
+    'patients:search': ['admin', 'doctor', 'receptionist'],
+    'payments:manage': ['admin', 'receptionist'],
+    'payments:view': ['admin', 'doctor', 'receptionist'],
+    'staff:list': ['admin'],
+    'staff:manage': ['admin']
+};
+
+function hasPermission(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(role);
+}
+
+// Patients may act on their own records; their tokens carry role 'patient'
+function isPatientSelf(user, patientId) {
+    return !!user && user.role === 'patient' &&
+        String(user.patientId || user.userId) === String(patientId);
+}
+
+// Use after authenticateToken, which puts the token payload on req.user
+function requirePermission(permission) {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return (req, res, next) => {
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+module.exports = { PERMISSIONS, hasPermission, isPatientSelf, requirePermission };
@@ -0,0 +1,99 @@
+// lib/phone.js - Indian phone numbers: parsing, E.164 storage and display
+//
+// parsePhone() accepts what people type: +91, 0091 or 91 in front, a leading
+// trunk 0, spaces, dashes, dots and brackets. Indian numbers have 10 digits
+// after the country code:
+//   mobile    starts with 6, 7, 8 or 9            -> +91 98765 43210
+//   landline  STD code without the 0 + subscriber -> +91 40 2345 6789
+// Landlines in Bengaluru (80) and Ahmedabad (79) look like mobiles; they are
+// classed as mobile, which only changes how they are displayed.
+// Numbers written with another country code (+1 415...) are kept as
+// international when they have 8 to 15 digits. Anything else is invalid.
+//
+// Patients are stored with phone in E.164 (+919876543210) and phoneDisplay.
+// Older records may still hold what was typed; phoneSearchVariants() covers
+// the forms such records are likely to use.
+
+// Two-digit STD codes of the metros; other cities use 3 or 4 digits
+const METRO_CODES = ['11', '20', '22', '33', '40', '44', '79', '80'];
+
+function parsePhone(input) {
+    if (input === undefined || input === null) {
+        return null;
+    }
+    const text = String(input).trim();
+    if (!text || !/^[+\d\s\-().]+$/.test(text)) {
+        return null;
+    }
+    let digits = text.replace(/\D/g, '');
+    const hasPlus = text.startsWith('+');
+
+    if (hasPlus && !digits.startsWith('91')) {
+        return digits.length >= 8 && digits.length <= 15
+            ? { e164: `+${digits}`, national: digits, type: 'international', display: `+${digits}` }
+            : null;
+    }
+    if (hasPlus || (digits.length === 12 && digits.startsWith('91'))) {
+        digits = digits.slice(2);
+    } else if (digits.length === 14 && digits.startsWith('0091')) {
+        digits = digits.slice(4);
+    } else if (digits.length === 11 && digits.startsWith('0')) {
+        digits = digits.slice(1);
+    }
+    if (!/^[1-9]\d{9}$/.test(digits)) {
+        return null;
+    }
+
+    if (/^[6-9]/.test(digits)) {
+        return { e164: `+91${digits}`, national: digits, type: 'mobile', display: `+91 ${digits.slice(0, 5)} ${digits.slice(5)}` };
+    }
+    const codeLength = METRO_CODES.includes(digits.slice(0, 2)) ? 2 : 3;
+    const code = digits.slice(0, codeLength);
+    const subscriber = digits.slice(codeLength);
+    const display = codeLength === 2
+        ? `+91 ${code} ${subscriber.slice(0, 4)} ${subscriber.slice(4)}`
+        : `+91 ${code} ${subscriber}`;
+    return { e164: `+91${digits}`, national: digits, type: 'landline', display };
+}
+
+// E.164 form, or null when the number cannot be understood
+function toE164(input) {
+    const phone = parsePhone(input);
+    return phone ? phone.e164 : null;
+}
+
+// Forms an older record might hold the number in, for exact-match store searches
+function phoneSearchVariants(input) {
+    const phone = parsePhone(input);
+    const variants = [String(input || '').trim()];
+    if (phone && phone.type !== 'international') {
+        variants.push(phone.e164, phone.national, `91${phone.national}`, `0${phone.national}`, phone.display);
+    } else if (phone) {
+        variants.push(phone.e164);
+    }
+    return [...new Set(variants.filter(Boolean))];
+}
+
+// tel: and WhatsApp links; WhatsApp wants the digits without the +
+function phoneLinks(input) {
+    const phone = parsePhone(input);
+    if (!phone) {
+        return null;
+    }
+    return {
+        tel: `tel:${phone.e164}`,
+        whatsapp: phone.type === 'landline' ? null : `https://wa.me/${phone.e164.slice(1)}`
+    };
+}
+
+// Patient as sent to staff screens: adds phoneDisplay and phoneLinks
+function withPhoneDetails(patient) {
+    const phone = parsePhone(patient.phone);
+    return {
+        ...patient,
+        phoneDisplay: phone ? phone.display : patient.phone || '',
+        phoneLinks: phoneLinks(patient.phone)
+    };
+}
+
+module.exports = { parsePhone, toE164, phoneSearchVariants, phoneLinks, withPhoneDetails };
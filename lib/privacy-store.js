@@ -0,0 +1,241 @@
+// lib/privacy-store.js - Consent records and erasure requests, JSON file or MySQL
+//
+// PRIVACY_STORE picks the backend (json | sql). Both adapters follow the
+// patient_consents and erasure_requests tables from lib/database.js and expose:
+//   addConsent({ patient_id, version, text_hash, ip, user_agent, source })
+//   listConsents({ patient_id })            -> newest first
+//   withdrawConsents(patientId)             -> number of consents withdrawn
+//   reassignPatient(fromId, toId)           -> consents moved (merges, outbox)
+//   addErasureRequest({ patient_id, reason })
+//   listErasureRequests({ patient_id, status }) / getErasureRequest(id)
+//   updateErasureRequest(id, changes)
+// An erasure request is { id, patient_id, reason, status, requested_at,
+// resolved_at, resolved_by, resolution } with status pending | completed | rejected.
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+
+const ERASURE_STATUSES = ['pending', 'completed', 'rejected'];
+
+function createJsonPrivacyStore(options = {}) {
+    const privacyFile = options.file || process.env.PRIVACY_FILE || path.join(dataDir, 'privacy.json');
+
+    function readData() {
+        return readJsonFile(privacyFile, { nextId: 1, consents: [], erasureRequests: [] });
+    }
+
+    async function addConsent(consent) {
+        const data = readData();
+        const saved = {
+            id: String(data.nextId++),
+            patient_id: String(consent.patient_id),
+            version: consent.version,
+            text_hash: consent.text_hash,
+            ip: consent.ip || null,
+            user_agent: consent.user_agent || null,
+            source: consent.source || null,
+            given_at: new Date().toISOString(),
+            withdrawn_at: null
+        };
+        data.consents.push(saved);
+        writeJsonFile(privacyFile, data);
+        return saved;
+    }
+
+    async function listConsents(filter = {}) {
+        return readData().consents
+            .filter(c => !filter.patient_id || c.patient_id === String(filter.patient_id))
+            .sort((a, b) => b.given_at.localeCompare(a.given_at));
+    }
+
+    async function withdrawConsents(patientId) {
+        const data = readData();
+        const open = data.consents.filter(c => c.patient_id === String(patientId) && !c.withdrawn_at);
+        open.forEach(c => { c.withdrawn_at = new Date().toISOString(); });
+        if (open.length > 0) {
+            writeJsonFile(privacyFile, data);
+        }
+        return open.length;
+    }
+
+    async function reassignPatient(fromId, toId) {
+        const data = readData();
+        const moved = data.consents.filter(c => c.patient_id === String(fromId));
+        moved.forEach(c => { c.patient_id = String(toId); });
+        if (moved.length > 0) {
+            writeJsonFile(privacyFile, data);
+        }
+        return moved.length;
+    }
+
+    async function addErasureRequest(request) {
+        const data = readData();
+        const saved = {
+            id: String(data.nextId++),
+            patient_id: String(request.patient_id),
+            reason: request.reason || null,
+            status: 'pending',
+            requested_at: new Date().toISOString(),
+            resolved_at: null,
+            resolved_by: null,
+            resolution: null
+        };
+        data.erasureRequests.push(saved);
+        writeJsonFile(privacyFile, data);
+        return saved;
+    }
+
+    async function listErasureRequests(filter = {}) {
+        return readData().erasureRequests
+            .filter(r => !filter.patient_id || r.patient_id === String(filter.patient_id))
+            .filter(r => !filter.status || r.status === filter.status)
+            .sort((a, b) => b.requested_at.localeCompare(a.requested_at));
+    }
+
+    async function getErasureRequest(id) {
+        return readData().erasureRequests.find(r => r.id === String(id)) || null;
+    }
+
+    async function updateErasureRequest(id, changes) {
+        const data = readData();
+        const request = data.erasureRequests.find(r => r.id === String(id));
+        if (!request) {
+            return null;
+        }
+        Object.assign(request, changes);
+        writeJsonFile(privacyFile, data);
+        return request;
+    }
+
+    return {
+        type: 'json',
+        addConsent,
+        listConsents,
+        withdrawConsents,
+        reassignPatient,
+        addErasureRequest,
+        listErasureRequests,
+        getErasureRequest,
+        updateErasureRequest
+    };
+}
+
+function createSqlPrivacyStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+
+    function fromRequestRow(row) {
+        return { ...row, id: String(row.id), resolution: typeof row.resolution === 'string' ? JSON.parse(row.resolution) : row.resolution };
+    }
+
+    async function addConsent(consent) {
+        const [result] = await pool().execute(
+            'INSERT INTO patient_consents (patient_id, version, text_hash, ip, user_agent, source) VALUES (?, ?, ?, ?, ?, ?)',
+            [String(consent.patient_id), consent.version, consent.text_hash, consent.ip || null, consent.user_agent || null, consent.source || null]
+        );
+        const [rows] = await pool().execute('SELECT * FROM patient_consents WHERE id = ?', [result.insertId]);
+        return { ...rows[0], id: String(rows[0].id) };
+    }
+
+    async function listConsents(filter = {}) {
+        const where = filter.patient_id ? 'WHERE patient_id = ?' : '';
+        const [rows] = await pool().execute(
+            `SELECT * FROM patient_consents ${where} ORDER BY given_at DESC, id DESC`,
+            filter.patient_id ? [String(filter.patient_id)] : []
+        );
+        return rows.map(row => ({ ...row, id: String(row.id) }));
+    }
+
+    async function withdrawConsents(patientId) {
+        const [result] = await pool().execute(
+            'UPDATE patient_consents SET withdrawn_at = CURRENT_TIMESTAMP WHERE patient_id = ? AND withdrawn_at IS NULL',
+            [String(patientId)]
+        );
+        return result.affectedRows;
+    }
+
+    async function reassignPatient(fromId, toId) {
+        const [result] = await pool().execute(
+            'UPDATE patient_consents SET patient_id = ? WHERE patient_id = ?',
+            [String(toId), String(fromId)]
+        );
+        return result.affectedRows;
+    }
+
+    async function addErasureRequest(request) {
+        const [result] = await pool().execute(
+            'INSERT INTO erasure_requests (patient_id, reason) VALUES (?, ?)',
+            [String(request.patient_id), request.reason || null]
+        );
+        return getErasureRequest(result.insertId);
+    }
+
+    async function listErasureRequests(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.patient_id) { conditions.push('patient_id = ?'); params.push(String(filter.patient_id)); }
+        if (filter.status) { conditions.push('status = ?'); params.push(filter.status); }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [rows] = await pool().execute(`SELECT * FROM erasure_requests ${where} ORDER BY requested_at DESC, id DESC`, params);
+        return rows.map(fromRequestRow);
+    }
+
+    async function getErasureRequest(id) {
+        const [rows] = await pool().execute('SELECT * FROM erasure_requests WHERE id = ?', [id]);
+        return rows.length ? fromRequestRow(rows[0]) : null;
+    }
+
+    async function updateErasureRequest(id, changes) {
+        const allowed = ['status', 'resolved_at', 'resolved_by', 'resolution'].filter(field => changes[field] !== undefined);
+        if (allowed.length > 0) {
+            await pool().execute(
+                `UPDATE erasure_requests SET ${allowed.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+                [...allowed.map(field => {
+                    if (field === 'resolution') return JSON.stringify(changes[field]);
+                    return field === 'resolved_at' && changes[field] ? new Date(changes[field]) : changes[field];
+                }), id]
+            );
+        }
+        return getErasureRequest(id);
+    }
+
+    return {
+        type: 'sql',
+        addConsent,
+        listConsents,
+        withdrawConsents,
+        reassignPatient,
+        addErasureRequest,
+        listErasureRequests,
+        getErasureRequest,
+        updateErasureRequest
+    };
+}
+
+const adapters = {
+    json: createJsonPrivacyStore,
+    sql: createSqlPrivacyStore
+};
+
+function createPrivacyStore(options = {}) {
+    const type = options.type || (process.env.PRIVACY_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown privacy store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let privacyStore;
+
+function getPrivacyStore() {
+    if (!privacyStore) {
+        privacyStore = createPrivacyStore();
+    }
+    return privacyStore;
+}
+
+function configurePrivacyStore(options = {}) {
+    privacyStore = createPrivacyStore(options);
+    return privacyStore;
+}
+
+module.exports = { ERASURE_STATUSES, createPrivacyStore, getPrivacyStore, configurePrivacyStore };
@@ -0,0 +1,260 @@
+// lib/privacy.js - Consent at registration, and a patient's rights to their data
+//
+// Registration forms show the current consent text (GET /api/consent) and send
+// back { consent: true, consentVersion }. checkConsent() refuses a registration
+// without it, or with an older version than the one now in force. The consent
+// itself is kept in lib/privacy-store.js with the time, IP address, browser and
+// a hash of the exact text, and the patient record carries consentVersion and
+// consentGivenAt.
+//
+// Patients can download everything held about them (exportPatientData) and
+// ask to be erased. An admin completes the request: the record is anonymized
+// in the patient store and, when it is linked to Airtable by the sync, in
+// Airtable as well; notes are deleted, consents withdrawn and sessions ended.
+// Payments and appointments stay (the clinic must keep its accounts) but point
+// at the anonymized record. Copies of the record kept elsewhere are scrubbed
+// as well: its entries in the JSON store's journal and the merge log
+// (lib/duplicates.js) keep only what the anonymized record keeps, and
+// notifications about the patient lose their address and text (unsent ones
+// are cancelled). The audit log is left as it is - its diffs never held the
+// values (lib/audit.js) and the erasure is itself an entry, listing which
+// fields were cleared. Backup snapshots are not rewritten; they go as
+// BACKUP_KEEP retires them (lib/backups.js).
+const crypto = require('crypto');
+const { getPatientStore, createPatientStore } = require('./patient-store');
+const { FIELD_MAP } = require('./patient-store/airtable-store');
+const { getPrivacyStore } = require('./privacy-store');
+const { getNoteStore } = require('./note-store');
+const { getAppointmentStore } = require('./appointment-store');
+const { getPaymentStore } = require('./payment-store');
+const { getDuplicateStore } = require('./duplicate-store');
+const { redactJournal } = require('./patient-store/json-store');
+const { erasePatientNotifications } = require('./notifications');
+const { getAuditStore } = require('./audit-store');
+const { logAudit } = require('./audit');
+const { revokeSubjectSessions } = require('./session-store');
+const { httpError } = require('./http-error');
+
+// Add a new version rather than editing one patients have already agreed to
+const CONSENT_VERSIONS = [
+    {
+        version: 1,
+        effectiveFrom: '2026-10-19',
+        text: 'I agree that Homa Healthcare Center (Dr. Muddu Surendra Nehru) may keep my name, ' +
+            'contact details and the health information I give here (such as age, height, weight, ' +
+            'diabetes status and test results) in its patient records, including its Airtable ' +
+            'workspace, to register me, plan my care and contact me by phone, WhatsApp, SMS or email ' +
+            'about appointments, payments and treatment. I can ask for a copy of everything the clinic ' +
+            'holds about me, or for my details to be erased, at any time.'
+    }
+];
+
+// Fields an erased record keeps: no one can be identified from them, and the
+// clinic's accounts and statistics still add up
+const KEPT_FIELDS = ['id', 'status', 'source', 'registrationDate', 'paymentStatus', 'schemaVersion',
+    'airtableId', 'consentVersion', 'consentGivenAt', 'createdAt', 'updatedAt'];
+
+function currentConsent() {
+    return CONSENT_VERSIONS[CONSENT_VERSIONS.length - 1];
+}
+
+function textHash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Throws unless the registration agreed to the consent text now in force;
+// returns the fields that go on the new patient record
+function checkConsent(body = {}) {
+    const consent = currentConsent();
+    if (body.consent !== true && body.consent !== 'true') {
+        throw httpError('Please read and accept the consent to register', 400, 'CONSENT_REQUIRED');
+    }
+    if (Number(body.consentVersion) !== consent.version) {
+        throw httpError('The consent text has changed - please read it again and accept it', 409, 'CONSENT_OUTDATED');
+    }
+    return { consentVersion: consent.version, consentGivenAt: new Date().toISOString() };
+}
+
+// Keep the consent behind a registration; request is the Express request
+async function recordConsent(patientId, request, source) {
+    const consent = currentConsent();
+    return getPrivacyStore().addConsent({
+        patient_id: patientId,
+        version: consent.version,
+        text_hash: textHash(consent.text),
+        ip: request.ip || null,
+        user_agent: request.get('User-Agent') ? request.get('User-Agent').slice(0, 255) : null,
+        source
+    });
+}
+
+async function getPatientOr404(patientId) {
+    const patient = await getPatientStore().get(patientId);
+    if (!patient || patient.erasedAt) {
+        throw httpError('Patient not found', 404, 'PATIENT_NOT_FOUND');
+    }
+    return patient;
+}
+
+// Everything held about one patient, for them to download
+async function exportPatientData(patientId) {
+    const { password, ...patient } = await getPatientOr404(patientId);
+    const consents = await getPrivacyStore().listConsents({ patient_id: patient.id });
+    return {
+        exportedAt: new Date().toISOString(),
+        patient,
+        consents: consents.map(consent => ({
+            ...consent,
+            text: (CONSENT_VERSIONS.find(v => v.version === Number(consent.version)) || {}).text || null
+        })),
+        appointments: await getAppointmentStore().list({ patient_id: patient.id }),
+        payments: await getPaymentStore().list({ patient_id: patient.id }),
+        notes: await getNoteStore().list({ patient_id: patient.id }),
+        erasureRequests: await getPrivacyStore().listErasureRequests({ patient_id: patient.id }),
+        // Who has looked at or changed the record; staff by role, not by name
+        accessLog: (await getAuditStore().list({ patient_id: patient.id })).map(entry => ({
+            at: entry.at,
+            action: entry.action,
+            by: entry.actor.type === 'staff' ? entry.actor.role : entry.actor.type,
+            fields: Object.keys(entry.changes || {})
+        }))
+    };
+}
+
+async function requestErasure(patientId, reason) {
+    const patient = await getPatientOr404(patientId);
+    const pending = await getPrivacyStore().listErasureRequests({ patient_id: patient.id, status: 'pending' });
+    if (pending.length > 0) {
+        throw httpError('An erasure request is already waiting for the clinic', 409, 'ERASURE_PENDING');
+    }
+    return getPrivacyStore().addErasureRequest({
+        patient_id: patient.id,
+        reason: reason ? String(reason).trim().slice(0, 500) || null : null
+    });
+}
+
+async function loadPendingRequest(id) {
+    const request = await getPrivacyStore().getErasureRequest(id);
+    if (!request) {
+        throw httpError('Erasure request not found', 404, 'NOT_FOUND');
+    }
+    if (request.status !== 'pending') {
+        throw httpError(`Erasure request is already ${request.status}`, 409, 'ALREADY_RESOLVED');
+    }
+    return request;
+}
+
+// Changes that blank every identifying field of a record
+function anonymizedChanges(patient) {
+    const changes = {};
+    Object.keys(patient).filter(field => !KEPT_FIELDS.includes(field)).forEach(field => {
+        changes[field] = null;
+    });
+    return {
+        ...changes,
+        name: 'Erased patient',
+        // SQL keeps email unique and required
+        email: `erased-${patient.id}@erased.invalid`,
+        status: 'inactive',
+        erasedAt: new Date().toISOString()
+    };
+}
+
+// A kept copy of a record (journal entry, merge log) with nothing identifying left
+function erasedCopy(record) {
+    return { ...record, ...anonymizedChanges(record) };
+}
+
+// Anonymize the Airtable copy of a record that lives in the local store
+async function eraseInAirtable(patient, changes) {
+    if (!patient.airtableId) {
+        return 'not linked';
+    }
+    if (!(process.env.AIRTABLE_BASE_ID && process.env.AIRTABLE_TABLE_ID && process.env.AIRTABLE_TOKEN)) {
+        throw httpError('The patient is linked to Airtable but Airtable is not configured', 503, 'AIRTABLE_NOT_CONFIGURED');
+    }
+    // Only the fields Airtable has a column for; the others never reached it
+    const fields = Object.fromEntries(Object.entries(changes).filter(([field]) => FIELD_MAP[field]));
+    const updated = await createPatientStore({ type: 'airtable' }).update(patient.airtableId, fields);
+    return updated ? 'anonymized' : 'record no longer in Airtable';
+}
+
+// Carry out a pending request. context is the admin's auditContext(req). When
+// Airtable cannot be reached the request stays pending so it can be run again.
+async function completeErasure(requestId, context) {
+    const request = await loadPendingRequest(requestId);
+    const patient = await getPatientOr404(request.patient_id);
+    const changes = anonymizedChanges(patient);
+
+    // With Airtable as the patient store the update below is the Airtable one
+    let airtable = 'anonymized';
+    try {
+        if (getPatientStore().type !== 'airtable') {
+            airtable = await eraseInAirtable(patient, changes);
+        }
+    } catch (error) {
+        if (error.status) {
+            throw error;
+        }
+        throw httpError(`Airtable could not be updated, nothing was erased: ${error.message}`, 503, 'AIRTABLE_UNAVAILABLE');
+    }
+    await getPatientStore().update(patient.id, changes);
+
+    const notes = await getNoteStore().list({ patient_id: patient.id });
+    for (const note of notes) {
+        await getNoteStore().remove(note.id);
+    }
+    // Records merged into this one belonged to the same person
+    const patientIds = [patient.id, ...(Array.isArray(patient.mergedFrom) ? patient.mergedFrom : [])].map(String);
+    const resolution = {
+        airtable,
+        notes_deleted: notes.length,
+        consents_withdrawn: await getPrivacyStore().withdrawConsents(patient.id),
+        sessions_ended: revokeSubjectSessions({ type: 'patient', id: patient.id }),
+        journal_entries_redacted: getPatientStore().type === 'json' ? await redactJournal(patientIds, erasedCopy) : 0,
+        merges_redacted: await getDuplicateStore().redactMerges(patientIds, erasedCopy),
+        notifications_erased: await erasePatientNotifications(patientIds, [patient.phone, patient.email])
+    };
+    await logAudit(context, {
+        action: 'patient.erase',
+        patientIds: [patient.id],
+        changes: Object.fromEntries(Object.keys(changes).map(field => [field, { from: '[erased]', to: null }])),
+        details: { erasure_request_id: request.id, ...resolution }
+    });
+    return getPrivacyStore().updateErasureRequest(request.id, {
+        status: 'completed',
+        resolved_at: new Date().toISOString(),
+        resolved_by: context.actor.email,
+        resolution
+    });
+}
+
+// E.g. records the clinic must keep for an ongoing treatment; the reason is shown to the patient
+async function rejectErasure(requestId, reason, context) {
+    const request = await loadPendingRequest(requestId);
+    if (!reason || !String(reason).trim()) {
+        throw httpError('Give the patient a reason', 400, 'VALIDATION_ERROR');
+    }
+    await logAudit(context, {
+        action: 'patient.erase-rejected',
+        patientIds: [request.patient_id],
+        details: { erasure_request_id: request.id, reason: String(reason).trim() }
+    });
+    return getPrivacyStore().updateErasureRequest(request.id, {
+        status: 'rejected',
+        resolved_at: new Date().toISOString(),
+        resolved_by: context.actor.email,
+        resolution: { reason: String(reason).trim() }
+    });
+}
+
+module.exports = {
+    CONSENT_VERSIONS,
+    currentConsent,
+    checkConsent,
+    recordConsent,
+    exportPatientData,
+    requestErasure,
+    completeErasure,
+    rejectErasure
+};
@@ -0,0 +1,157 @@
+// lib/scoring.js - Patient Score and Group (A/B/C) from intake data
+//
+// A patient's score is the sum of the points of every rule they match. Rules
+// look at the intake fields (age, BMI, diabetes status, lab values) and at how
+// engaged the patient is (messages, payments). The score then picks the group:
+//   score >= groups.A -> 'A', score >= groups.B -> 'B', otherwise 'C'
+// unless staff have put the patient in a group by hand (groupOverride).
+//
+// A rule is { id, label, field, points } plus a condition on the field value:
+//   min / max   number range, min inclusive and max exclusive
+//   in          list of accepted values (compared case-insensitively)
+// The whole rule set can be replaced with a JSON file named by
+// SCORING_RULES_FILE ({ version, groups, rules }, same shape as DEFAULT_RULES).
+//
+// The patient store recomputes score and group on every create and update, so
+// they always follow the record; explainScore() shows which rules fired. The
+// intake fields themselves are validated by lib/patient-schema.js.
+const fs = require('fs');
+
+const GROUPS = ['A', 'B', 'C'];
+
+// BMI bands use the Asian cut-offs (overweight from 23, obese from 27.5)
+const DEFAULT_RULES = {
+    version: 1,
+    groups: { A: 60, B: 30 },
+    rules: [
+        { id: 'age-60-plus', label: 'Age 60 or older', field: 'age', min: 60, points: 15 },
+        { id: 'age-40-59', label: 'Age 40 to 59', field: 'age', min: 40, max: 60, points: 10 },
+        { id: 'age-25-39', label: 'Age 25 to 39', field: 'age', min: 25, max: 40, points: 5 },
+        { id: 'bmi-obese', label: 'BMI 27.5 or more', field: 'bmi', min: 27.5, points: 15 },
+        { id: 'bmi-overweight', label: 'BMI 23 to 27.5', field: 'bmi', min: 23, max: 27.5, points: 10 },
+        { id: 'diabetes-type2', label: 'Type 2 diabetes', field: 'diabetesStatus', in: ['type2'], points: 20 },
+        { id: 'diabetes-prediabetes', label: 'Prediabetes', field: 'diabetesStatus', in: ['prediabetes'], points: 15 },
+        { id: 'diabetes-other', label: 'Type 1 or gestational diabetes', field: 'diabetesStatus', in: ['type1', 'gestational'], points: 10 },
+        { id: 'hba1c-9-plus', label: 'HbA1c 9% or higher', field: 'hba1c', min: 9, points: 20 },
+        { id: 'hba1c-7-9', label: 'HbA1c 7% to 9%', field: 'hba1c', min: 7, max: 9, points: 15 },
+        { id: 'hba1c-5.7-7', label: 'HbA1c 5.7% to 7%', field: 'hba1c', min: 5.7, max: 7, points: 10 },
+        { id: 'fasting-glucose-126-plus', label: 'Fasting glucose 126 mg/dL or higher', field: 'fastingGlucose', min: 126, points: 10 },
+        { id: 'fasting-glucose-100-126', label: 'Fasting glucose 100 to 126 mg/dL', field: 'fastingGlucose', min: 100, max: 126, points: 5 },
+        { id: 'messages-3-plus', label: 'Sent 3 or more messages', field: 'messageCount', min: 3, points: 10 },
+        { id: 'messages-1-2', label: 'Sent 1 or 2 messages', field: 'messageCount', min: 1, max: 3, points: 5 },
+        { id: 'payment-paid', label: 'Consultation paid', field: 'paymentStatus', in: ['Paid'], points: 10 },
+        { id: 'payment-pending', label: 'Payment request open', field: 'paymentStatus', in: ['Pending'], points: 5 }
+    ]
+};
+
+function validateRules(config) {
+    if (!config || !Array.isArray(config.rules) || !config.groups ||
+        !Number.isFinite(config.groups.A) || !Number.isFinite(config.groups.B) || config.groups.A < config.groups.B) {
+        throw new Error('Scoring rules need { groups: { A, B } } with A >= B and a rules list');
+    }
+    const ids = new Set();
+    config.rules.forEach(rule => {
+        if (!rule.id || ids.has(rule.id) || !rule.field || !Number.isFinite(rule.points) ||
+            (rule.min === undefined && rule.max === undefined && !Array.isArray(rule.in))) {
+            throw new Error(`Invalid scoring rule ${JSON.stringify(rule)}`);
+        }
+        ids.add(rule.id);
+    });
+    return config;
+}
+
+let cachedRules;
+
+function getRules() {
+    if (!cachedRules) {
+        const file = process.env.SCORING_RULES_FILE;
+        cachedRules = validateRules(file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_RULES);
+    }
+    return cachedRules;
+}
+
+// Forget the loaded rules so the next score reads SCORING_RULES_FILE again
+function reloadRules() {
+    cachedRules = null;
+    return getRules();
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Values the rules are evaluated against; BMI is worked out from height and
+// weight when it was not entered
+function scoringInputs(patient) {
+    const inputs = { ...patient };
+    ['age', 'bmi', 'hba1c', 'fastingGlucose', 'messageCount'].forEach(field => {
+        inputs[field] = toNumber(patient[field]);
+    });
+    const height = toNumber(patient.heightCm);
+    const weight = toNumber(patient.weightKg);
+    if (inputs.bmi === null && height > 0 && weight > 0) {
+        inputs.bmi = Math.round(weight / (height / 100) ** 2 * 10) / 10;
+    }
+    if (inputs.messageCount === null) {
+        inputs.messageCount = 0;
+    }
+    return inputs;
+}
+
+function ruleMatches(rule, value) {
+    if (value === null || value === undefined || value === '') {
+        return false;
+    }
+    if (Array.isArray(rule.in)) {
+        return rule.in.some(accepted => String(accepted).toLowerCase() === String(value).toLowerCase());
+    }
+    return (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value < rule.max);
+}
+
+function groupFor(score, groups) {
+    if (score >= groups.A) return 'A';
+    if (score >= groups.B) return 'B';
+    return 'C';
+}
+
+// Full breakdown: matched rules with the value that matched them, and the
+// rule fields the patient has no data for
+function explainScore(patient, config = getRules()) {
+    const inputs = scoringInputs(patient);
+    const matched = config.rules
+        .filter(rule => ruleMatches(rule, inputs[rule.field]))
+        .map(rule => ({ id: rule.id, label: rule.label, field: rule.field, value: inputs[rule.field], points: rule.points }));
+    const score = matched.reduce((sum, rule) => sum + rule.points, 0);
+    const missing = [...new Set(config.rules.map(rule => rule.field))]
+        .filter(field => inputs[field] === null || inputs[field] === undefined || inputs[field] === '');
+    const computedGroup = groupFor(score, config.groups);
+    return {
+        score,
+        group: GROUPS.includes(patient.groupOverride) ? patient.groupOverride : computedGroup,
+        computedGroup,
+        groupOverride: GROUPS.includes(patient.groupOverride) ? patient.groupOverride : null,
+        rulesVersion: config.version,
+        thresholds: config.groups,
+        matched,
+        missing
+    };
+}
+
+// Just the fields that are saved on the patient
+function scorePatient(patient, config = getRules()) {
+    const { score, group } = explainScore(patient, config);
+    return { score, group };
+}
+
+module.exports = {
+    GROUPS,
+    DEFAULT_RULES,
+    getRules,
+    reloadRules,
+    explainScore,
+    scorePatient
+};
@@ -0,0 +1,88 @@
+// lib/session-store.js - Login sessions and their refresh tokens (data/sessions.json)
+const crypto = require('crypto');
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+
+const sessionsFile = process.env.SESSIONS_FILE || path.join(dataDir, 'sessions.json');
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Only a hash of each refresh token is stored
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+function expiryDate() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function readSessions() {
+    return readJsonFile(sessionsFile, []);
+}
+
+function isUsable(session) {
+    return session && !session.revokedAt && new Date(session.expiresAt) > new Date();
+}
+
+// Start a session for a user, e.g. { type: 'patient', id: 'PAT...' }
+function createSession(subject) {
+    const sessions = readSessions();
+    const refreshToken = newRefreshToken();
+    const session = {
+        id: crypto.randomUUID(),
+        subject,
+        tokenHash: hashToken(refreshToken),
+        createdAt: new Date().toISOString(),
+        expiresAt: expiryDate(),
+        revokedAt: null
+    };
+    // Drop sessions that can no longer be used while we are writing anyway
+    writeJsonFile(sessionsFile, sessions.filter(isUsable).concat(session));
+    return { session, refreshToken };
+}
+
+// Exchange a refresh token for a new one; the old token stops working
+function rotateSession(refreshToken) {
+    const sessions = readSessions();
+    const session = sessions.find(s => s.tokenHash === hashToken(String(refreshToken)));
+    if (!isUsable(session)) {
+        return null;
+    }
+    const nextToken = newRefreshToken();
+    session.tokenHash = hashToken(nextToken);
+    session.expiresAt = expiryDate();
+    writeJsonFile(sessionsFile, sessions);
+    return { session, refreshToken: nextToken };
+}
+
+function revokeSession(sessionId) {
+    const sessions = readSessions();
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session || session.revokedAt) {
+        return false;
+    }
+    session.revokedAt = new Date().toISOString();
+    writeJsonFile(sessionsFile, sessions);
+    return true;
+}
+
+// End every session of one user, e.g. after their account is erased
+function revokeSubjectSessions(subject) {
+    const sessions = readSessions();
+    const open = sessions.filter(s => !s.revokedAt && s.subject && s.subject.type === subject.type &&
+        String(s.subject.id) === String(subject.id));
+    open.forEach(s => { s.revokedAt = new Date().toISOString(); });
+    if (open.length > 0) {
+        writeJsonFile(sessionsFile, sessions);
+    }
+    return open.length;
+}
+
+function isSessionActive(sessionId) {
+    return isUsable(readSessions().find(s => s.id === sessionId));
+}
+
+module.exports = { createSession, rotateSession, revokeSession, revokeSubjectSessions, isSessionActive };
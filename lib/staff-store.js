@@ -0,0 +1,147 @@
+// lib/staff-store.js - Staff accounts (admin, doctor, receptionist), JSON file or MySQL users table
+//
+// Same idea as lib/patient-store: STAFF_STORE picks the backend (json | sql),
+// and every adapter exposes create, get, findByEmail, list and update.
+const crypto = require('crypto');
+const path = require('path');
+const { dataDir, readJsonFile, writeJsonFile } = require('./json-file');
+
+const STAFF_ROLES = ['admin', 'doctor', 'receptionist'];
+
+function createJsonStaffStore(options = {}) {
+    const staffFile = options.file || process.env.STAFF_FILE || path.join(dataDir, 'staff.json');
+
+    function readStaff() {
+        return readJsonFile(staffFile, []);
+    }
+
+    async function create(user) {
+        const staff = readStaff();
+        if (staff.some(s => s.email === user.email)) {
+            const error = new Error('Email already exists');
+            error.code = 'ER_DUP_ENTRY';
+            throw error;
+        }
+        const newUser = {
+            id: crypto.randomUUID(),
+            email: user.email,
+            password: user.password,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            phone: user.phone || '',
+            role: user.role,
+            created_at: new Date().toISOString()
+        };
+        staff.push(newUser);
+        writeJsonFile(staffFile, staff);
+        return newUser;
+    }
+
+    async function get(id) {
+        return readStaff().find(s => String(s.id) === String(id)) || null;
+    }
+
+    async function findByEmail(email) {
+        return readStaff().find(s => s.email === email) || null;
+    }
+
+    async function list(filter = {}) {
+        return readStaff().filter(s => !filter.role || s.role === filter.role);
+    }
+
+    async function update(id, changes) {
+        const staff = readStaff();
+        const user = staff.find(s => String(s.id) === String(id));
+        if (!user) {
+            return null;
+        }
+        Object.assign(user, changes, { id: user.id });
+        writeJsonFile(staffFile, staff);
+        return user;
+    }
+
+    return { type: 'json', create, get, findByEmail, list, update };
+}
+
+function createSqlStaffStore(options = {}) {
+    const { getPool } = require('./database');
+    const pool = () => options.pool || getPool();
+    const roleList = STAFF_ROLES.map(role => `"${role}"`).join(', ');
+
+    async function get(id) {
+        const [rows] = await pool().execute(`SELECT * FROM users WHERE id = ? AND role IN (${roleList})`, [id]);
+        return rows[0] || null;
+    }
+
+    async function create(user) {
+        const [result] = await pool().execute(
+            'INSERT INTO users (email, password, first_name, last_name, phone, role) VALUES (?, ?, ?, ?, ?, ?)',
+            [user.email, user.password, user.first_name, user.last_name, user.phone || null, user.role]
+        );
+        return get(result.insertId);
+    }
+
+    async function findByEmail(email) {
+        const [rows] = await pool().execute(`SELECT * FROM users WHERE email = ? AND role IN (${roleList})`, [email]);
+        return rows[0] || null;
+    }
+
+    async function list(filter = {}) {
+        if (filter.role) {
+            const [rows] = await pool().execute('SELECT * FROM users WHERE role = ?', [filter.role]);
+            return rows;
+        }
+        const [rows] = await pool().execute(`SELECT * FROM users WHERE role IN (${roleList})`);
+        return rows;
+    }
+
+    async function update(id, changes) {
+        const existing = await get(id);
+        if (!existing) {
+            return null;
+        }
+        const merged = { ...existing, ...changes };
+        await pool().execute(
+            'UPDATE users SET email = ?, password = ?, first_name = ?, last_name = ?, phone = ?, role = ? WHERE id = ?',
+            [merged.email, merged.password, merged.first_name, merged.last_name, merged.phone || null, merged.role, id]
+        );
+        return get(id);
+    }
+
+    return { type: 'sql', create, get, findByEmail, list, update };
+}
+
+const adapters = {
+    json: createJsonStaffStore,
+    sql: createSqlStaffStore
+};
+
+function createStaffStore(options = {}) {
+    const type = options.type || (process.env.STAFF_STORE || 'json').toLowerCase();
+    if (!adapters[type]) {
+        throw new Error(`Unknown staff store "${type}" - use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+    return adapters[type](options);
+}
+
+let staffStore;
+
+function getStaffStore() {
+    if (!staffStore) {
+        staffStore = createStaffStore();
+    }
+    return staffStore;
+}
+
+function configureStaffStore(options = {}) {
+    staffStore = createStaffStore(options);
+    return staffStore;
+}
+
+// Staff record without the password hash
+function publicStaff(user) {
+    const { password, ...rest } = user;
+    return rest;
+}
+
+module.exports = { STAFF_ROLES, createStaffStore, getStaffStore, configureStaffStore, publicStaff };
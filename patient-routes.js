@@ -1,49 +1,29 @@
 // patient-routes.js - Safe patient registration routes
+//
+// Every route here that shows or changes patient data adds an entry to the
+// audit log (lib/audit.js); edits record theirs in lib/patients.js.
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
+const { getPatientStore } = require('./lib/patient-store');
+const { ACCESS_TOKEN_TTL, hashPassword, verifyPassword, signAccessToken, authenticateToken } = require('./lib/auth');
+const { requirePermission } = require('./lib/permissions');
+const { createSession, rotateSession, revokeSession } = require('./lib/session-store');
+const { flagDuplicates } = require('./lib/duplicates');
+const { notify } = require('./lib/notifications');
+const { explainScore, reloadRules, scorePatient } = require('./lib/scoring');
+const { validatePatient, newPatientRecord, validationErrorBody } = require('./lib/patient-schema');
+const { withPhoneDetails } = require('./lib/phone');
+const { searchPatients } = require('./lib/patient-search');
+const {
+    getPatient, updatePatient, deletePatient, patientStatus, allowedTransitions, patientVersion,
+    addNote, bulkSetStatus, bulkMessage
+} = require('./lib/patients');
+const { getNoteStore } = require('./lib/note-store');
+const { auditRequest, auditContext, diffRecords, redactQuery } = require('./lib/audit');
+const { checkConsent, recordConsent } = require('./lib/privacy');
+const { parsePatientQuery } = require('./lib/patient-query');
+const { parseExportOptions, exportPatients } = require('./lib/patient-export');
 const router = express.Router();
-console.log('🔔 TELEGRAM CODE REACHED!');
-// Create patients directory if it doesn't exist
-const patientsDir = path.join(__dirname, 'data');
-const patientsFile = path.join(patientsDir, 'patients.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(patientsDir)) {
-    fs.mkdirSync(patientsDir, { recursive: true });
-}
-
-// Ensure patients.json exists
-if (!fs.existsSync(patientsFile)) {
-    fs.writeFileSync(patientsFile, JSON.stringify([], null, 2));
-}
-
-// Helper function to read patients from file
-function readPatients() {
-    try {
-        const data = fs.readFileSync(patientsFile, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.log('Error reading patients file, creating new one:', error.message);
-        return [];
-    }
-}
-
-// Helper function to write patients to file
-function writePatients(patients) {
-    try {
-        fs.writeFileSync(patientsFile, JSON.stringify(patients, null, 2));
-        return true;
-    } catch (error) {
-        console.error('Error writing patients file:', error.message);
-        return false;
-    }
-}
-
-// Helper function to generate simple ID
-function generatePatientId() {
-    return 'PAT' + Date.now() + Math.random().toString(36).substr(2, 5).toUpperCase();
-}
 
 // Serve patient registration page
 router.get('/register', (req, res) => {
@@ -51,110 +31,213 @@ router.get('/register', (req, res) => {
 });
 
 // Handle patient registration
-router.post('/api/register-patient', (req, res) => {
+router.post('/api/register-patient', async (req, res) => {
     try {
-        const { name, email, phone, password } = req.body;
+        // Name, email, phone and password plus optional intake data (lib/patient-schema.js)
+        let value;
+        let consent;
+        try {
+            value = validatePatient(req.body, { password: true });
+            // The consent shown on the form (GET /api/consent) - see lib/privacy.js
+            consent = checkConsent(req.body);
+        } catch (error) {
+            if (error.code !== 'VALIDATION_ERROR') {
+                return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+            }
+            return res.status(400).json(validationErrorBody(error));
+        }
+
+        const patientStore = getPatientStore();
 
-        // Basic validation
-        if (!name || !email || !phone || !password) {
+        // Check if email already exists
+        const existingPatients = await patientStore.search({ email: value.email });
+        if (existingPatients.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'All fields are required'
+                message: 'Email already registered'
             });
         }
 
-        // Email validation (simple)
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({
+        // Create new patient record; the store adds score and group
+        const newPatient = newPatientRecord({ ...value, ...consent, password: await hashPassword(value.password) }, 'Patient Portal');
+
+        // Save to the configured patient store
+        let savedPatient;
+        try {
+            savedPatient = await patientStore.create(newPatient);
+        } catch (error) {
+            // Another registration with this email got in after the check above
+            if (error.code === 'EMAIL_TAKEN') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Email already registered'
+                });
+            }
+            console.error('Error saving patient:', error.message);
+            return res.status(500).json({
                 success: false,
-                message: 'Please enter a valid email address'
+                message: 'Failed to save registration'
             });
         }
 
-        // Read existing patients
-        let patients = readPatients();
+        console.log(`New patient registered: ${savedPatient.name} (${savedPatient.email})`);
+        await recordConsent(savedPatient.id, req, 'Patient Portal');
+        await auditRequest(req, 'patient.create', {
+            patientIds: [savedPatient.id],
+            changes: diffRecords({}, savedPatient),
+            details: { source: 'Patient Portal' }
+        });
 
-        // Check if email already exists
-        const existingPatient = patients.find(patient => patient.email === email);
-        if (existingPatient) {
+        // Queue possible duplicates for admin review; registration goes ahead either way
+        flagDuplicates(savedPatient).catch(error => console.error('Duplicate check failed:', error.message));
+
+        // Tell Dr. Nehru and welcome the patient (delivered and retried in the background)
+        notify('patient.registered', { patient: savedPatient }).catch(error => console.error('Notification failed:', error.message));
+
+        // Don't send password back in response
+        const { password: _, ...patientResponse } = savedPatient;
+
+        res.json({
+            success: true,
+            message: 'Registration successful',
+            patient: patientResponse
+        });
+
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Access token for a patient login session
+function patientAccessToken(patient, session) {
+    return signAccessToken({ patientId: patient.id, email: patient.email, role: 'patient', sid: session.id });
+}
+
+// Patient login - returns a short-lived access token and a refresh token
+router.post('/api/patient-login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
             return res.status(400).json({
                 success: false,
-                message: 'Email already registered'
+                message: 'Email and password are required'
             });
         }
 
-        // Create new patient record
-        const newPatient = {
-            id: generatePatientId(),
-            name: name.trim(),
-            email: email.toLowerCase().trim(),
-            phone: phone.trim(),
-            password: password, // In production, you'd hash this
-            registrationDate: new Date().toISOString(),
-            status: 'active'
-        };
-
-        // Add to patients array
-        patients.push(newPatient);
-// Send Telegram notification to Dr. Nehru
-try {
-    const telegramMessage = `🏥 NEW PATIENT REGISTERED
-
-👤 Name: ${name}
-📧 Email: ${email}  
-📞 Phone: ${phone}
-⏰ Time: ${new Date().toLocaleString()}
-
-Dr. Nehru - New patient registration received.`;
-
-    const telegramUrl = `https://api.telegram.org/bot8164598233:AAE-UUyUyBbdj0BsCCyAWdUTx85kUjc4adA/sendMessage?chat_id=5892544777&text=${encodeURIComponent(telegramMessage)}`;
-    
-    fetch(telegramUrl).catch(err => console.log('Telegram failed:', err));
-    console.log('✅ Telegram notification sent!');
-} catch (error) {
-    console.log('Telegram error:', error);
-}
-        // Save to file
-        if (writePatients(patients)) {
-            console.log(`New patient registered: ${newPatient.name} (${newPatient.email})`);
-            
-            // Don't send password back in response
-            const { password: _, ...patientResponse } = newPatient;
-            
-            res.json({
-                success: true,
-                message: 'Registration successful',
-                patient: patientResponse
+        const [patient] = await getPatientStore().search({ email: String(email).toLowerCase().trim() });
+        if (!patient || !(await verifyPassword(password, patient.password))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        const { session, refreshToken } = createSession({ type: 'patient', id: patient.id });
+        const { password: _, ...patientResponse } = patient;
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            token: patientAccessToken(patient, session),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            patient: patientResponse
+        });
+    } catch (error) {
+        console.error('Patient login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed'
+        });
+    }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/api/patient-refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        const rotated = refreshToken && rotateSession(refreshToken);
+        if (!rotated || rotated.session.subject.type !== 'patient') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
             });
-        } else {
-            res.status(500).json({
+        }
+
+        const patient = await getPatientStore().get(rotated.session.subject.id);
+        if (!patient) {
+            revokeSession(rotated.session.id);
+            return res.status(401).json({
                 success: false,
-                message: 'Failed to save registration'
+                message: 'Invalid or expired refresh token'
             });
         }
 
+        res.json({
+            success: true,
+            token: patientAccessToken(patient, rotated.session),
+            refreshToken: rotated.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL
+        });
     } catch (error) {
-        console.error('Registration error:', error);
+        console.error('Token refresh error:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error'
+            message: 'Token refresh failed'
         });
     }
 });
 
-// Get all patients (for admin use - optional)
-router.get('/api/patients', (req, res) => {
+// Patient logout - ends the session behind the access token
+router.post('/api/patient-logout', authenticateToken, (req, res) => {
+    if (!req.user.sid) {
+        return res.status(400).json({
+            success: false,
+            message: 'Not a patient session'
+        });
+    }
+    revokeSession(req.user.sid);
+    res.json({
+        success: true,
+        message: 'Logged out'
+    });
+});
+
+// One page of patients with filters, sorting and totals (staff only) - see lib/patient-query.js
+router.get('/api/patients', authenticateToken, requirePermission('patients:list'), async (req, res) => {
     try {
-        const patients = readPatients();
+        const query = parsePatientQuery(req.query);
+        const result = await getPatientStore().query(query);
         // Remove passwords from response
-        const safePatients = patients.map(({ password, ...patient }) => patient);
+        const safePatients = result.patients.map(({ password, ...patient }) => withPhoneDetails(patient));
+        await auditRequest(req, 'patient.list', {
+            patientIds: safePatients.map(patient => patient.id),
+            details: { query: redactQuery(req.query), total: result.total }
+        });
         res.json({
             success: true,
             patients: safePatients,
-            count: safePatients.length
+            count: safePatients.length,
+            total: result.total,
+            page: result.page,
+            pages: result.pages,
+            limit: result.limit,
+            nextCursor: result.nextCursor,
+            sort: query.sort,
+            order: query.order
         });
     } catch (error) {
+        if (error.code === 'INVALID_QUERY') {
+            return res.status(400).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
         console.error('Error fetching patients:', error);
         res.status(500).json({
             success: false,
@@ -163,8 +246,24 @@ router.get('/api/patients', (req, res) => {
     }
 });
 
-// Search patients by name or email (for admin use - optional)
-router.get('/api/patients/search', (req, res) => {
+// The filtered list as a CSV, Excel or JSON file (staff only) - see lib/patient-export.js
+router.get('/api/patients/export', authenticateToken, requirePermission('patients:export'), async (req, res) => {
+    let options;
+    let result;
+    try {
+        options = parseExportOptions(req.query);
+        result = await exportPatients(res, options);
+    } catch (error) {
+        return sendPatientError(res, error, 'Failed to export patients');
+    }
+    await auditRequest(req, 'patient.export', {
+        patientIds: result.patientIds,
+        details: { format: options.format, fields: options.fields, query: redactQuery(req.query), count: result.patientIds.length, complete: result.complete }
+    });
+});
+
+// Ranked, typo-tolerant search by name, phone, email or patient ID (staff only) - see lib/patient-search.js
+router.get('/api/patients/search', authenticateToken, requirePermission('patients:search'), async (req, res) => {
     try {
         const { q } = req.query;
         if (!q) {
@@ -174,16 +273,18 @@ router.get('/api/patients/search', (req, res) => {
             });
         }
 
-        const patients = readPatients();
-        const searchTerm = q.toLowerCase();
-        
-        const results = patients.filter(patient => 
-            patient.name.toLowerCase().includes(searchTerm) ||
-            patient.email.toLowerCase().includes(searchTerm)
-        );
+        const results = await searchPatients(q, { limit: req.query.limit });
+        await auditRequest(req, 'patient.search', {
+            patientIds: results.map(result => result.patient.id),
+            details: { query: redactQuery(req.query), matched: [...new Set(results.flatMap(result => result.matched))] }
+        });
 
         // Remove passwords from response
-        const safeResults = results.map(({ password, ...patient }) => patient);
+        const safeResults = results.map(({ patient: { password, ...patient }, score, matched }) => ({
+            ...withPhoneDetails(patient),
+            searchScore: score,
+            matchedOn: matched
+        }));
 
         res.json({
             success: true,
@@ -199,6 +300,217 @@ router.get('/api/patients/search', (req, res) => {
         });
     }
 });
+// Why a patient has their score and group under the current rules (staff only)
+router.get('/api/patients/:id/score', authenticateToken, requirePermission('patients:list'), async (req, res) => {
+    try {
+        const patient = await getPatientStore().get(req.params.id);
+        if (!patient) {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+        const explanation = explainScore(patient);
+        await auditRequest(req, 'patient.score', { patientIds: [patient.id] });
+        res.json({
+            success: true,
+            patientId: patient.id,
+            stored: { score: patient.score, group: patient.group },
+            ...explanation
+        });
+    } catch (error) {
+        console.error('Score error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to explain score'
+        });
+    }
+});
+
+// Reload SCORING_RULES_FILE and recompute every patient whose score or group changed (admin only)
+router.post('/api/patients/rescore', authenticateToken, requirePermission('admin:system'), async (req, res) => {
+    try {
+        reloadRules();
+        const patientStore = getPatientStore();
+        const patients = await patientStore.list();
+        const changed = [];
+        for (const patient of patients) {
+            const result = scorePatient(patient);
+            if (result.score !== patient.score || result.group !== patient.group) {
+                // update() recomputes score and group from the record
+                await patientStore.update(patient.id, {});
+                changed.push({ id: patient.id, name: patient.name, from: { score: patient.score, group: patient.group }, to: result });
+            }
+        }
+        await auditRequest(req, 'patient.rescore', {
+            patientIds: changed.map(patient => patient.id),
+            details: { checked: patients.length, changed: changed.map(({ id, from, to }) => ({ id, from, to })) }
+        });
+        res.json({
+            success: true,
+            checked: patients.length,
+            changed
+        });
+    } catch (error) {
+        console.error('Rescore error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to recompute scores'
+        });
+    }
+});
+
+// Answer an error from lib/patients.js with its own status, anything else with 500
+function sendPatientError(res, error, fallbackMessage) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code,
+            ...(error.details ? { details: error.details } : {})
+        });
+    }
+    console.error(`${fallbackMessage}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+}
+
+// A patient as sent to staff, with its version in the ETag header
+function sendPatient(res, patient, extra = {}) {
+    const { password, ...safePatient } = patient;
+    res.set('ETag', patientVersion(patient));
+    res.json({
+        success: true,
+        patient: {
+            ...withPhoneDetails(safePatient),
+            status: patientStatus(patient),
+            allowedTransitions: allowedTransitions(patient)
+        },
+        ...extra
+    });
+}
+
+// One patient (staff only)
+router.get('/api/patients/:id', authenticateToken, requirePermission('patients:list'), async (req, res) => {
+    try {
+        const patient = await getPatient(req.params.id);
+        await auditRequest(req, 'patient.view', { patientIds: [patient.id] });
+        sendPatient(res, patient);
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to fetch patient');
+    }
+});
+
+// Replace the editable fields (name, phone, email, intake data, status); send
+// If-Match with the ETag from the last read to avoid overwriting someone else
+router.put('/api/patients/:id', authenticateToken, requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const patient = await updatePatient(req.params.id, req.body, {
+            replace: true,
+            ifMatch: req.get('If-Match'),
+            audit: auditContext(req)
+        });
+        sendPatient(res, patient);
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to update patient');
+    }
+});
+
+// Change some fields, e.g. { status: 'contacted' }
+router.patch('/api/patients/:id', authenticateToken, requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const patient = await updatePatient(req.params.id, req.body, { ifMatch: req.get('If-Match'), audit: auditContext(req) });
+        sendPatient(res, patient);
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to update patient');
+    }
+});
+
+router.delete('/api/patients/:id', authenticateToken, requirePermission('patients:delete'), async (req, res) => {
+    try {
+        const patient = await deletePatient(req.params.id, { ifMatch: req.get('If-Match'), audit: auditContext(req) });
+        res.json({
+            success: true,
+            message: `Patient ${patient.name || patient.id} deleted`
+        });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to delete patient');
+    }
+});
+
+// Staff notes on a patient, newest first
+router.get('/api/patients/:id/notes', authenticateToken, requirePermission('patients:list'), async (req, res) => {
+    try {
+        const patient = await getPatient(req.params.id);
+        const notes = await getNoteStore().list({ patient_id: patient.id });
+        await auditRequest(req, 'patient.notes', { patientIds: [patient.id] });
+        res.json({ success: true, notes, count: notes.length });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to fetch notes');
+    }
+});
+
+// { text } - signed with the staff member's email
+router.post('/api/patients/:id/notes', authenticateToken, requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const note = await addNote(req.params.id, req.body.text, req.user.email, { audit: auditContext(req) });
+        res.status(201).json({ success: true, note });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to save note');
+    }
+});
+
+router.delete('/api/patients/:id/notes/:noteId', authenticateToken, requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const patient = await getPatient(req.params.id);
+        const notes = await getNoteStore().list({ patient_id: patient.id });
+        const note = notes.find(n => String(n.id) === req.params.noteId);
+        if (!note || !await getNoteStore().remove(note.id)) {
+            return res.status(404).json({ success: false, message: 'Note not found', code: 'NOTE_NOT_FOUND' });
+        }
+        await auditRequest(req, 'patient.note-delete', {
+            patientIds: [patient.id],
+            changes: diffRecords({ note: note.text }, {}),
+            details: { note_id: note.id }
+        });
+        res.json({ success: true, message: 'Note deleted' });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to delete note');
+    }
+});
+
+// Bulk actions from the dashboard: { ids, status } and { ids, text }. Each
+// patient gets its own result; one that cannot move does not stop the others.
+router.post('/api/patients/bulk/status', authenticateToken, requirePermission('patients:edit'), async (req, res) => {
+    try {
+        const results = await bulkSetStatus(req.body.ids, req.body.status, { audit: auditContext(req) });
+        res.json({
+            success: true,
+            updated: results.filter(result => result.success).length,
+            failed: results.filter(result => !result.success).length,
+            results
+        });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to update patients');
+    }
+});
+
+router.post('/api/patients/bulk/message', authenticateToken, requirePermission('patients:message'), async (req, res) => {
+    try {
+        const results = await bulkMessage(req.body.ids, req.body.text, { audit: auditContext(req) });
+        res.json({
+            success: true,
+            queued: results.filter(result => result.success).length,
+            skipped: results.filter(result => !result.success).length,
+            results
+        });
+    } catch (error) {
+        sendPatientError(res, error, 'Failed to message patients');
+    }
+});
+
 router.get('/test', function(req, res) {
     res.send('Hello World - Test Route Works!');
 });
@@ -0,0 +1,165 @@
+// payment-routes.js - UPI payment requests, QR codes and staff confirmation
+const express = require('express');
+const { authenticateToken } = require('./lib/auth');
+const { hasPermission, isPatientSelf, requirePermission } = require('./lib/permissions');
+const { PAYMENT_STATUSES, getPaymentStore } = require('./lib/payment-store');
+const { withPaymentLinks, paymentQrPng, createPaymentRequest, confirmPayment, cancelPayment } = require('./lib/payments');
+const { sendError } = require('./lib/http-error');
+const router = express.Router();
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Load the payment and check the caller is staff or the patient it belongs to
+async function loadPayment(req, res) {
+    const payment = await getPaymentStore().get(req.params.id);
+    if (!payment) {
+        res.status(404).json({ error: 'Payment not found' });
+        return null;
+    }
+    if (!hasPermission(req.user.role, 'payments:view') && !isPatientSelf(req.user, payment.patient_id)) {
+        res.status(403).json({ error: 'Insufficient permissions' });
+        return null;
+    }
+    return payment;
+}
+
+// Create a payment request: { patient_id } or { appointment_id }, optional amount and note
+router.post('/api/payments', authenticateToken, requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const payment = await createPaymentRequest(req.body, req.user);
+        res.status(201).json({ message: 'Payment request created', payment });
+    } catch (error) {
+        sendError(res, error, 'Failed to create payment request');
+    }
+});
+
+// Payment requests: /api/payments?status=pending&patient_id=&appointment_id=
+router.get('/api/payments', authenticateToken, requirePermission('payments:view'), async (req, res) => {
+    try {
+        const { status, patient_id, appointment_id } = req.query;
+        if (status && !PAYMENT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${PAYMENT_STATUSES.join(', ')}` });
+        }
+        const payments = await getPaymentStore().list({ status, patient_id, appointment_id });
+        res.json({ payments, count: payments.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch payments');
+    }
+});
+
+// One payment with its upi:// link and QR code
+router.get('/api/payments/:id', authenticateToken, async (req, res) => {
+    try {
+        const payment = await loadPayment(req, res);
+        if (payment) {
+            res.json({ payment: await withPaymentLinks(payment) });
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch payment');
+    }
+});
+
+// QR code as a PNG image, e.g. for printing at the front desk
+router.get('/api/payments/:id/qr.png', authenticateToken, async (req, res) => {
+    try {
+        const payment = await loadPayment(req, res);
+        if (payment) {
+            res.type('png').send(await paymentQrPng(payment));
+        }
+    } catch (error) {
+        sendError(res, error, 'Failed to create QR code');
+    }
+});
+
+// Mark as paid once the money shows up; { upi_txn_id } is the UTR from the bank
+router.post('/api/payments/:id/confirm', authenticateToken, requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const payment = await confirmPayment(req.params.id, req.body, req.user);
+        res.json({ message: 'Payment confirmed', payment });
+    } catch (error) {
+        sendError(res, error, 'Failed to confirm payment');
+    }
+});
+
+router.post('/api/payments/:id/cancel', authenticateToken, requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const payment = await cancelPayment(req.params.id, req.body.reason, req.user);
+        res.json({ message: 'Payment request cancelled', payment });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel payment request');
+    }
+});
+
+// Payment requests of one patient (staff or the patient)
+router.get('/api/patients/:id/payments', authenticateToken, async (req, res) => {
+    try {
+        if (!hasPermission(req.user.role, 'payments:view') && !isPatientSelf(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const payments = await getPaymentStore().list({ patient_id: req.params.id });
+        res.json({ payments, count: payments.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch payments');
+    }
+});
+
+// Payment page sent to the patient: /pay/CONSULT-XXXXXXXX
+router.get('/pay/:reference', async (req, res) => {
+    try {
+        const stored = await getPaymentStore().getByReference(req.params.reference);
+        if (!stored) {
+            return res.status(404).send('<h2>Payment request not found</h2>');
+        }
+        const payment = await withPaymentLinks(stored);
+        const clinicWhatsApp = process.env.CLINIC_WHATSAPP || '919963721999';
+        const status = {
+            pending: `
+            <img src="${payment.qr_code}" alt="UPI QR code" class="qr">
+            <p><strong>Scan with Google Pay, PhonePe, Paytm or BHIM</strong></p>
+            <a href="${escapeHtml(payment.upi_link)}" class="btn">📱 Pay with a UPI app</a>
+            <a href="https://wa.me/${clinicWhatsApp}?text=${encodeURIComponent(`UPI payment completed. Reference: ${payment.reference}, Amount: ₹${payment.amount}`)}"
+               class="btn">💬 Send Payment Confirmation</a>`,
+            confirmed: '<div class="paid">✅ Payment received. Thank you!</div>',
+            cancelled: '<div class="cancelled">This payment request was cancelled.</div>'
+        }[payment.status];
+
+        res.send(`
+    <html>
+    <head>
+        <title>Payment - Dr. Nehru Healthcare</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+            body { font-family: Arial; max-width: 400px; margin: 50px auto; padding: 20px; background: #f9f9f9; }
+            .card { background: white; padding: 30px; border-radius: 15px; box-shadow: 0 5px 15px rgba(0,0,0,0.1); text-align: center; }
+            .header { background: #2c5aa0; color: white; padding: 20px; border-radius: 10px; margin-bottom: 20px; }
+            .amount { font-size: 36px; color: #2c5aa0; font-weight: bold; margin: 20px 0; }
+            .reference { background: #f1f5f9; padding: 10px; border-radius: 8px; font-family: monospace; font-size: 16px; }
+            .qr { width: 240px; height: 240px; margin: 15px auto; display: block; }
+            .btn { background: #25d366; color: white; padding: 12px 24px; border: none; border-radius: 8px; font-size: 16px; cursor: pointer; text-decoration: none; display: inline-block; margin-top: 15px; }
+            .paid { background: #4caf50; color: white; padding: 15px; border-radius: 8px; font-size: 18px; margin-top: 15px; }
+            .cancelled { background: #e2e8f0; padding: 15px; border-radius: 8px; margin-top: 15px; }
+        </style>
+    </head>
+    <body>
+        <div class="card">
+            <div class="header">
+                <h1>🏥 DR. NEHRU HEALTHCARE</h1>
+                <p>Dr. Muddu Surendra Nehru</p>
+            </div>
+            <h2>${escapeHtml(payment.note || 'Consultation Payment')}</h2>
+            <div class="amount">₹${payment.amount.toFixed(2)}</div>
+            <div class="reference">Reference: ${escapeHtml(payment.reference)}</div>
+            ${status}
+        </div>
+    </body>
+    </html>
+        `);
+    } catch (error) {
+        console.error('Payment page error:', error);
+        res.status(error.status || 500).send(`<h2>${escapeHtml(error.status ? error.message : 'Payment page unavailable')}</h2>`);
+    }
+});
+
+module.exports = router;
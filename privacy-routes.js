@@ -0,0 +1,116 @@
+// privacy-routes.js - Consent text, and patients' access to and erasure of their data
+const express = require('express');
+const { authenticateToken } = require('./lib/auth');
+const { hasPermission, isPatientSelf, requirePermission } = require('./lib/permissions');
+const { getPrivacyStore, ERASURE_STATUSES } = require('./lib/privacy-store');
+const { sendError } = require('./lib/http-error');
+const { auditRequest, auditContext } = require('./lib/audit');
+const {
+    currentConsent,
+    exportPatientData,
+    requestErasure,
+    completeErasure,
+    rejectErasure
+} = require('./lib/privacy');
+const router = express.Router();
+
+// The patient themselves, or staff with the permission
+function canAct(user, permission, patientId) {
+    return hasPermission(user.role, permission) || isPatientSelf(user, patientId);
+}
+
+// Consent text the registration forms show; they send its version back
+router.get('/api/consent', (req, res) => {
+    const { version, effectiveFrom, text } = currentConsent();
+    res.json({ version, effectiveFrom, text });
+});
+
+// Consents a patient has given
+router.get('/api/patients/:id/consents', authenticateToken, async (req, res) => {
+    try {
+        if (!canAct(req.user, 'patients:list', req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const consents = await getPrivacyStore().listConsents({ patient_id: req.params.id });
+        res.json({ consents, count: consents.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch consents');
+    }
+});
+
+// Everything held about the patient, as a JSON download
+router.get('/api/patients/:id/data-export', authenticateToken, async (req, res) => {
+    try {
+        if (!canAct(req.user, 'patients:privacy', req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const data = await exportPatientData(req.params.id);
+        await auditRequest(req, 'patient.export', { patientIds: [data.patient.id], details: { format: 'json', subjectAccess: true } });
+        res.set('Content-Disposition', `attachment; filename="my-data-${data.patient.id}.json"`);
+        res.json(data);
+    } catch (error) {
+        sendError(res, error, 'Failed to export patient data');
+    }
+});
+
+// The patient asks to be erased: { reason } (optional); the clinic completes it
+router.post('/api/patients/:id/erasure-requests', authenticateToken, async (req, res) => {
+    try {
+        if (!isPatientSelf(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Only the patient can ask for their data to be erased' });
+        }
+        const request = await requestErasure(req.params.id, req.body.reason);
+        await auditRequest(req, 'patient.erase-requested', { patientIds: [request.patient_id], details: { erasure_request_id: request.id } });
+        res.status(202).json({ message: 'Your request has been sent to the clinic', request });
+    } catch (error) {
+        sendError(res, error, 'Failed to request erasure');
+    }
+});
+
+router.get('/api/patients/:id/erasure-requests', authenticateToken, async (req, res) => {
+    try {
+        if (!canAct(req.user, 'patients:privacy', req.params.id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        const requests = await getPrivacyStore().listErasureRequests({ patient_id: req.params.id });
+        res.json({ requests, count: requests.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch erasure requests');
+    }
+});
+
+// Review queue for admins: /api/erasure-requests?status=pending (default)
+router.get('/api/erasure-requests', authenticateToken, requirePermission('patients:privacy'), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        if (status !== 'all' && !ERASURE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be all or one of: ${ERASURE_STATUSES.join(', ')}` });
+        }
+        const requests = await getPrivacyStore().listErasureRequests({ status: status === 'all' ? null : status });
+        res.json({ requests, count: requests.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch erasure requests');
+    }
+});
+
+// Anonymize the patient here and in Airtable
+router.post('/api/erasure-requests/:id/complete', authenticateToken, requirePermission('patients:privacy'), async (req, res) => {
+    try {
+        const request = await completeErasure(req.params.id, auditContext(req));
+        res.json({ message: 'Patient data erased', request });
+    } catch (error) {
+        sendError(res, error, 'Failed to erase patient data');
+    }
+});
+
+// { reason } - shown to the patient
+router.post('/api/erasure-requests/:id/reject', authenticateToken, requirePermission('patients:privacy'), async (req, res) => {
+    try {
+        const request = await rejectErasure(req.params.id, req.body.reason, auditContext(req));
+        res.json({ message: 'Erasure request rejected', request });
+    } catch (error) {
+        sendError(res, error, 'Failed to reject erasure request');
+    }
+});
+
+module.exports = router;
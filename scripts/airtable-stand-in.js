@@ -0,0 +1,276 @@
+// scripts/airtable-stand-in.js - Local stand-in for the Airtable REST API
+//
+// Usage: node scripts/airtable-stand-in.js
+// then run the app or the sync with AIRTABLE_API_URL=http://localhost:4010/v0
+// (AIRTABLE_BASE_ID, AIRTABLE_TABLE_ID and AIRTABLE_TOKEN can be anything).
+//
+// Records live in data/airtable-stand-in.json (AIRTABLE_STAND_IN_FILE), one
+// list per base/table. Supported: list with pageSize/offset paging and
+// filterByFormula, get, create, update (PATCH) and delete of single records,
+// and create/update of up to 10 records at once.
+// Every write stamps the Last_Modified field, like a "Last modified time"
+// column. Formulas understand what lib/airtable-client.js builds: OR, AND, NOT,
+// LOWER, SEARCH, IS_AFTER, IS_BEFORE, LAST_MODIFIED_TIME(), RECORD_ID(), {Field} = value.
+// AIRTABLE_STAND_IN_RATE_LIMIT=5 answers 429 beyond 5 requests a second, like
+// Airtable does per base.
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { dataDir, readJsonFile, writeJsonFile } = require('../lib/json-file');
+
+const PORT = process.env.AIRTABLE_STAND_IN_PORT || 4010;
+const dataFile = process.env.AIRTABLE_STAND_IN_FILE || path.join(dataDir, 'airtable-stand-in.json');
+const MAX_PAGE_SIZE = 100;
+const MAX_BATCH = 10;
+const rateLimit = Number(process.env.AIRTABLE_STAND_IN_RATE_LIMIT) || 0;
+
+function tokenize(formula) {
+    const tokens = [];
+    const pattern = /\s*(?:(\{(?:[^}\\]|\\.)*\})|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(-?\d+(?:\.\d+)?)|([A-Z_]+)|(!=|[(),=]))/y;
+    let position = 0;
+    while (formula.slice(position).trim()) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(formula);
+        if (!match) {
+            throw new Error(`Cannot parse formula near "${formula.slice(position, position + 20)}"`);
+        }
+        position = pattern.lastIndex;
+        if (match[1]) tokens.push({ type: 'field', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') });
+        else if (match[2]) tokens.push({ type: 'value', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+        else if (match[3]) tokens.push({ type: 'value', value: Number(match[3]) });
+        else if (match[4]) tokens.push({ type: 'name', value: match[4] });
+        else tokens.push({ type: 'symbol', value: match[5] });
+    }
+    return tokens;
+}
+
+const FUNCTIONS = {
+    OR: args => args.some(Boolean),
+    AND: args => args.every(Boolean),
+    NOT: ([value]) => !value,
+    LOWER: ([value]) => String(value === undefined || value === null ? '' : value).toLowerCase(),
+    SEARCH: ([needle, haystack]) => String(haystack || '').indexOf(String(needle)) + 1,
+    IS_AFTER: ([a, b]) => Date.parse(a) > Date.parse(b),
+    IS_BEFORE: ([a, b]) => Date.parse(a) < Date.parse(b),
+    TRUE: () => true,
+    FALSE: () => false
+};
+
+// Parse a formula into a function of a record
+function compileFormula(formula) {
+    const tokens = tokenize(formula);
+    let position = 0;
+
+    function expect(value) {
+        const token = tokens[position++];
+        if (!token || token.value !== value) {
+            throw new Error(`Expected "${value}" in formula`);
+        }
+    }
+
+    function primary() {
+        const token = tokens[position++];
+        if (!token) {
+            throw new Error('Unexpected end of formula');
+        }
+        if (token.type === 'field') {
+            return record => record.fields[token.value] === undefined ? '' : record.fields[token.value];
+        }
+        if (token.type === 'value') {
+            return () => token.value;
+        }
+        if (token.type === 'name') {
+            expect('(');
+            const args = [];
+            while (tokens[position] && tokens[position].value !== ')') {
+                args.push(comparison());
+                if (tokens[position] && tokens[position].value === ',') {
+                    position++;
+                }
+            }
+            expect(')');
+            if (token.value === 'LAST_MODIFIED_TIME') {
+                return record => record.fields.Last_Modified || record.createdTime;
+            }
+            if (token.value === 'RECORD_ID') {
+                return record => record.id;
+            }
+            const fn = FUNCTIONS[token.value];
+            if (!fn) {
+                throw new Error(`Unknown function ${token.value}`);
+            }
+            return record => fn(args.map(arg => arg(record)));
+        }
+        throw new Error(`Unexpected "${token.value}" in formula`);
+    }
+
+    function comparison() {
+        const left = primary();
+        const operator = tokens[position] && tokens[position].value;
+        if (operator === '=' || operator === '!=') {
+            position++;
+            const right = primary();
+            return record => (String(left(record)) === String(right(record))) === (operator === '=');
+        }
+        return left;
+    }
+
+    const evaluate = comparison();
+    if (position < tokens.length) {
+        throw new Error('Unexpected text at the end of the formula');
+    }
+    return evaluate;
+}
+
+function readTables() {
+    return readJsonFile(dataFile, {});
+}
+
+// Run fn(records) on the records of one table and save the result
+function withTable(req, fn) {
+    const tables = readTables();
+    const key = `${req.params.baseId}/${req.params.tableId}`;
+    tables[key] = tables[key] || [];
+    const result = fn(tables[key]);
+    writeJsonFile(dataFile, tables);
+    return result;
+}
+
+function airtableError(res, status, type, message) {
+    res.status(status).json({ error: { type, message } });
+}
+
+function newRecord(fields) {
+    const now = new Date().toISOString();
+    return { id: 'rec' + crypto.randomBytes(7).toString('hex'), createdTime: now, fields: { ...(fields || {}), Last_Modified: now } };
+}
+
+// Records of a batch request, or an error answered when the batch is not acceptable
+function batchRecords(req, res) {
+    const records = req.body.records;
+    if (!Array.isArray(records) || records.length === 0 || records.length > MAX_BATCH) {
+        airtableError(res, 422, 'INVALID_RECORDS', `Send 1 to ${MAX_BATCH} records at a time`);
+        return null;
+    }
+    return records;
+}
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get('authorization') || '')) {
+        return airtableError(res, 401, 'AUTHENTICATION_REQUIRED', 'Authentication required');
+    }
+    next();
+});
+
+const recentRequests = {};
+app.use('/v0/:baseId', (req, res, next) => {
+    if (!rateLimit) {
+        return next();
+    }
+    const now = Date.now();
+    const recent = (recentRequests[req.params.baseId] || []).filter(time => now - time < 1000);
+    recentRequests[req.params.baseId] = recent;
+    if (recent.length >= rateLimit) {
+        res.set('Retry-After', '1');
+        return airtableError(res, 429, 'RATE_LIMIT_REACHED', 'Rate limit exceeded. Please try again later');
+    }
+    recent.push(now);
+    next();
+});
+
+app.get('/v0/:baseId/:tableId', (req, res) => {
+    const records = readTables()[`${req.params.baseId}/${req.params.tableId}`] || [];
+    let filtered = records;
+    if (req.query.filterByFormula) {
+        try {
+            const matches = compileFormula(req.query.filterByFormula);
+            filtered = records.filter(record => matches(record));
+        } catch (error) {
+            return airtableError(res, 422, 'INVALID_FILTER_BY_FORMULA', error.message);
+        }
+    }
+    const pageSize = Math.min(Number(req.query.pageSize) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    const start = Number(req.query.offset) || 0;
+    const page = filtered.slice(start, start + pageSize);
+    const body = { records: page };
+    if (start + pageSize < filtered.length) {
+        body.offset = String(start + pageSize);
+    }
+    res.json(body);
+});
+
+app.get('/v0/:baseId/:tableId/:recordId', (req, res) => {
+    const records = readTables()[`${req.params.baseId}/${req.params.tableId}`] || [];
+    const record = records.find(r => r.id === req.params.recordId);
+    if (!record) {
+        return airtableError(res, 404, 'NOT_FOUND', 'Could not find record');
+    }
+    res.json(record);
+});
+
+app.post('/v0/:baseId/:tableId', (req, res) => {
+    if (req.body.records) {
+        const batch = batchRecords(req, res);
+        if (batch) {
+            const created = batch.map(item => newRecord(item.fields));
+            withTable(req, records => records.push(...created));
+            res.json({ records: created });
+        }
+        return;
+    }
+    const record = newRecord(req.body.fields);
+    withTable(req, records => records.push(record));
+    res.json(record);
+});
+
+app.patch('/v0/:baseId/:tableId', (req, res) => {
+    const batch = batchRecords(req, res);
+    if (!batch) {
+        return;
+    }
+    // Like Airtable, nothing is changed when one of the records does not exist
+    const updated = withTable(req, records => {
+        const found = batch.map(item => records.find(r => r.id === item.id));
+        if (found.includes(undefined)) {
+            return null;
+        }
+        found.forEach((record, i) => Object.assign(record.fields, batch[i].fields || {}, { Last_Modified: new Date().toISOString() }));
+        return found;
+    });
+    if (!updated) {
+        return airtableError(res, 404, 'NOT_FOUND', 'Could not find record');
+    }
+    res.json({ records: updated });
+});
+
+app.patch('/v0/:baseId/:tableId/:recordId', (req, res) => {
+    const record = withTable(req, records => {
+        const found = records.find(r => r.id === req.params.recordId);
+        if (found) {
+            Object.assign(found.fields, req.body.fields || {}, { Last_Modified: new Date().toISOString() });
+        }
+        return found;
+    });
+    if (!record) {
+        return airtableError(res, 404, 'NOT_FOUND', 'Could not find record');
+    }
+    res.json(record);
+});
+
+app.delete('/v0/:baseId/:tableId/:recordId', (req, res) => {
+    const deleted = withTable(req, records => {
+        const index = records.findIndex(r => r.id === req.params.recordId);
+        return index === -1 ? false : records.splice(index, 1).length > 0;
+    });
+    if (!deleted) {
+        return airtableError(res, 404, 'NOT_FOUND', 'Could not find record');
+    }
+    res.json({ id: req.params.recordId, deleted: true });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Airtable stand-in on http://localhost:${PORT}/v0 (records in ${dataFile})`);
+});
@@ -0,0 +1,76 @@
+// scripts/backup.js - Take, list, verify, prune and restore snapshots of the data files
+//
+// Usage: node scripts/backup.js [create]        take a snapshot, then prune
+//        node scripts/backup.js list
+//        node scripts/backup.js verify <id|latest>
+//        node scripts/backup.js prune
+//        node scripts/backup.js restore <id|latest> [--at <time>] [--only patients,staff] [--dry-run]
+//        node scripts/backup.js restore --at <time> [--only ...] [--dry-run]
+// restore --at replays the patient journal up to that time on top of the newest
+// snapshot taken before it. Stop the server first: it keeps a search index in
+// memory that only a restart rebuilds. See lib/backups.js.
+require('dotenv').config();
+const {
+    createSnapshot,
+    listSnapshots,
+    verifySnapshot,
+    pruneSnapshots,
+    restoreSnapshot
+} = require('../lib/backups');
+
+function option(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function run() {
+    const [command = 'create', id] = process.argv.slice(2).filter((arg, index, args) =>
+        !arg.startsWith('--') && !['--at', '--only'].includes(args[index - 1]));
+
+    if (command === 'create') {
+        const snapshot = await createSnapshot({ reason: 'manual' });
+        console.log(`✅ Snapshot ${snapshot.id}: ${snapshot.files.length} files` +
+            (snapshot.patients ? `, ${snapshot.patients.records} patients` : ''));
+        pruneSnapshots().forEach(removed => console.log(`🗑️  Removed ${removed}`));
+    } else if (command === 'list') {
+        const snapshots = listSnapshots();
+        snapshots.forEach(snapshot => {
+            console.log(`${snapshot.id}  ${snapshot.reason.padEnd(11)} ${snapshot.files.length} files` +
+                (snapshot.patients ? `, ${snapshot.patients.records} patients (journal ${snapshot.patients.seq})` : ''));
+        });
+        console.log(`${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`);
+    } else if (command === 'verify') {
+        const result = verifySnapshot(id || 'latest');
+        result.problems.forEach(problem => console.log(`❌ ${problem}`));
+        console.log(result.valid ? `✅ Snapshot ${result.id} is intact` : `❌ Snapshot ${result.id} cannot be restored`);
+        if (!result.valid) {
+            process.exitCode = 1;
+        }
+    } else if (command === 'prune') {
+        const removed = pruneSnapshots();
+        removed.forEach(snapshotId => console.log(`🗑️  Removed ${snapshotId}`));
+        console.log(`✅ ${removed.length} snapshot${removed.length === 1 ? '' : 's'} removed`);
+    } else if (command === 'restore') {
+        const dryRun = process.argv.includes('--dry-run');
+        const only = option('--only');
+        const result = await restoreSnapshot(id || null, {
+            at: option('--at'),
+            only: only ? only.split(',').map(name => name.trim()).filter(Boolean) : undefined,
+            dryRun
+        });
+        console.log(`${dryRun ? '•' : '✅'} Snapshot ${result.snapshot}${result.at ? ` replayed to ${result.at}` : ''}: ${result.stores.join(', ')}`);
+        if (result.patients) {
+            console.log(`${dryRun ? '•' : '✅'} ${result.patients.records} patients, ${result.patients.replayed} journal entries replayed`);
+        }
+        console.log(dryRun
+            ? 'Dry run - nothing was changed'
+            : `✅ Restore complete - the files it replaced are in snapshot ${result.preRestoreSnapshot}`);
+    } else {
+        throw new Error(`Unknown command "${command}" - use create, list, verify, prune or restore`);
+    }
+}
+
+run().catch(error => {
+    console.error('❌ Backup failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,35 @@
+// scripts/create-staff-user.js - Create a staff account, e.g. the first admin
+//
+// Usage: node scripts/create-staff-user.js <email> <password> <admin|doctor|receptionist> <first_name> <last_name>
+// Uses the configured staff store (STAFF_STORE=json|sql).
+require('dotenv').config();
+const { hashPassword } = require('../lib/auth');
+const { STAFF_ROLES, getStaffStore, publicStaff } = require('../lib/staff-store');
+
+async function createStaffUser() {
+    const [email, password, role, firstName, lastName] = process.argv.slice(2);
+    if (!email || !password || !STAFF_ROLES.includes(role) || !firstName) {
+        console.log(`Usage: node scripts/create-staff-user.js <email> <password> <${STAFF_ROLES.join('|')}> <first_name> <last_name>`);
+        process.exit(1);
+    }
+
+    const staffStore = getStaffStore();
+    if (staffStore.type === 'sql') {
+        await require('../lib/database').initializeDatabase();
+    }
+
+    const user = await staffStore.create({
+        email: email.toLowerCase().trim(),
+        password: await hashPassword(password),
+        first_name: firstName,
+        last_name: lastName || '',
+        role
+    });
+    console.log('✅ Staff account created:', publicStaff(user));
+    process.exit(0);
+}
+
+createStaffUser().catch(error => {
+    console.error('❌ Could not create staff account:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,84 @@
+// scripts/encrypt-patient-data.js - Encrypt or re-encrypt the patient data files
+//
+// Usage: node scripts/encrypt-patient-data.js [--dry-run] [--generate-key] [file ...]
+//   --generate-key  print a new key for PATIENT_DATA_KEYS and stop
+//   --dry-run       only count the records that would be rewritten
+//   file ...        other patient lists to rewrite (default data/patients-BACKUP.json)
+// Rewrites the JSON patient store (PATIENTS_FILE or data/patients.json, with its
+// journal), the listed files and the other files holding patient details (the
+// registration outbox, queued notifications and, when kept in JSON, notes and
+// the merge log) with the first key of PATIENT_DATA_KEYS - see
+// lib/patient-crypto.js. To rotate: put the new key first, keep the old one
+// after it, run this, then remove the old key. A record encrypted with a key
+// that is no longer listed cannot be read, so never remove a key first.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createPatientStore } = require('../lib/patient-store');
+const { dataDir, readJsonFile, writeJsonFile } = require('../lib/json-file');
+const { generateKey, encryptRecord, needsReencryption, isEncryptionConfigured, currentKeyId } = require('../lib/patient-crypto');
+const patientOutbox = require('../lib/patient-outbox');
+const notificationQueue = require('../lib/notifications/queue');
+const { getNoteStore } = require('../lib/note-store');
+const { getDuplicateStore } = require('../lib/duplicate-store');
+
+async function run() {
+    if (process.argv.includes('--generate-key')) {
+        console.log(generateKey());
+        console.log('Add it to the front of PATIENT_DATA_KEYS (comma-separated), then run this script again.');
+        return;
+    }
+    const dryRun = process.argv.includes('--dry-run');
+    const files = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const extraFiles = files.length ? files : [path.join(dataDir, 'patients-BACKUP.json')];
+
+    console.log(isEncryptionConfigured()
+        ? `🔐 Encrypting patient data with key ${currentKeyId()}`
+        : '⚠️  PATIENT_DATA_KEYS is not set - patient data will be written in plain');
+
+    const store = createPatientStore({ type: 'json', scoring: false });
+    if (dryRun) {
+        const patients = readJsonFile(process.env.PATIENTS_FILE || path.join(dataDir, 'patients.json'), []);
+        console.log(`• patient store: ${patients.filter(needsReencryption).length} of ${patients.length} records to rewrite`);
+    } else {
+        const result = await store.reencrypt();
+        console.log(`✅ patient store: ${result.changed} of ${result.records} records rewritten, ${result.journalEntries} journal entries`);
+    }
+
+    for (const file of extraFiles) {
+        if (!fs.existsSync(file)) {
+            console.log(`• ${file}: not found, skipped`);
+            continue;
+        }
+        const patients = readJsonFile(file, []);
+        if (!Array.isArray(patients)) {
+            throw new Error(`${file} does not contain a list of patients`);
+        }
+        const changed = patients.filter(needsReencryption).length;
+        if (!dryRun) {
+            writeJsonFile(file, patients.map(encryptRecord));
+        }
+        console.log(`${dryRun ? '•' : '✅'} ${path.basename(file)}: ${changed} of ${patients.length} records ${dryRun ? 'to rewrite' : 'rewritten'}`);
+    }
+
+    const others = [
+        ['registration outbox', () => patientOutbox.reencrypt()],
+        ['notification queue', () => notificationQueue.reencrypt()],
+        ['patient notes', getNoteStore().reencrypt],
+        ['merge log', getDuplicateStore().reencrypt]
+    ];
+    for (const [name, reencrypt] of others) {
+        if (!reencrypt) {
+            console.log(`• ${name}: not kept in a file, skipped`);
+        } else if (!dryRun) {
+            console.log(`✅ ${name}: ${await reencrypt()} entries rewritten`);
+        }
+    }
+
+    console.log(dryRun ? 'Dry run - nothing was changed' : '✅ Patient data re-encrypted');
+}
+
+run().catch(error => {
+    console.error('❌ Re-encryption failed:', error.message);
+    process.exit(1);
+});
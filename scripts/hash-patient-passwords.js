@@ -0,0 +1,68 @@
+// scripts/hash-patient-passwords.js - One-time migration: bcrypt-hash plaintext patient passwords
+//
+// Usage: node scripts/hash-patient-passwords.js [--dry-run] [file ...]
+//   file ...  other patient lists to rewrite (default data/patients-BACKUP.json)
+// Runs against the configured patient store (PATIENT_STORE, json | sql |
+// airtable) and the listed files. Passwords that are already bcrypt hashes are
+// left alone, so running it twice is harmless.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getPatientStore } = require('../lib/patient-store');
+const { hashPassword, isPasswordHash } = require('../lib/auth');
+const { dataDir, readJsonFile, writeJsonFile } = require('../lib/json-file');
+
+function hasPlaintextPassword(patient) {
+    return Boolean(patient.password) && !isPasswordHash(patient.password);
+}
+
+async function migrate() {
+    const dryRun = process.argv.includes('--dry-run');
+    const files = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const extraFiles = files.length ? files : [path.join(dataDir, 'patients-BACKUP.json')];
+
+    const patientStore = getPatientStore();
+    if (patientStore.type === 'sql') {
+        await require('../lib/database').initializeDatabase();
+    }
+    const patients = await patientStore.list();
+    const plaintext = patients.filter(hasPlaintextPassword);
+
+    console.log(`🔐 ${plaintext.length} of ${patients.length} patients have a plaintext password`);
+
+    for (const patient of plaintext) {
+        if (!dryRun) {
+            await patientStore.update(patient.id, { password: await hashPassword(patient.password) });
+        }
+        console.log(`${dryRun ? '•' : '✅'} ${patient.id} (${patient.email})`);
+    }
+
+    // Passwords are not among the encrypted fields, so the records are
+    // rewritten as they are stored
+    for (const file of extraFiles) {
+        if (!fs.existsSync(file)) {
+            console.log(`• ${file}: not found, skipped`);
+            continue;
+        }
+        const records = readJsonFile(file, []);
+        if (!Array.isArray(records)) {
+            throw new Error(`${file} does not contain a list of patients`);
+        }
+        const changed = records.filter(hasPlaintextPassword);
+        if (!dryRun) {
+            for (const record of changed) {
+                record.password = await hashPassword(record.password);
+            }
+            writeJsonFile(file, records);
+        }
+        console.log(`${dryRun ? '•' : '✅'} ${path.basename(file)}: ${changed.length} of ${records.length} passwords ${dryRun ? 'to hash' : 'hashed'}`);
+    }
+
+    console.log(dryRun ? 'Dry run - nothing was changed' : '✅ Migration complete');
+    process.exit(0);
+}
+
+migrate().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,42 @@
+// scripts/sync-airtable.js - Sync data/patients.json with the Airtable patient table
+//
+// Usage: node scripts/sync-airtable.js [--dry-run] [--full] [--json]
+//   --dry-run  only report what would change
+//   --full     read every Airtable record instead of those changed since the last sync
+//   --json     print the whole report as JSON
+// See lib/airtable-sync.js for the conflict policy. Run it from cron, one at a time.
+require('dotenv').config();
+const { syncPatients } = require('../lib/airtable-sync');
+
+async function run() {
+    const dryRun = process.argv.includes('--dry-run');
+    const report = await syncPatients({ dryRun, full: process.argv.includes('--full') });
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`🔄 ${report.pulled} Airtable records ${report.since ? `changed since ${report.since}` : 'read (full sync)'}`);
+        report.actions.forEach(action => {
+            const ids = [action.localId, action.airtableId].filter(Boolean).join(' <-> ');
+            const detail = action.reason || (action.fields.length ? action.fields.join(', ') : '');
+            console.log(`${dryRun ? '•' : '✅'} ${action.type} ${ids}${detail ? ` (${detail})` : ''}`);
+        });
+        report.conflicts.forEach(conflict => {
+            console.log(`⚠️  conflict ${conflict.localId} <-> ${conflict.airtableId} ${conflict.field}: ` +
+                `local ${JSON.stringify(conflict.local)}, airtable ${JSON.stringify(conflict.remote)} -> ${conflict.winner} wins`);
+        });
+        report.errors.forEach(error => {
+            console.log(`❌ ${error.type} ${[error.localId, error.airtableId].filter(Boolean).join(' <-> ')}: ${error.error}`);
+        });
+        console.log(`Summary: ${JSON.stringify(report.summary)}`);
+        console.log(dryRun ? 'Dry run - nothing was changed' : '✅ Sync complete');
+    }
+    if (report.errors.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+run().catch(error => {
+    console.error('❌ Sync failed:', error.message);
+    process.exit(1);
+});
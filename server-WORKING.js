@@ -1,14 +1,37 @@
 // server.js - Homa Clinic Healthcare Appointment Booking System
 require('dotenv').config();
 const express = require('express');
-const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
+const { initializeDatabase, getPool } = require('./lib/database');
+const { jwtSecret, signAccessToken, authenticateToken } = require('./lib/auth');
+const { createSession } = require('./lib/session-store');
+const { getPatientStore, configurePatientStore } = require('./lib/patient-store');
+const { configureStaffStore } = require('./lib/staff-store');
+const { configureAppointmentStore } = require('./lib/appointment-store');
+const { configureAvailabilityStore } = require('./lib/availability-store');
+const { configureDuplicateStore } = require('./lib/duplicate-store');
+const { configurePaymentStore } = require('./lib/payment-store');
+const { configureNoteStore } = require('./lib/note-store');
+const { configureAuditStore } = require('./lib/audit-store');
+const { configurePrivacyStore } = require('./lib/privacy-store');
+const { checkConsent, recordConsent } = require('./lib/privacy');
+const { auditRequest, diffRecords } = require('./lib/audit');
+const { flagDuplicates } = require('./lib/duplicates');
+const { notify, startNotificationWorker } = require('./lib/notifications');
+const { validatePatient, newPatientRecord, validationErrorBody } = require('./lib/patient-schema');
 const patientRoutes = require('./patient-routes');
+const staffRoutes = require('./staff-routes');
+const adminRoutes = require('./admin-routes');
+const appointmentRoutes = require('./appointment-routes');
+const doctorRoutes = require('./doctor-routes');
+const duplicateRoutes = require('./duplicate-routes');
+const paymentRoutes = require('./payment-routes');
+const privacyRoutes = require('./privacy-routes');
+const importRoutes = require('./import-routes');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -17,6 +40,14 @@ console.log('🏥 Starting Homa Clinic System...');
 // Security middleware
 app.use(express.json());
 app.use('/', patientRoutes);
+app.use('/', staffRoutes);
+app.use('/', adminRoutes);
+app.use('/', appointmentRoutes);
+app.use('/', doctorRoutes);
+app.use('/', duplicateRoutes);
+app.use('/', paymentRoutes);
+app.use('/', privacyRoutes);
+app.use('/', importRoutes);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
@@ -29,111 +60,14 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Database configuration
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  database: process.env.DB_NAME || 'homa_clinic',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-};
-
-let pool;
-
-// Initialize database
-async function initializeDatabase() {
+function databaseConnected() {
   try {
-    console.log('🔌 Connecting to database...');
-    
-    // Connect without database first
-    const tempConfig = { ...dbConfig };
-    delete tempConfig.database;
-    const tempConnection = await mysql.createConnection(tempConfig);
-    
-    // Create database if not exists
-    await tempConnection.execute(`CREATE DATABASE IF NOT EXISTS ${dbConfig.database}`);
-    await tempConnection.end();
-    
-    // Connect to actual database
-    pool = mysql.createPool(dbConfig);
-    const connection = await pool.getConnection();
-    
-    // Create tables
-    await createTables(connection);
-    connection.release();
-    
-    console.log('✅ Database initialized successfully');
+    return !!getPool();
   } catch (error) {
-    console.error('❌ Database error:', error.message);
-    console.log('💡 Make sure MySQL is running');
+    return false;
   }
 }
 
-// Create database tables
-async function createTables(connection) {
-  // Users table
-  await connection.execute(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      email VARCHAR(255) UNIQUE NOT NULL,
-      password VARCHAR(255) NOT NULL,
-      first_name VARCHAR(100) NOT NULL,
-      last_name VARCHAR(100) NOT NULL,
-      phone VARCHAR(20),
-      role ENUM('admin', 'doctor', 'patient') DEFAULT 'patient',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // Appointments table
-  await connection.execute(`
-    CREATE TABLE IF NOT EXISTS appointments (
-      id INT AUTO_INCREMENT PRIMARY KEY,
-      patient_id INT NOT NULL,
-      doctor_id INT NOT NULL,
-      appointment_date DATETIME NOT NULL,
-      duration_minutes INT DEFAULT 30,
-      status ENUM('scheduled', 'confirmed', 'cancelled', 'completed') DEFAULT 'scheduled',
-      notes TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (patient_id) REFERENCES users(id),
-      FOREIGN KEY (doctor_id) REFERENCES users(id)
-    )
-  `);
-
-  // Create admin user if not exists
-  const [adminUsers] = await connection.execute(
-    'SELECT id FROM users WHERE role = "admin" LIMIT 1'
-  );
-
-  if (adminUsers.length === 0) {
-    const hashedPassword = await bcrypt.hash('admin123', 12);
-    await connection.execute(
-      'INSERT INTO users (email, password, first_name, last_name, role) VALUES (?, ?, ?, ?, ?)',
-      ['admin@homaclinic.com', hashedPassword, 'Admin', 'User', 'admin']
-    );
-    console.log('👤 Admin user created: admin@homaclinic.com / admin123');
-  }
-}
-
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret', (err, user) => {
-    if (err) return res.status(403).json({ error: 'Invalid token' });
-    req.user = user;
-    next();
-  });
-};
-
 // Routes
 
 // Home page
@@ -159,7 +93,7 @@ app.get('/', (req, res) => {
         <div class="status">
             <h3>✅ System Status: ONLINE</h3>
             <p><strong>Server:</strong> Running on port ${PORT}</p>
-            <p><strong>Database:</strong> ${pool ? 'Connected' : 'Not connected'}</p>
+            <p><strong>Database:</strong> ${databaseConnected() ? 'Connected' : 'Not connected'}</p>
         </div>
 
         <div class="endpoint">
@@ -172,7 +106,9 @@ app.get('/', (req, res) => {
             <h3>📋 API Endpoints</h3>
             <p><strong>POST /api/register</strong> - Register new user</p>
             <p><strong>POST /api/login</strong> - User login</p>
-            <p><strong>GET /api/doctors</strong> - List doctors</p>
+            <p><strong>POST /api/staff/login</strong> - Staff login (admin, doctor, receptionist)</p>
+            <p><strong>GET /api/doctors</strong> - List doctors with working hours</p>
+            <p><strong>GET /api/doctors/:id/slots?date=</strong> - Free appointment slots</p>
             <p><strong>POST /api/appointments</strong> - Book appointment</p>
             <p><strong>GET /health</strong> - Health check</p>
         </div>
@@ -182,31 +118,37 @@ app.get('/', (req, res) => {
 });
 
 // User registration
-app.post('/api/register', [
-  body('email').isEmail(),
-  body('password').isLength({ min: 6 }),
-  body('first_name').trim().isLength({ min: 1 }),
-  body('last_name').trim().isLength({ min: 1 })
-], async (req, res) => {
+app.post('/api/register', async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+    const { role = 'patient' } = req.body;
 
-    const { email, password, first_name, last_name, phone, role = 'patient' } = req.body;
-    const hashedPassword = await bcrypt.hash(password, 12);
-    
-    const [result] = await pool.execute(
-      'INSERT INTO users (email, password, first_name, last_name, phone, role) VALUES (?, ?, ?, ?, ?, ?)',
-      [email, hashedPassword, first_name, last_name, phone, role]
-    );
+    // Staff accounts are created by an admin through POST /api/staff
+    if (role !== 'patient') {
+      return res.status(403).json({ error: 'Staff accounts must be created by an admin' });
+    }
 
-    res.status(201).json({ message: 'User created successfully', userId: result.insertId });
+    // Same patient shape as every other registration (lib/patient-schema.js)
+    const value = validatePatient(req.body, { password: true });
+    const consent = checkConsent(req.body);
+    const hashedPassword = await bcrypt.hash(value.password, 12);
+
+    // Patients go through the configured patient store, which scores the intake data
+    const patient = await getPatientStore().create(newPatientRecord({ ...value, ...consent, password: hashedPassword }, 'Patient Portal'));
+    await recordConsent(patient.id, req, 'Patient Portal');
+    await auditRequest(req, 'patient.create', { patientIds: [patient.id], changes: diffRecords({}, patient), details: { source: 'Patient Portal' } });
+    flagDuplicates(patient).catch(error => console.error('Duplicate check failed:', error.message));
+    notify('patient.registered', { patient }).catch(error => console.error('Notification failed:', error.message));
+    res.status(201).json({ message: 'User created successfully', userId: patient.id });
   } catch (error) {
     if (error.code === 'ER_DUP_ENTRY') {
       return res.status(409).json({ error: 'Email already exists' });
     }
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    if (error.code === 'CONSENT_REQUIRED' || error.code === 'CONSENT_OUTDATED') {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     res.status(500).json({ error: 'Registration failed' });
   }
 });
@@ -219,7 +161,7 @@ app.post('/api/login', [
   try {
     const { email, password } = req.body;
     
-    const [users] = await pool.execute('SELECT * FROM users WHERE email = ?', [email]);
+    const [users] = await getPool().execute('SELECT * FROM users WHERE email = ?', [email]);
 
     if (users.length === 0) {
       return res.status(401).json({ error: 'Invalid credentials' });
@@ -232,14 +174,16 @@ app.post('/api/login', [
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
+    // A session like staff-routes.js logins, so logging out ends the token
+    const { session, refreshToken } = createSession({ type: 'staff', id: user.id });
+    const token = signAccessToken(
+      { userId: user.id, email: user.email, role: user.role, sid: session.id },
+      '24h'
     );
 
     res.json({
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
@@ -253,18 +197,6 @@ app.post('/api/login', [
   }
 });
 
-// Get doctors
-app.get('/api/doctors', authenticateToken, async (req, res) => {
-  try {
-    const [doctors] = await pool.execute(
-      'SELECT id, first_name, last_name, email FROM users WHERE role = "doctor"'
-    );
-    res.json(doctors);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch doctors' });
-  }
-});
-
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -273,7 +205,22 @@ app.get('/health', (req, res) => {
 // Start server
 async function startServer() {
   try {
+    // Staff and patient tokens cannot be signed safely without JWT_SECRET
+    jwtSecret();
     await initializeDatabase();
+    // Patients live in the MySQL users table unless PATIENT_STORE says otherwise
+    configurePatientStore({ type: process.env.PATIENT_STORE || 'sql' });
+    // Staff (admin, doctor, receptionist) share the users table
+    configureStaffStore({ type: process.env.STAFF_STORE || 'sql' });
+    configureAppointmentStore({ type: process.env.APPOINTMENT_STORE || 'sql' });
+    configureAvailabilityStore({ type: process.env.AVAILABILITY_STORE || 'sql' });
+    configureDuplicateStore({ type: process.env.DUPLICATE_STORE || 'sql' });
+    configurePaymentStore({ type: process.env.PAYMENT_STORE || 'sql' });
+    configureNoteStore({ type: process.env.NOTE_STORE || 'sql' });
+    configureAuditStore({ type: process.env.AUDIT_STORE || 'sql' });
+    configurePrivacyStore({ type: process.env.PRIVACY_STORE || 'sql' });
+    // Retry notifications that could not be delivered yet
+    startNotificationWorker();
     
     app.listen(PORT, () => {
       console.log('');
@@ -287,6 +234,7 @@ async function startServer() {
     });
   } catch (error) {
     console.error('❌ Failed to start server:', error);
+    process.exit(1);
   }
 }
 
@@ -4,8 +4,32 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
-const axios = require('axios'); // MOVED TO TOP - CRITICAL FIX
+const { getPatientStore } = require('./lib/patient-store');
+const patientRoutes = require('./patient-routes');
+const staffRoutes = require('./staff-routes');
+const adminRoutes = require('./admin-routes');
+const appointmentRoutes = require('./appointment-routes');
+const doctorRoutes = require('./doctor-routes');
+const duplicateRoutes = require('./duplicate-routes');
+const paymentRoutes = require('./payment-routes');
+const privacyRoutes = require('./privacy-routes');
+const importRoutes = require('./import-routes');
+const { flagDuplicates } = require('./lib/duplicates');
+const { notify, startNotificationWorker } = require('./lib/notifications');
+const { startBackupSchedule } = require('./lib/backups');
+const { validatePatient, newPatientRecord, validationErrorBody } = require('./lib/patient-schema');
+const outbox = require('./lib/patient-outbox');
+const { auditRequest, diffRecords } = require('./lib/audit');
+const { checkConsent, recordConsent } = require('./lib/privacy');
+const { jwtSecret } = require('./lib/auth');
+
+// Staff and patient tokens cannot be signed safely without JWT_SECRET
+try {
+  jwtSecret();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -17,6 +41,7 @@ app.use(helmet({
     directives: {
       defaultSrc: ["'self'"],
       scriptSrc: ["'self'", "'unsafe-inline'"],
+      scriptSrcAttr: ["'unsafe-inline'"],
       styleSrc: ["'self'", "'unsafe-inline'"],
       imgSrc: ["'self'", "data:", "https:"],
     },
@@ -68,8 +93,15 @@ app.get('/', (req, res) => {
             <h3>📋 API Endpoints</h3>
             <p><strong>GET /api/register</strong> - Check registration API status</p>
             <p><strong>POST /api/register</strong> - Register new patient</p>
+            <p><strong>GET /api/patients</strong> - List patients</p>
+            <p><strong>GET /api/patients/search?q=</strong> - Search patients</p>
             <p><strong>GET /health</strong> - System health check</p>
-            <p><strong>GET /admin</strong> - Admin dashboard</p>
+            <p><strong>GET /admin</strong> - Admin dashboard (staff login)</p>
+            <p><strong>POST /api/staff/login</strong> - Staff login</p>
+            <p><strong>POST /api/appointments</strong> - Book appointment</p>
+            <p><strong>GET /api/doctors/:id/slots?date=</strong> - Free appointment slots</p>
+            <p><strong>GET /api/duplicates</strong> - Possible duplicate patients (admin review)</p>
+            <p><strong>POST /api/payments</strong> - UPI payment request with QR code</p>
         </div>
 
         <div class="endpoint">
@@ -111,73 +143,83 @@ app.get('/api/register', (req, res) => {
 });
 
 // PATIENT REGISTRATION - CONNECTS TO YOUR 8,309+ DATABASE
-app.post('/api/register', [
-  body('email').isEmail().withMessage('Valid email required'),
-  body('first_name').trim().isLength({ min: 1 }).withMessage('First name required'),
-  body('last_name').trim().isLength({ min: 1 }).withMessage('Last name required'),
-  body('phone').optional().isMobilePhone('any').withMessage('Valid phone number required')
-], async (req, res) => {
+app.post('/api/register', async (req, res) => {
   try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        error: 'Validation failed', 
-        details: errors.array() 
-      });
-    }
-
-    const { email, first_name, last_name, phone } = req.body;
-    
-    console.log(`📝 Registering patient: ${first_name} ${last_name} to Dr. Nehru's database`);
+    // first_name + last_name (or name), phone, optional email and intake data - see lib/patient-schema.js
+    const value = validatePatient(req.body);
+    // The consent shown on the form (GET /api/consent) - see lib/privacy.js
+    const newPatient = newPatientRecord({ ...value, ...checkConsent(req.body) }, 'Website Registration');
     
-    // Add to your 8,309+ patient Airtable database
-    const airtableData = {
-      fields: {
-        'Name': `${first_name} ${last_name}`,
-        'Phone': phone || '',
-        'Email': email || '',
-        'Group': 'C',
-        'Score': 0,
-        'Registration_Status': 'Pending',
-        'Payment_Status': 'Unpaid',
-        'Message_Count': 0,
-        'Registration_Date': new Date().toISOString(),
-        'Source': 'Website Registration'
-      }
-    };
+    console.log(`📝 Registering patient: ${newPatient.name} to Dr. Nehru's database`);
 
-    const response = await axios.post(
-      `https://api.airtable.com/v0/${process.env.AIRTABLE_BASE_ID}/${process.env.AIRTABLE_TABLE_ID}`,
-      airtableData,
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.AIRTABLE_TOKEN}`,
-          'Content-Type': 'application/json'
-        }
+    // Add to the configured patient store (Airtable 8,309+ patient database by default);
+    // the store works out score and group
+    let patient;
+    try {
+      patient = await getPatientStore().create(newPatient);
+    } catch (error) {
+      if (!outbox.isRetryable(error)) {
+        throw error;
       }
-    );
+      // Airtable is down or rate limited: keep the registration and save it later
+      console.error('❌ Patient store unavailable, registration kept in the outbox:', error.message);
+      const entry = await outbox.enqueue(newPatient, error);
+      // Moves to the real patient ID when the outbox delivers the registration
+      await recordConsent(entry.id, req, 'Website Registration');
+      await auditRequest(req, 'patient.create', {
+        patientIds: [entry.id],
+        changes: diffRecords({}, newPatient),
+        details: { source: 'Website Registration', queued: true }
+      });
+      notify('patient.registered', { patient: { ...newPatient, id: entry.id } })
+        .catch(error => console.error('Notification failed:', error.message));
+      return res.status(202).json({
+        success: true,
+        queued: true,
+        message: 'Registration received - it will be added to Dr. Nehru Healthcare System shortly',
+        provisionalId: entry.id,
+        patientName: newPatient.name
+      });
+    }
 
-    console.log(`✅ Patient ${first_name} ${last_name} successfully added to 8,309+ database`);
+    console.log(`✅ Patient ${newPatient.name} successfully added to 8,309+ database`);
+    await recordConsent(patient.id, req, 'Website Registration');
+    await auditRequest(req, 'patient.create', {
+      patientIds: [patient.id],
+      changes: diffRecords({}, patient),
+      details: { source: 'Website Registration' }
+    });
+
+    // Queue possible duplicates for admin review (see duplicate-routes.js)
+    flagDuplicates(patient).catch(error => console.error('Duplicate check failed:', error.message));
+    notify('patient.registered', { patient }).catch(error => console.error('Notification failed:', error.message));
 
     res.status(201).json({ 
       success: true,
       message: 'Patient registered successfully to Dr. Nehru Healthcare System', 
-      airtableId: response.data.id,
-      patientName: `${first_name} ${last_name}`,
+      airtableId: patient.id,
+      patientName: newPatient.name,
+      group: patient.group,
+      score: patient.score,
       database: '8,309+ patient system'
     });
     
   } catch (error) {
-    console.error('❌ Registration error:', error.response?.data || error.message);
+    if (error.code === 'VALIDATION_ERROR') {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    if (error.code === 'CONSENT_REQUIRED' || error.code === 'CONSENT_OUTDATED') {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('❌ Registration error:', error.message);
     
-    if (error.response?.status === 401) {
+    if (error.code === 'AIRTABLE_AUTH') {
       return res.status(500).json({ 
         error: 'Airtable authentication failed',
         message: 'Check AIRTABLE_TOKEN configuration' 
       });
     }
-    if (error.response?.status === 404) {
+    if (error.code === 'AIRTABLE_NOT_FOUND') {
       return res.status(500).json({ 
         error: 'Airtable base/table not found',
         message: 'Check AIRTABLE_BASE_ID and AIRTABLE_TABLE_ID configuration' 
@@ -186,7 +228,7 @@ app.post('/api/register', [
     
     res.status(500).json({ 
       error: 'Registration failed', 
-      details: error.response?.data?.error?.message || error.message 
+      details: error.message
     });
   }
 });
@@ -313,6 +355,21 @@ app.get('/register', (req, res) => {
                 color: #dc3545;
             }
             
+            .consent {
+                margin-bottom: 25px;
+                font-size: 0.9em;
+                color: #555;
+            }
+            
+            .consent-text {
+                background: #f8f9fa;
+                border-radius: 10px;
+                padding: 12px;
+                margin-bottom: 10px;
+                max-height: 140px;
+                overflow-y: auto;
+            }
+            
             .register-btn {
                 width: 100%;
                 background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
@@ -420,8 +477,17 @@ app.get('/register', (req, res) => {
                     </div>
                     
                     <div class="form-group">
-                        <label for="phone">Phone Number</label>
-                        <input type="tel" id="phone" name="phone" placeholder="Enter your phone number">
+                        <label for="phone">Phone Number <span class="required">*</span></label>
+                        <input type="tel" id="phone" name="phone" required placeholder="Enter your phone number">
+                    </div>
+                    
+                    <!-- Filled from GET /api/consent; the version goes back with the registration -->
+                    <div class="consent">
+                        <div id="consentText" class="consent-text">Loading consent...</div>
+                        <label>
+                            <input type="checkbox" id="consent" required>
+                            I have read and agree to the above <span class="required">*</span>
+                        </label>
                     </div>
                     
                     <button type="submit" class="register-btn" id="submitBtn">
@@ -440,6 +506,18 @@ app.get('/register', (req, res) => {
         </div>
 
         <script>
+            let consentVersion = null;
+            
+            fetch('/api/consent')
+                .then(response => response.json())
+                .then(consent => {
+                    consentVersion = consent.version;
+                    document.getElementById('consentText').textContent = consent.text;
+                })
+                .catch(() => {
+                    document.getElementById('consentText').textContent = 'The consent text could not be loaded. Please reload the page.';
+                });
+            
             document.getElementById('registrationForm').addEventListener('submit', async function(e) {
                 e.preventDefault();
                 
@@ -451,11 +529,13 @@ app.get('/register', (req, res) => {
                     first_name: document.getElementById('firstName').value.trim(),
                     last_name: document.getElementById('lastName').value.trim(),
                     email: document.getElementById('email').value.trim(),
-                    phone: document.getElementById('phone').value.trim()
+                    phone: document.getElementById('phone').value.trim(),
+                    consent: document.getElementById('consent').checked,
+                    consentVersion
                 };
                 
                 // Validation
-                if (!formData.first_name || !formData.last_name || !formData.email) {
+                if (!formData.first_name || !formData.last_name || !formData.email || !formData.phone || !formData.consent) {
                     messageDiv.innerHTML = '<div class="error-message">Please fill in all required fields.</div>';
                     return;
                 }
@@ -482,12 +562,15 @@ app.get('/register', (req, res) => {
                                 <strong>✅ Registration Successful!</strong><br>
                                 Welcome \${formData.first_name} \${formData.last_name}!<br>
                                 You have been added to Dr. Nehru's healthcare system.<br>
-                                <small>Patient ID: \${result.airtableId}</small>
+                                <small>Patient ID: \${result.airtableId || result.provisionalId}</small>
                             </div>
                         \`;
                         document.getElementById('registrationForm').reset();
                     } else {
-                        throw new Error(result.error || 'Registration failed');
+                        // Validation errors list every field that needs fixing
+                        throw new Error(result.details && result.details.length
+                            ? result.details.map(d => d.message).join('<br>')
+                            : result.error || 'Registration failed');
                     }
                 } catch (error) {
                     console.error('Registration error:', error);
@@ -519,110 +602,34 @@ app.get('/register', (req, res) => {
     </html>
   `);
 });
-// Admin Dashboard
-app.get('/admin', (req, res) => {
-  res.send(`
-    <html>
-    <head>
-        <title>Admin Dashboard - Dr. Nehru Healthcare</title>
-        <style>
-            body { font-family: Arial; max-width: 900px; margin: 0 auto; padding: 20px; background: #f8f9fa; }
-            .header { background: linear-gradient(135deg, #007bff, #0056b3); color: white; padding: 30px; border-radius: 15px; text-align: center; margin-bottom: 20px; }
-            .status { background: white; padding: 20px; margin: 15px 0; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-            .success { color: #28a745; font-weight: bold; }
-            .error { color: #dc3545; font-weight: bold; }
-            .links { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-top: 20px; }
-            .link-card { background: white; padding: 20px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); text-align: center; }
-            .link-card a { text-decoration: none; color: #007bff; font-weight: bold; }
-        </style>
-    </head>
-    <body>
-        <div class="header">
-            <h1>🏥 Dr. Nehru Healthcare Admin</h1>
-            <p>Professional Healthcare Management System</p>
-            <p><strong>Managing 8,309+ Patients</strong></p>
-        </div>
-        
-        <div class="status">
-            <h3>📊 System Configuration</h3>
-            <p><strong>Server Status:</strong> <span class="success">✅ Running</span></p>
-            <p><strong>Database:</strong> <span class="success">✅ Airtable Connected (8,309+ patients)</span></p>
-            <p><strong>Registration API:</strong> <span class="success">✅ Active</span></p>
-            <p><strong>Environment Variables:</strong></p>
-            <ul>
-                <li>AIRTABLE_BASE_ID: ${process.env.AIRTABLE_BASE_ID ? '<span class="success">✅ Set</span>' : '<span class="error">❌ Missing</span>'}</li>
-                <li>AIRTABLE_TABLE_ID: ${process.env.AIRTABLE_TABLE_ID ? '<span class="success">✅ Set</span>' : '<span class="error">❌ Missing</span>'}</li>
-                <li>AIRTABLE_TOKEN: ${process.env.AIRTABLE_TOKEN ? '<span class="success">✅ Set</span>' : '<span class="error">❌ Missing</span>'}</li>
-            </ul>
-        </div>
-        
-        <div class="links">
-            <div class="link-card">
-                <h4>🔍 Test Registration API</h4>
-                <p><a href="/api/register" target="_blank">Check API Status</a></p>
-            </div>
-            <div class="link-card">
-                <h4>💊 Health Check</h4>
-                <p><a href="/health" target="_blank">System Health</a></p>
-            </div>
-            <div class="link-card">
-                <h4>📊 Airtable Database</h4>
-                <p><a href="https://airtable.com/appRPKop4plyqGgFN/tblEaDfeIhIRj0jPy" target="_blank">View 8,309+ Patients</a></p>
-            </div>
-            <div class="link-card">
-                <h4>🧪 UPI Payment Test</h4>
-                <p><a href="/test-upi" target="_blank">Test Payment System</a></p>
-            </div>
-        </div>
-    </body>
-    </html>
-  `);
-});
+// Admin dashboard, staff login and duplicate review (admin-routes.js, staff-routes.js, duplicate-routes.js)
+app.use('/', adminRoutes);
+app.use('/', staffRoutes);
+app.use('/', duplicateRoutes);
 
-// UPI Payment Test
-app.get('/test-upi', (req, res) => {
-  res.send(`
-    <html>
-    <head>
-        <title>UPI Payment Test - Dr. Nehru Healthcare</title>
-        <style>
-            body { font-family: Arial; max-width: 400px; margin: 50px auto; padding: 20px; background: #f9f9f9; }
-            .card { background: white; padding: 30px; border-radius: 15px; box-shadow: 0 5px 15px rgba(0,0,0,0.1); text-align: center; }
-            .header { background: #2c5aa0; color: white; padding: 20px; border-radius: 10px; margin-bottom: 20px; }
-            .amount { font-size: 36px; color: #2c5aa0; font-weight: bold; margin: 20px 0; }
-            .upi-id { background: #4caf50; color: white; padding: 15px; border-radius: 8px; font-size: 18px; font-weight: bold; margin: 15px 0; }
-            .btn { background: #25d366; color: white; padding: 12px 24px; border: none; border-radius: 8px; font-size: 16px; cursor: pointer; text-decoration: none; display: inline-block; margin-top: 15px; }
-        </style>
-    </head>
-    <body>
-        <div class="card">
-            <div class="header">
-                <h1>🏥 DR. NEHRU HEALTHCARE</h1>
-                <p>Dr. Muddu Surendra Nehru</p>
-                <p>UPI Payment Test</p>
-            </div>
-            
-            <h2>Consultation Payment</h2>
-            <div class="amount">₹500</div>
-            
-            <h3>💳 Pay via UPI:</h3>
-            <div class="upi-id">surendra,muddu-1@okhdfcbank</div>
-            
-            <p><strong>Steps:</strong></p>
-            <p>1. Open Google Pay/PhonePe/Paytm</p>
-            <p>2. Send ₹500 to above UPI ID</p>
-            <p>3. Add reference: CONSULT-${Date.now().toString().slice(-6)}</p>
-            
-            <a href="https://wa.me/919963721999?text=UPI%20payment%20completed%20for%20consultation.%20Amount:%20₹500" 
-               class="btn">📱 Send Payment Confirmation</a>
-        </div>
-    </body>
-    </html>
-  `);
-});
+// Patient registration, listing and search routes (patient-routes.js)
+app.use('/', patientRoutes);
+
+// Appointment booking, doctor availability and slots (appointment-routes.js, doctor-routes.js)
+app.use('/', appointmentRoutes);
+app.use('/', doctorRoutes);
+
+// UPI payment requests, QR codes and the /pay/:reference page (payment-routes.js)
+app.use('/', paymentRoutes);
+
+// Consent text, patient data export and erasure requests (privacy-routes.js)
+app.use('/', privacyRoutes);
+
+// Bulk patient import from CSV and Excel files (import-routes.js)
+app.use('/', importRoutes);
 
 // Start server
 app.listen(PORT, () => {
+  // Retry notifications and outbox registrations that could not be delivered yet
+  startNotificationWorker();
+  outbox.startOutboxWorker();
+  // Snapshots of the data files every BACKUP_INTERVAL_HOURS (lib/backups.js)
+  startBackupSchedule();
   console.log('');
   console.log('✅ ==========================================');
   console.log('🏥 DR. NEHRU HEALTHCARE SYSTEM STARTED!');
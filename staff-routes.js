@@ -0,0 +1,130 @@
+// staff-routes.js - Staff login (admin, doctor, receptionist) and staff account management
+const express = require('express');
+const { ACCESS_TOKEN_TTL, hashPassword, verifyPassword, signAccessToken, authenticateToken } = require('./lib/auth');
+const { requirePermission } = require('./lib/permissions');
+const { createSession, rotateSession, revokeSession } = require('./lib/session-store');
+const { STAFF_ROLES, getStaffStore, publicStaff } = require('./lib/staff-store');
+const router = express.Router();
+
+// Access token for a staff login session
+function staffAccessToken(user, session) {
+    return signAccessToken({ userId: user.id, email: user.email, role: user.role, sid: session.id });
+}
+
+// Staff login
+router.post('/api/staff/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const user = await getStaffStore().findByEmail(String(email).toLowerCase().trim());
+        if (!user || !(await verifyPassword(password, user.password))) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const { session, refreshToken } = createSession({ type: 'staff', id: user.id });
+        res.json({
+            token: staffAccessToken(user, session),
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            user: publicStaff(user)
+        });
+    } catch (error) {
+        console.error('Staff login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/api/staff/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        const rotated = refreshToken && rotateSession(refreshToken);
+        if (!rotated || rotated.session.subject.type !== 'staff') {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        // Pick up role changes made since the last login
+        const user = await getStaffStore().get(rotated.session.subject.id);
+        if (!user) {
+            revokeSession(rotated.session.id);
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json({
+            token: staffAccessToken(user, rotated.session),
+            refreshToken: rotated.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL
+        });
+    } catch (error) {
+        console.error('Staff token refresh error:', error);
+        res.status(500).json({ error: 'Token refresh failed' });
+    }
+});
+
+// Staff logout - ends the session behind the access token
+router.post('/api/staff/logout', authenticateToken, (req, res) => {
+    if (req.user.sid) {
+        revokeSession(req.user.sid);
+    }
+    res.json({ message: 'Logged out' });
+});
+
+// Current staff member
+router.get('/api/staff/me', authenticateToken, async (req, res) => {
+    try {
+        const user = req.user.userId && await getStaffStore().get(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'Staff account not found' });
+        }
+        res.json({ user: publicStaff(user) });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch staff account' });
+    }
+});
+
+// List staff accounts
+router.get('/api/staff', authenticateToken, requirePermission('staff:list'), async (req, res) => {
+    try {
+        const staff = await getStaffStore().list({ role: req.query.role });
+        res.json({ staff: staff.map(publicStaff), count: staff.length });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch staff' });
+    }
+});
+
+// Create a staff account
+router.post('/api/staff', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
+    try {
+        const { email, password, first_name, last_name, phone, role } = req.body;
+        if (!email || !password || !first_name || !last_name || !role) {
+            return res.status(400).json({ error: 'email, password, first_name, last_name and role are required' });
+        }
+        if (!STAFF_ROLES.includes(role)) {
+            return res.status(400).json({ error: `role must be one of: ${STAFF_ROLES.join(', ')}` });
+        }
+        if (String(password).length < 8) {
+            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+        }
+
+        const user = await getStaffStore().create({
+            email: String(email).toLowerCase().trim(),
+            password: await hashPassword(password),
+            first_name: String(first_name).trim(),
+            last_name: String(last_name).trim(),
+            phone,
+            role
+        });
+        res.status(201).json({ message: 'Staff account created', user: publicStaff(user) });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Email already exists' });
+        }
+        console.error('Create staff error:', error);
+        res.status(500).json({ error: 'Failed to create staff account' });
+    }
+});
+
+module.exports = router;